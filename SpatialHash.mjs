@@ -24,6 +24,9 @@ function findSubArray(arr, stride, ...args){
 	return -1;
 }
 
+// the last stamp that fits in the marks of a query slot
+const MAX_STAMP = 2 ** 32 - 1;
+
 /**
  * A spatial hash.
  */
@@ -33,380 +36,4686 @@ class SpatialHash {
 	 *
 	 * @param {number} numElements Number of array elements per shape.
 	 * @param {number} cellSize The size of the grid cells.
+	 * @param {ObjectCells|TypedCells} store The storage for the grid cells.
 	 */
-	constructor(numElements, cellSize){
+	constructor(numElements, cellSize, store = new ObjectCells(numElements)){
 		this.numElements = numElements;
 		this.cellSize = cellSize;
-		this.map = {};
+		this.store = store;
+		// the Map of cell arrays, if the store has one
+		this.map = store.map;
+		// bounds of the cells that have held shapes, these only ever grow
+		// (until the hash is rehashed)
+		this.minCellX = Infinity;
+		this.minCellY = Infinity;
+		this.maxCellX = -Infinity;
+		this.maxCellY = -Infinity;
+		// the number of stored shapes
+		this.shapeCount = 0;
+		// for hashes whose shapes are stored in every cell they cover: the
+		// array element with the id of the shape, -1 for the other hashes
+		this.idSlot = -1;
+		// ids for shapes that are stored in multiple cells
+		this.nextId = 0;
+		// for hashes made with the ids option: the key of a cell that each
+		// shape is in, by id
+		this.locations = undefined;
+		// for hashes made with the valueIndex option: the set of ids of the
+		// shapes with each value
+		this.byValue = undefined;
+		// per query slot: the stamp of its current query, and the stamp of the
+		// last query that visited each id
+		this.stamps = [];
+		this.marks = [];
+		this.freeSlots = [];
 	}
 	
 	/**
-	 * Add a shape to the given cell.
+	 * The number of non-empty grid cells.
+	 *
+	 * @return {number} The number of cells.
+	 */
+	get cellCount(){
+		return this.store.size;
+	}
+	
+	/**
+	 * The number of stored shapes, each counted once.
+	 *
+	 * @return {number} The number of shapes.
+	 */
+	get size(){
+		return this.shapeCount;
+	}
+	
+	/**
+	 * Remove all shapes.
 	 *
-	 * @param {number} cellX The grid cell x coordinate.
-	 * @param {number} cellY The grid cell y coordinate.
-	 * @param {any} args The data to add to the cell.
 	 * @return this.
 	 */
-	addAt(cellX, cellY, ...args){
-		const key = cellX + ',' + cellY,
-			arr = this.map[key] || [];
+	clear(){
+		return this.clearCells();
+	}
+	
+	/**
+	 * Empty the grid and reset the cell bounds, but keep anything that is
+	 * stored outside of the grid.
+	 *
+	 * @return this.
+	 */
+	clearCells(){
+		this.store.clear();
+		this.shapeCount = 0;
+		this.minCellX = Infinity;
+		this.minCellY = Infinity;
+		this.maxCellX = -Infinity;
+		this.maxCellY = -Infinity;
+		
+		if(this.locations){
+			this.locations.clear();
+		}
 		
-		arr.push(...args);
-		this.map[key] = arr;
+		if(this.byValue){
+			this.byValue.clear();
+		}
 		
 		return this;
 	}
 	
 	/**
-	 * Find the index in the cell array where the given values start.
+	 * Iterate over the non-empty grid cells.
 	 *
-	 * @param {number} cellX The grid cell x coordinate.
-	 * @param {number} cellY The grid cell y coordinate.
-	 * @param {any} args The values to find.
-	 * @return {number} The starting index, or -1.
+	 * @yield {array} The [cellX, cellY, count] of each cell, where count is
+	 *        the number of shapes in it.
 	 */
-	findIndex(cellX, cellY, ...args){
-		const key = cellX + ',' + cellY,
-			arr = this.map[key];
-		
-		if(!arr){
-			return -1;
+	*cells(){
+		for(const [cellX, cellY, arr] of this.store.entries()){
+			yield [cellX, cellY, arr.length / this.numElements];
 		}
-		
-		return findSubArray(arr, this.numElements, ...args);
 	}
 	
 	/**
-	 * Find the given sequence of values, and the values that are stored along
-	 * with it.
+	 * Iterate over the stored shapes, each one once, see `shapes`.
 	 *
-	 * @param {number} cellX The grid cell x coordinate.
-	 * @param {number} cellY The grid cell y coordinate.
-	 * @param {any} args The values to find.
-	 * @return {array} The found values, or undefined.
+	 * @return {Iterator} The iterator.
 	 */
-	findValues(cellX, cellY, ...args){
-		const key = cellX + ',' + cellY,
-			arr = this.map[key];
+	[Symbol.iterator](){
+		return this.shapes();
+	}
+	
+	/**
+	 * Describe how the shapes are spread over the grid, to judge whether the
+	 * cell size suits them.
+	 *
+	 * @return {object} The statistics:
+	 *         - cells: the number of non-empty grid cells.
+	 *         - shapes: the number of stored shapes.
+	 *         - entries: the number of times the shapes are stored, counting
+	 *           each grid cell a shape is stored in.
+	 *         - duplication: the entries per shape.
+	 *         - min, max, mean: the number of shapes per non-empty grid cell.
+	 *         - p50, p90, p99: percentiles of the shapes per non-empty cell.
+	 *         - bounds: the [minCellX, minCellY, maxCellX, maxCellY] of the
+	 *           non-empty cells, or undefined if there are none.
+	 *         - extent: the [x, y, width, height] that these cells cover, or
+	 *           undefined.
+	 *         - memory: a rough estimate of the bytes used by the grid.
+	 */
+	stats(){
+		const sz = this.cellSize,
+			counts = [];
 		
-		if(!arr){
-			return undefined;
+		let entries = 0,
+			minCellX = Infinity,
+			minCellY = Infinity,
+			maxCellX = -Infinity,
+			maxCellY = -Infinity;
+		
+		for(const [cellX, cellY, arr] of this.store.entries()){
+			const count = arr.length / this.numElements;
+			
+			counts.push(count);
+			entries += count;
+			minCellX = Math.min(minCellX, cellX);
+			minCellY = Math.min(minCellY, cellY);
+			maxCellX = Math.max(maxCellX, cellX);
+			maxCellY = Math.max(maxCellY, cellY);
 		}
 		
-		const idx = findSubArray(arr, this.numElements, ...args);
+		counts.sort((a, b) => a - b);
 		
-		if(idx === -1){
-			return undefined;
-		}
+		const cells = counts.length,
+			shapes = this.size,
+			// nearest-rank percentile
+			percentile = (p) => cells ? counts[Math.ceil(p * cells) - 1] : 0;
 		
-		return arr.slice(idx, idx + this.numElements);
+		return {
+			cells,
+			shapes,
+			entries,
+			duplication: shapes ? entries / shapes : 0,
+			min: cells ? counts[0] : 0,
+			max: cells ? counts[cells - 1] : 0,
+			mean: cells ? entries / cells : 0,
+			p50: percentile(0.5),
+			p90: percentile(0.9),
+			p99: percentile(0.99),
+			bounds: cells ? [minCellX, minCellY, maxCellX, maxCellY] : undefined,
+			extent: cells ? [minCellX * sz, minCellY * sz,
+				(maxCellX - minCellX + 1) * sz, (maxCellY - minCellY + 1) * sz] : undefined,
+			memory: this.store.memory()
+		};
 	}
 	
 	/**
-	 * Remove the shape at the given index in the given grid cell.
+	 * Start a query that needs to report each shape only once, even if it is
+	 * found in multiple cells. Queries can be nested and interleaved, each one
+	 * gets its own slot, which must be released with `endQuery`. The queries
+	 * that are generators do so when they finish or are `return()`ed, which
+	 * `for...of` does when breaking out of the loop. An iterator that is
+	 * dropped halfway keeps its slot.
 	 *
-	 * @param {number} cellX The grid cell x coordinate.
-	 * @param {number} cellY The grid cell y coordinate.
-	 * @param {number} idx The index in the grid cell array.
-	 * @return {array} An array with the removed data, or an empty array if
-	 *         there was nothing to remove.
+	 * Each slot marks the ids that its query visits with a new stamp, in an
+	 * array indexed by id, so that nothing needs to be cleared between
+	 * queries. Only when the stamps run out are the marks reset.
+	 *
+	 * @return {number} The query slot.
 	 */
-	removeAt(cellX, cellY, idx){
-		const key = cellX + ',' + cellY,
-			arr = this.map[key];
+	beginQuery(){
+		let slot = this.freeSlots.pop();
 		
-		if(!arr){
-			return [];
+		if(slot === undefined){
+			slot = this.marks.length;
+			this.marks.push(new Uint32Array(Math.max(this.nextId, 16)));
+			this.stamps.push(0);
 		}
 		
-		const ret = arr.splice(idx, this.numElements);
-		if(!arr.length){
-			delete this.map[key];
+		if(this.stamps[slot] === MAX_STAMP){
+			this.marks[slot].fill(0);
+			this.stamps[slot] = 0;
 		}
 		
-		return ret;
+		this.stamps[slot]++;
+		return slot;
 	}
 	
 	/**
-	 * Find grid cells covered by a given axis-aligned bounding box.
+	 * Release the slot of a query started with `beginQuery`.
 	 *
-	 * @param {number} x The x-coordinate of the top-left corner.
-	 * @param {number} y The y-coordinate of the top-left corner.
-	 * @param {number} width The width of the box.
-	 * @param {number} height The height of the box.
-	 * @yield {array} The [x, y] grid cell coordinates.
+	 * @param {number} slot The query slot.
 	 */
-	*cellsUnderExtent(x, y, width, height){
-		const sz = this.cellSize,
-			startX = (x / sz) | 0,
-			startY = (y / sz) | 0,
-			endX = (((x + width) / sz) | 0) + 1,
-			endY = (((y + height) / sz) | 0) + 1;
+	endQuery(slot){
+		this.freeSlots.push(slot);
+	}
+	
+	/**
+	 * Mark the shape with the given id as visited by a query.
+	 *
+	 * @param {number} slot The query slot.
+	 * @param {number} id The id of the shape.
+	 * @return {boolean} True if the query had not visited the shape yet.
+	 */
+	visit(slot, id){
+		let marks = this.marks[slot];
 		
-		for(let cellY = startY; cellY < endY; cellY++){
-			for(let cellX = startX; cellX < endX; cellX++){
-				yield [cellX, cellY];
-			}
+		if(id >= marks.length){
+			// ids are handed out in order, so the marks only need to grow to
+			// the next id
+			const grown = new Uint32Array(Math.max(id + 1, marks.length * 2));
+			grown.set(marks);
+			this.marks[slot] = marks = grown;
+		}
+		
+		if(marks[id] === this.stamps[slot]){
+			return false;
 		}
+		
+		marks[id] = this.stamps[slot];
+		return true;
 	}
 	
 	/**
-	 * Find grid cells covered by a given line segment.
+	 * Compute the grid cell coordinate for a given coordinate. Cells are
+	 * addressed by flooring, so cell `n` covers [n * cellSize, (n + 1) *
+	 * cellSize), also for negative and very large coordinates.
 	 *
-	 * @param {number} x1 The point 1 x-coordinate of the segment.
-	 * @param {number} y1 The point 1 y-coordinate of the segment.
-	 * @param {number} x2 The point 2 x-coordinate of the segment.
-	 * @param {number} y2 The point 2 y-coordinate of the segment.
-	 * @param {number} eps The width of the segment/maximum distance from the
-	 *        segment to search in. Should not be greater than `this.cellSize`.
-	 * @yield {array} The [x, y] grid cell coordinates.
+	 * @param {number} v The x- or y-coordinate.
+	 * @return {number} The grid cell coordinate.
 	 */
-	*cellsUnderSegment(x1, y1, x2, y2, eps = this.cellSize / 2){
-		const sz = this.cellSize,
-			dx = x2 - x1,
-			dy = y2 - y1,
-			dirX = Math.sign(dx),
-			dirY = Math.sign(dy),
-			dydx = Math.abs(dy / dx),
-			dxdy = Math.abs(dx / dy),
-			startCellX = (x1 / sz) | 0,
-			startCellY = (y1 / sz) | 0,
-			endCellX = (x2 / sz) | 0,
-			endCellY = (y2 / sz) | 0,
-			steps = Math.abs(endCellX - startCellX) + Math.abs(endCellY - startCellY),
-			seen = new Set;
+	cellCoord(v){
+		return Math.floor(v / this.cellSize);
+	}
+	
+	/**
+	 * Get the shapes in the given cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @return {array|Float64Array|undefined} The (array-like) grid cell array,
+	 *         or undefined if the cell is empty.
+	 */
+	cell(cellX, cellY){
+		return this.store.get(cellX, cellY);
+	}
+	
+	/**
+	 * Get the value that a shape was stored with, from its value element in a
+	 * grid cell array.
+	 *
+	 * @param {any} v The value element.
+	 * @return {any} The value.
+	 */
+	value(v){
+		return this.store.value(v);
+	}
+	
+	/**
+	 * Add a shape that is stored in only the given cell, and count it.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {any} args The data to add to the cell.
+	 * @return this.
+	 */
+	addAt(cellX, cellY, ...args){
+		this.shapeCount++;
+		return this.addToCell(cellX, cellY, ...args);
+	}
+	
+	/**
+	 * Add (a copy of) a shape to the given cell, without counting it. The
+	 * subclasses count their shapes once, however many cells they cover.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {any} args The data to add to the cell.
+	 * @return this.
+	 */
+	addToCell(cellX, cellY, ...args){
+		if(this.store.add(cellX, cellY, args)){
+			this.extendBounds(cellX, cellY);
+		}
 		
-		let x = x1,
-			y = y1,
-			cellX = startCellX,
-			cellY = startCellY,
-			iter = 0;
+		return this;
+	}
+	
+	/**
+	 * Grow the bounds of the cells that have held shapes to include a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 */
+	extendBounds(cellX, cellY){
+		this.minCellX = Math.min(this.minCellX, cellX);
+		this.minCellY = Math.min(this.minCellY, cellY);
+		this.maxCellX = Math.max(this.maxCellX, cellX);
+		this.maxCellY = Math.max(this.maxCellY, cellY);
+	}
+	
+	/**
+	 * Add many shapes at once. The cells that the shapes cover are counted
+	 * first, so each cell array is grown only once, to its final size, after
+	 * which the shapes are written into them in one pass. The shapes end up
+	 * in the same order as when added one by one.
+	 *
+	 * @param {number} count The number of shapes.
+	 * @param {function} cellsOf Called with (i, fn), should call fn(cellX,
+	 *        cellY) for each cell covered by shape i.
+	 * @param {function} shapeOf Called with (i, args), should fill in the
+	 *        array elements of shape i in args.
+	 * @return this.
+	 */
+	addBulk(count, cellsOf, shapeOf){
+		const stride = this.numElements,
+			slots = new Map,
+			cellsX = [],
+			cellsY = [],
+			counts = [],
+			// where the cells of each shape end in covered
+			ends = new Int32Array(count);
 		
-		const canEmit = (x, y) => {
-			const key = x + ',' + y,
-				ret = seen.has(key);
-			seen.add(key);
-			return !ret;
-		};
+		// the slot of each cell covered by each shape
+		let covered = new Int32Array(count),
+			numCovered = 0;
 		
-		while((cellX !== endCellX || cellY !== endCellY) && iter <= steps){
-			const lft = x - cellX * sz,
-				rgt = (cellX + 1) * sz - x,
-				distX = (dirX < 0) ? lft : rgt,
-				top = y - cellY * sz,
-				bot = (cellY + 1) * sz - y,
-				distY = (dirY < 0) ? top : bot,
-				horX = distX,
-				horY = distX * dydx,
-				verX = distY * dxdy,
-				verY = distY,
-				hor = horX*horX + horY*horY,
-				ver = verX*verX + verY*verY;
+		const count1 = (cellX, cellY) => {
+			const key = cellKey(cellX, cellY);
+			let slot = slots.get(key);
 			
-			if(lft <= eps){
-				if(canEmit(cellX - 1, cellY)){ yield [cellX - 1, cellY]; }
-				if(top <= eps){
-					if(canEmit(cellX - 1, cellY - 1)){ yield [cellX - 1, cellY - 1]; }
-				}
-				if(bot <= eps){
-					if(canEmit(cellX - 1, cellY + 1)){ yield [cellX - 1, cellY + 1]; }
-				}
-			}
-			if(rgt <= eps){
-				if(canEmit(cellX + 1, cellY)){ yield [cellX + 1, cellY]; }
-				if(top <= eps){
-					if(canEmit(cellX + 1, cellY - 1)){ yield [cellX + 1, cellY - 1]; }
-				}
-				if(bot <= eps){
-					if(canEmit(cellX + 1, cellY + 1)){ yield [cellX + 1, cellY + 1]; }
-				}
-			}
-			if(top <= eps){
-				if(canEmit(cellX, cellY - 1)){ yield [cellX, cellY - 1]; }
+			if(slot === undefined){
+				slot = cellsX.length;
+				slots.set(key, slot);
+				cellsX.push(cellX);
+				cellsY.push(cellY);
+				counts.push(0);
 			}
-			if(bot <= eps){
-				if(canEmit(cellX, cellY + 1)){ yield [cellX, cellY + 1]; }
+			
+			if(numCovered === covered.length){
+				const grown = new Int32Array(covered.length * 2 + 16);
+				grown.set(covered);
+				covered = grown;
 			}
 			
-			if(canEmit(cellX, cellY)){ yield [cellX, cellY]; }
+			counts[slot]++;
+			covered[numCovered++] = slot;
+		};
+		
+		for(let i = 0; i < count; i++){
+			cellsOf(i, count1);
+			ends[i] = numCovered;
+		}
+		
+		const cursors = new Array(cellsX.length);
+		for(let slot = 0; slot < cellsX.length; slot++){
+			cursors[slot] = this.store.reserve(cellsX[slot], cellsY[slot], counts[slot]);
 			
-			if(hor < ver){ // move in x
-				x = x + horX * dirX;
-				y = y + horY * dirY;
-				cellX = cellX + dirX;
-			}else{ // move in y
-				x = x + verX * dirX;
-				y = y + verY * dirY;
-				cellY = cellY + dirY;
+			if(cursors[slot] === 0){
+				this.extendBounds(cellsX[slot], cellsY[slot]);
 			}
-			
-			iter++;
 		}
 		
-		cellX = endCellX;
-		cellY = endCellY;
-		const lft = x2 - cellX * sz,
-			rgt = (cellX + 1) * sz - x2,
-			top = y2 - cellY * sz,
-			bot = (cellY + 1) * sz - y2;
+		// only get the arrays after all the reserving, which may move them
+		const arrs = cellsX.map((cellX, slot) => this.store.get(cellX, cellsY[slot])),
+			args = new Array(stride);
 		
-		if(lft <= eps){
-			if(canEmit(cellX - 1, cellY)){ yield [cellX - 1, cellY]; }
-			if(top <= eps){
-				if(canEmit(cellX - 1, cellY - 1)){ yield [cellX - 1, cellY - 1]; }
+		this.shapeCount += count;
+		for(let i = 0, c = 0; i < count; i++){
+			shapeOf(i, args);
+			
+			if(this.locations && c < ends[i]){
+				this.track(args[stride - 1], args[stride - 2], cellKey(cellsX[covered[c]], cellsY[covered[c]]));
 			}
-			if(bot <= eps){
-				if(canEmit(cellX - 1, cellY + 1)){ yield [cellX - 1, cellY + 1]; }
+			
+			for(; c < ends[i]; c++){
+				const slot = covered[c];
+				this.store.put(arrs[slot], cursors[slot], args);
+				cursors[slot] += stride;
 			}
 		}
-		if(rgt <= eps){
-			if(canEmit(cellX + 1, cellY)){ yield [cellX + 1, cellY]; }
-			if(top <= eps){
-				if(canEmit(cellX + 1, cellY - 1)){ yield [cellX + 1, cellY - 1]; }
-			}
-			if(bot <= eps){
-				if(canEmit(cellX + 1, cellY + 1)){ yield [cellX + 1, cellY + 1]; }
+		
+		return this;
+	}
+	
+	/**
+	 * Iterate over the stored shapes, each one once, even if it is stored in
+	 * multiple cells. The copies of such shapes are told apart by their id,
+	 * see `idSlot`, other shapes are all yielded.
+	 *
+	 * @yield {array} The array elements of each shape, with its value.
+	 */
+	*shapes(){
+		const stride = this.numElements,
+			idSlot = this.idSlot,
+			slot = this.beginQuery();
+		
+		try{
+			for(const [, , arr] of this.store.entries()){
+				for(let i = 0; i < arr.length; i += stride){
+					if(idSlot === -1 || this.visit(slot, arr[i + idSlot])){
+						yield this.store.read(arr, i);
+					}
+				}
 			}
+		}finally{
+			this.endQuery(slot);
 		}
-		if(top <= eps){
-			if(canEmit(cellX, cellY - 1)){ yield [cellX, cellY - 1]; }
-		}
-		if(bot <= eps){
-			if(canEmit(cellX, cellY + 1)){ yield [cellX, cellY + 1]; }
-		}
-		
-		if(canEmit(cellX, cellY)){ yield [cellX, cellY]; }
 	}
-}
-
-/**
- * A spatial hash for storing 2D points.
- */
-class PointHash extends SpatialHash {
+	
 	/**
-	 * Make a point hash.
+	 * Find the grid cells that a stored shape covers, to be implemented by
+	 * the subclasses.
 	 *
-	 * @param {number} cellSize The size of the grid cells.
+	 * @param {array} args The array elements of the shape.
+	 * @yield {array} The [x, y] grid cell coordinates.
 	 */
-	constructor(cellSize){
-		super(3, cellSize);
+	*shapeCells(args){
+		throw new Error("shapeCells is not implemented");
 	}
 	
 	/**
-	 * Add a point with a value to associate. Note that this does not check for
-	 * duplicates.
+	 * Move all stored shapes to a grid with a different cell size. The
+	 * shapes keep their values and ids.
 	 *
-	 * @param {number} x The x-coordinate.
-	 * @param {number} y The y-coordinate.
-	 * @param {any} val A value to store with the point.
-	 * @return {PointHash} this.
+	 * @param {number} cellSize The new size of the grid cells.
+	 * @return this.
 	 */
-	addPoint(x, y, val){
-		const sz = this.cellSize;
-		return this.addAt((x / sz) | 0, (y / sz) | 0, x, y, val);
+	rehash(cellSize){
+		const shapes = [...this.shapes()];
+		
+		this.cellSize = cellSize;
+		this.clearCells();
+		
+		return this.addBulk(shapes.length, (i, fn) => {
+			for(const [cellX, cellY] of this.shapeCells(shapes[i])){
+				fn(cellX, cellY);
+			}
+		}, (i, args) => {
+			const shape = shapes[i];
+			for(let j = 0; j < shape.length; j++){
+				args[j] = shape[j];
+			}
+		});
 	}
 	
 	/**
-	 * Find the point with the given coordinates, if it is in the hash. Note
-	 * that this tests for strict equality on the coordinates.
+	 * The options to make a hash like this one with.
 	 *
-	 * @param {number} x The x-coordinate.
-	 * @param {number} y The y-coordinate.
-	 * @return {array|undefined} An array with the [x, y, value] that the point
-	 *         was stored with, or `undefined`.
+	 * @return {object} The {storage, keys, ids, valueIndex}.
 	 */
-	findPoint(x, y){
-		const sz = this.cellSize,
-			cx = (x / sz) | 0,
-			cy = (y / sz) | 0;
+	options(){
+		return {...this.store.options(), ids: this.locations !== undefined,
+			valueIndex: this.byValue !== undefined};
+	}
+	
+	/**
+	 * Describe the hash as a plain object, which `JSON.stringify` uses. Each
+	 * shape is stored once, with its id, and `fromJSON` rebuilds the grid
+	 * from them.
+	 *
+	 * @param {object} options Options:
+	 *        - codec: an object with `encode(value)`, which returns a
+	 *          JSON-compatible form of a stored value, and `decode(json)`,
+	 *          which `fromJSON` uses to turn it back. By default the values
+	 *          are kept as they are, so undefined values come back as null
+	 *          from the JSON text.
+	 * @return {object} The description: {version, type, cellSize,
+	 *         numElements, nextId, storage, keys, ids, valueIndex, coords,
+	 *         values}.
+	 */
+	toJSON({codec = identityCodec} = {}){
+		const format = hashFormat(this),
+			{coords, values} = collectShapes(this, format.valueSlot, codec);
 		
-		return this.findValues(cx, cy, x, y);
+		return {
+			version: FORMAT_VERSION,
+			type: format.name,
+			cellSize: this.cellSize,
+			numElements: this.numElements,
+			nextId: this.nextId,
+			...this.options(),
+			coords,
+			values
+		};
 	}
 	
 	/**
-	 * Remove the point with the given coordinates from the hash.
+	 * Make a hash from the description made by `toJSON`.
 	 *
-	 * @param {number} x The x coordinate.
-	 * @param {number} y The y coordinate.
-	 * @return {array|undefined} An array with the removed [x, y, value], or
-	 *         undefined if there was no point to remove.
+	 * @param {object|string} json The description, or its JSON text.
+	 * @param {object} options Options:
+	 *        - codec: an object with `decode(json)` to turn the stored values
+	 *          back, see `toJSON`.
+	 *        - storage, keys: to use another storage than the hash was made
+	 *          with, see the constructors.
+	 * @return {SpatialHash} The hash.
 	 */
-	removePoint(x, y){
-		const sz = this.cellSize,
-			cx = (x / sz) | 0,
-			cy = (y / sz) | 0,
-			idx = this.findIndex(cx, cy, x, y);
+	static fromJSON(json, {codec = identityCodec, ...options} = {}){
+		const desc = typeof json === 'string' ? JSON.parse(json) : json;
 		
-		if(idx === -1){
-			return undefined;
+		if(!desc || desc.version !== FORMAT_VERSION){
+			throw new Error(`Unsupported format version: ${desc && desc.version}`);
 		}
 		
-		return this.removeAt(cx, cy, idx);
+		const format = hashFormats.find(({name}) => name === desc.type);
+		if(!format){
+			throw new Error(`Unknown hash type: ${desc.type}`);
+		}
+		
+		return restoreHash(this, format, desc.cellSize, desc.numElements, desc.nextId,
+			{storage: desc.storage, keys: desc.keys, ids: desc.ids, valueIndex: desc.valueIndex, ...options},
+			desc.coords, desc.values.length, (i) => codec.decode(desc.values[i]));
 	}
 	
 	/**
-	 * Find points within a given radius from a given point.
+	 * Write the hash into a compact binary form. Like `toJSON`, each shape is
+	 * stored once, with its id. The buffer starts with a header of 32 bytes:
+	 * "SpHa", the format version (uint16), the hash type (uint8), the option
+	 * flags (uint8), the cell size (float64), the array elements per shape
+	 * (uint32), the number of shapes (uint32) and the next id (float64).
+	 * Then follow the array elements of the shapes, except their values, as
+	 * float64s, and the values, each as a uint32 byte length and the bytes.
+	 * All numbers are little-endian.
 	 *
-	 * @param {number} cx The center x-coordinate.
-	 * @param {number} cy The center y-coordinate.
-	 * @param {number} r The radius to search within.
-	 * @yield {array} An array with [x, y, value, dist²] of any point within the
-	 *        given radius.
+	 * @param {object} options Options:
+	 *        - codec: an object with `encode(value)`, which returns a
+	 *          Uint8Array with the bytes of a stored value, and
+	 *          `decode(bytes)`, which `deserialize` uses to turn them back.
+	 *          By default the values are written as UTF-8 JSON text.
+	 * @return {ArrayBuffer} The buffer.
 	 */
-	*nearbyPoints(cx, cy, r){
-		const d = r + r,
-			r2 = r * r;
-		for(const [cellX, cellY] of this.cellsUnderExtent(cx - r, cy - r, d, d)){
-			const key = cellX + ',' + cellY,
-				arr = this.map[key];
-			
-			if(!arr){
+	serialize({codec = bytesCodec} = {}){
+		const format = hashFormat(this),
+			{coords, values} = collectShapes(this, format.valueSlot, codec),
+			start = 32 + coords.length * 8;
+		
+		let length = start;
+		for(const bytes of values){
+			length += 4 + bytes.length;
+		}
+		
+		const buffer = new ArrayBuffer(length),
+			view = new DataView(buffer),
+			u8 = new Uint8Array(buffer),
+			options = this.options();
+		
+		view.setUint32(0, FORMAT_MAGIC, true);
+		view.setUint16(4, FORMAT_VERSION, true);
+		view.setUint8(6, hashFormats.indexOf(format));
+		view.setUint8(7, (options.storage === 'typed' ? 1 : 0) | (options.keys === 'string' ? 2 : 0) |
+			(options.ids ? 4 : 0) | (options.valueIndex ? 8 : 0));
+		view.setFloat64(8, this.cellSize, true);
+		view.setUint32(16, this.numElements, true);
+		view.setUint32(20, values.length, true);
+		view.setFloat64(24, this.nextId, true);
+		
+		for(let i = 0; i < coords.length; i++){
+			view.setFloat64(32 + i * 8, coords[i], true);
+		}
+		
+		for(let i = 0, offset = start; i < values.length; i++){
+			view.setUint32(offset, values[i].length, true);
+			u8.set(values[i], offset + 4);
+			offset += 4 + values[i].length;
+		}
+		
+		return buffer;
+	}
+	
+	/**
+	 * Make a hash from the binary form written by `serialize`.
+	 *
+	 * @param {ArrayBuffer|TypedArray} buffer The buffer, or a view of it.
+	 * @param {object} options Options:
+	 *        - codec: an object with `decode(bytes)` to turn the stored values
+	 *          back, see `serialize`. The bytes are a view into the buffer, so
+	 *          should be copied if they are kept.
+	 *        - storage, keys: to use another storage than the hash was made
+	 *          with, see the constructors.
+	 * @return {SpatialHash} The hash.
+	 */
+	static deserialize(buffer, {codec = bytesCodec, ...options} = {}){
+		const view = ArrayBuffer.isView(buffer)
+				? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+				: new DataView(buffer);
+		
+		if(view.byteLength < 32 || view.getUint32(0, true) !== FORMAT_MAGIC){
+			throw new Error("Not a serialized spatial hash");
+		}
+		
+		const version = view.getUint16(4, true);
+		if(version !== FORMAT_VERSION){
+			throw new Error(`Unsupported format version: ${version}`);
+		}
+		
+		const format = hashFormats[view.getUint8(6)];
+		if(!format){
+			throw new Error(`Unknown hash type: ${view.getUint8(6)}`);
+		}
+		
+		const flags = view.getUint8(7),
+			numElements = view.getUint32(16, true),
+			count = view.getUint32(20, true);
+		
+		if(numElements < 2){
+			throw new Error(`Expected shapes of at least 2 elements, got ${numElements}`);
+		}
+		
+		// each shape takes its coordinates and the length of its value
+		if(count * ((numElements - 1) * 8 + 4) > view.byteLength - 32){
+			throw new Error(`The buffer is too short for ${count} shapes of ${numElements} elements`);
+		}
+		
+		const coords = new Float64Array(count * (numElements - 1)),
+			starts = new Array(count);
+		
+		let offset = 32 + coords.length * 8;
+		for(let i = 0; i < count && offset + 4 <= view.byteLength; i++){
+			starts[i] = offset;
+			offset += 4 + view.getUint32(offset, true);
+		}
+		
+		if(offset > view.byteLength || (count && starts[count - 1] === undefined)){
+			throw new Error("The buffer is too short");
+		}
+		
+		for(let i = 0; i < coords.length; i++){
+			coords[i] = view.getFloat64(32 + i * 8, true);
+		}
+		
+		return restoreHash(this, format, view.getFloat64(8, true), numElements, view.getFloat64(24, true),
+			{storage: flags & 1 ? 'typed' : 'object', keys: flags & 2 ? 'string' : 'packed', ids: (flags & 4) !== 0,
+				valueIndex: (flags & 8) !== 0, ...options},
+			coords, count, (i) => codec.decode(new Uint8Array(view.buffer,
+				view.byteOffset + starts[i] + 4, view.getUint32(starts[i], true))));
+	}
+	
+	/**
+	 * Find the index in the cell array where the given values start.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {any} args The values to find.
+	 * @return {number} The starting index, or -1.
+	 */
+	findIndex(cellX, cellY, ...args){
+		const arr = this.cell(cellX, cellY);
+		
+		if(!arr){
+			return -1;
+		}
+		
+		return findSubArray(arr, this.numElements, ...args);
+	}
+	
+	/**
+	 * Find the index in the cell array where the shape with the given id
+	 * starts. This relies on the id that such shapes are stored with as their
+	 * last array element.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} id The id of the shape.
+	 * @return {number} The starting index, or -1.
+	 */
+	findIdIndex(cellX, cellY, id){
+		const arr = this.cell(cellX, cellY),
+			stride = this.numElements;
+		
+		if(!arr){
+			return -1;
+		}
+		
+		for(let i = stride - 1; i < arr.length; i += stride){
+			if(arr[i] === id){
+				return i - stride + 1;
+			}
+		}
+		
+		return -1;
+	}
+	
+	/**
+	 * Find where the shape with the given id is stored, for hashes made with
+	 * the `ids` option. Only the one cell recorded for the id is searched.
+	 *
+	 * @param {number} id The id of the shape.
+	 * @return {array|undefined} The [cellX, cellY, index] of the shape in a
+	 *         cell array, or undefined if there is no shape with the id.
+	 */
+	locate(id){
+		if(!this.locations){
+			throw new Error("The hash does not keep ids, make it with the ids option");
+		}
+		
+		const key = this.locations.get(id);
+		if(key === undefined){
+			return undefined;
+		}
+		
+		const [cellX, cellY] = keyCell(key);
+		return [cellX, cellY, this.findIdIndex(cellX, cellY, id)];
+	}
+	
+	/**
+	 * Get the shape with the given id, for hashes made with the `ids` option.
+	 *
+	 * @param {number} id The id, as returned when the shape was added.
+	 * @return {array|undefined} The array elements of the shape with its value,
+	 *         but without the id, or undefined if there is no such shape.
+	 */
+	getById(id){
+		const loc = this.locate(id);
+		if(!loc){
+			return undefined;
+		}
+		
+		const shape = this.store.read(this.cell(loc[0], loc[1]), loc[2]);
+		shape.pop(); // the id
+		
+		return shape;
+	}
+	
+	/**
+	 * Remove the shape with the given id, for hashes made with the `ids`
+	 * option. This tells apart shapes with the same coordinates.
+	 *
+	 * @param {number} id The id, as returned when the shape was added.
+	 * @return {array|undefined} The array elements of the removed shape with
+	 *         its value, but without the id, or undefined if there was no such
+	 *         shape.
+	 */
+	removeById(id){
+		const shape = this.getById(id);
+		if(!shape){
+			return undefined;
+		}
+		
+		shape.push(id);
+		this.removeWithId(shape);
+		shape.pop();
+		
+		return shape;
+	}
+	
+	/**
+	 * Remove a stored shape from all the grid cells that it covers, by its id,
+	 * and forget where it was if the hash tracks that.
+	 *
+	 * @param {array} shape The array elements of the shape, ending with its
+	 *        value and id.
+	 */
+	removeWithId(shape){
+		const id = shape[shape.length - 1];
+		
+		for(const [cellX, cellY] of this.shapeCells(shape)){
+			this.removeFromCell(cellX, cellY, this.findIdIndex(cellX, cellY, id));
+		}
+		
+		if(this.locations){
+			this.untrack(id, shape[shape.length - 2]);
+		}
+		this.shapeCount--;
+	}
+	
+	/**
+	 * Move the shape with the given id to new coordinates, for hashes made
+	 * with the `ids` option. The shape keeps its id and value.
+	 *
+	 * @param {number} id The id, as returned when the shape was added.
+	 * @param {number} coords The new coordinates of the shape, as they would be
+	 *        given to add it, without the value.
+	 * @return {boolean} Whether there was a shape with the id.
+	 */
+	updateById(id, ...coords){
+		if(coords.length !== this.numElements - 2){
+			throw new Error(`Expected ${this.numElements - 2} coordinates, got ${coords.length}`);
+		}
+		
+		const loc = this.locate(id);
+		if(!loc){
+			return false;
+		}
+		
+		this.moveShape(...loc, coords);
+		return true;
+	}
+	
+	/**
+	 * Move a stored shape to new coordinates. Only the grid cells that the
+	 * shape leaves or enters are changed, in the cells that it stays in its
+	 * coordinates are overwritten in place. The shape keeps its value and id.
+	 *
+	 * @param {number} cellX The x coordinate of a grid cell with the shape.
+	 * @param {number} cellY The y coordinate of that grid cell.
+	 * @param {number} idx The index in that cell array where the shape starts.
+	 * @param {array} coords The new coordinates: the array elements of the
+	 *        shape before its value.
+	 */
+	moveShape(cellX, cellY, idx, coords){
+		const shape = this.store.read(this.cell(cellX, cellY), idx),
+			id = shape[this.numElements - 1],
+			next = coords.concat(shape.slice(coords.length)),
+			enters = new Map;
+		
+		for(const [x, y] of this.shapeCells(next)){
+			enters.set(cellKey(x, y), [x, y]);
+		}
+		
+		if(this.locations){
+			this.locations.set(id, enters.keys().next().value);
+		}
+		
+		for(const [x, y] of this.shapeCells(shape)){
+			// only shapes in multiple cells, which have ids, are in other cells
+			const i = x === cellX && y === cellY ? idx : this.findIdIndex(x, y, id),
+				key = cellKey(x, y);
+			
+			if(enters.has(key)){
+				const arr = this.cell(x, y);
+				for(let j = 0; j < coords.length; j++){
+					arr[i + j] = coords[j];
+				}
+				enters.delete(key);
+			}else{
+				this.removeFromCell(x, y, i);
+			}
+		}
+		
+		for(const [x, y] of enters.values()){
+			this.addToCell(x, y, ...next);
+		}
+	}
+	
+	/**
+	 * Add a shape with a known id, to all the grid cells that it covers, and
+	 * record where it is for hashes made with the `ids` option.
+	 *
+	 * @param {any} args The array elements of the shape, ending with its id.
+	 * @return {number} The id.
+	 */
+	addWithId(...args){
+		const id = args[args.length - 1];
+		
+		this.shapeCount++;
+		for(const [cellX, cellY] of this.shapeCells(args)){
+			if(this.locations && !this.locations.has(id)){
+				this.track(id, args[args.length - 2], cellKey(cellX, cellY));
+			}
+			this.addToCell(cellX, cellY, ...args);
+		}
+		
+		return id;
+	}
+	
+	/**
+	 * Record where a newly added shape is, for hashes made with the `ids`
+	 * option, and by which value, with the `valueIndex` option.
+	 *
+	 * @param {number} id The id of the shape.
+	 * @param {any} val The value of the shape.
+	 * @param {number|string} key The key of a grid cell that it is in.
+	 */
+	track(id, val, key){
+		this.locations.set(id, key);
+		
+		if(this.byValue){
+			const ids = this.byValue.get(val);
+			if(ids){
+				ids.add(id);
+			}else{
+				this.byValue.set(val, new Set([id]));
+			}
+		}
+	}
+	
+	/**
+	 * Forget a removed shape, for hashes made with the `ids` option.
+	 *
+	 * @param {number} id The id of the shape.
+	 * @param {any} val The value of the shape.
+	 */
+	untrack(id, val){
+		this.locations.delete(id);
+		
+		if(this.byValue){
+			const ids = this.byValue.get(val);
+			ids.delete(id);
+			if(!ids.size){
+				this.byValue.delete(val);
+			}
+		}
+	}
+	
+	/**
+	 * Find the ids of the shapes with a value, for hashes made with the
+	 * `valueIndex` option.
+	 *
+	 * @param {any} val The value.
+	 * @return {array} The ids.
+	 */
+	idsOf(val){
+		const ids = this.byValue.get(val);
+		return ids ? [...ids] : [];
+	}
+	
+	/**
+	 * Find the given sequence of values, and the values that are stored along
+	 * with it.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {any} args The values to find.
+	 * @return {array} The found values, or undefined.
+	 */
+	findValues(cellX, cellY, ...args){
+		const arr = this.cell(cellX, cellY);
+		
+		if(!arr){
+			return undefined;
+		}
+		
+		const idx = findSubArray(arr, this.numElements, ...args);
+		
+		if(idx === -1){
+			return undefined;
+		}
+		
+		return this.store.read(arr, idx);
+	}
+	
+	/**
+	 * Remove the shape at the given index in the given grid cell, that was
+	 * added with `addAt`, and stop counting it.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} idx The index in the grid cell array.
+	 * @return {array} An array with the removed data, or an empty array if
+	 *         there was nothing to remove.
+	 */
+	removeAt(cellX, cellY, idx){
+		const removed = this.removeFromCell(cellX, cellY, idx);
+		
+		if(removed.length){
+			this.shapeCount--;
+		}
+		
+		return removed;
+	}
+	
+	/**
+	 * Remove (a copy of) the shape at the given index in the given grid cell,
+	 * without counting it, see `addToCell`.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} idx The index in the grid cell array.
+	 * @return {array} An array with the removed data, or an empty array if
+	 *         there was nothing to remove.
+	 */
+	removeFromCell(cellX, cellY, idx){
+		return this.store.remove(cellX, cellY, idx);
+	}
+	
+	/**
+	 * Visit the non-empty grid cells ring by ring outward from the cell of a
+	 * given point, for as long as the next ring can hold shapes nearer than a
+	 * given limit. If a ring would be larger than the number of cells left to
+	 * visit, the remaining cells are visited directly instead.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {function} limit Returns the squared distance within which shapes
+	 *        are still of interest.
+	 * @param {function} fn Called with the array of each visited cell.
+	 */
+	searchRings(x, y, limit, fn){
+		for(const [edge2, arr] of this.cellsByRing(x, y)){
+			if(edge2 > limit()){
+				break;
+			}
+			
+			fn(arr);
+		}
+	}
+	
+	/**
+	 * Find the non-empty grid cells ring by ring outward from the cell of a
+	 * given point. The rings are only looked up as they are reached, so that
+	 * a search that stops early does not touch the farther cells. Only the
+	 * parts of the rings within the cell bounds are looked up, starting at
+	 * the first ring that reaches them. If a ring would be larger than the
+	 * number of cells left, the remaining cells are given directly instead.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @yield {array} The [edge², arr] of each cell, where edge² is the squared
+	 *        distance within which no shape in this or any later cell lies.
+	 */
+	*cellsByRing(x, y){
+		const sz = this.cellSize,
+			cx = this.cellCoord(x),
+			cy = this.cellCoord(y),
+			{minCellX, minCellY, maxCellX, maxCellY} = this,
+			// the most cells of a ring that lie within the bounds
+			span = 2 * (maxCellX - minCellX + maxCellY - minCellY + 2),
+			first = Math.max(0, minCellX - cx, cx - maxCellX, minCellY - cy, cy - maxCellY),
+			last = Math.max(cx - minCellX, maxCellX - cx, cy - minCellY, maxCellY - cy);
+		
+		let seen = 0;
+		for(let r = first; r <= last && seen < this.cellCount; r++){
+			// nearest any shape outside the rings visited so far can be
+			const edge = r === 0 ? 0 : Math.min(
+					x - (cx - r + 1) * sz, (cx + r) * sz - x,
+					y - (cy - r + 1) * sz, (cy + r) * sz - y),
+				edge2 = edge * edge;
+			
+			if(Math.min(8 * r, span) > this.cellCount - seen){
+				for(const [cellX, cellY, arr] of this.store.entries()){
+					if(Math.max(Math.abs(cellX - cx), Math.abs(cellY - cy)) >= r){
+						yield [edge2, arr];
+					}
+				}
+				
+				return;
+			}
+			
+			for(const [cellX, cellY] of ringCells(cx, cy, r, minCellX, minCellY, maxCellX, maxCellY)){
+				const arr = this.cell(cellX, cellY);
+				
+				if(arr){
+					seen++;
+					yield [edge2, arr];
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Find the non-empty grid cells within a distance of a given line
+	 * segment, nearest first. The search spreads out from the cell of the
+	 * first point to the neighbours of each cell it reaches, keeping the
+	 * cells to visit in a heap by their distance to the segment, so that a
+	 * search that stops early does not touch the farther cells.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The maximum distance from the segment.
+	 * @yield {array} The [dist², arr] of each cell, where dist² is the squared
+	 *        distance between the segment and the cell, within which no shape
+	 *        in this or any later cell lies.
+	 */
+	*cellsNearSegment(x1, y1, x2, y2, eps){
+		const sz = this.cellSize,
+			eps2 = eps * eps,
+			heap = new DistanceHeap,
+			reached = new Set;
+		
+		const reach = (cellX, cellY) => {
+			const key = cellKey(cellX, cellY);
+			
+			if(reached.has(key)){
+				return;
+			}
+			reached.add(key);
+			
+			const left = cellX * sz,
+				upper = cellY * sz,
+				dist2 = segBoxDistSq(x1, y1, x2, y2, left, upper, left + sz, upper + sz);
+			
+			if(dist2 <= eps2){
+				heap.push(dist2, [cellX, cellY]);
+			}
+		};
+		
+		reach(this.cellCoord(x1), this.cellCoord(y1));
+		
+		// the cells within any distance of the segment are connected, so
+		// they are all reached before any farther cell
+		let found = 0;
+		while(heap.size && found < this.cellCount){
+			const dist2 = heap.peek(),
+				[cellX, cellY] = heap.pop(),
+				arr = this.cell(cellX, cellY);
+			
+			if(arr){
+				found++;
+				yield [dist2, arr];
+			}
+			
+			reach(cellX - 1, cellY);
+			reach(cellX + 1, cellY);
+			reach(cellX, cellY - 1);
+			reach(cellX, cellY + 1);
+		}
+	}
+	
+	/**
+	 * Find grid cells covered by a given axis-aligned bounding box.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} width The width of the box.
+	 * @param {number} height The height of the box.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*cellsUnderExtent(x, y, width, height){
+		const startX = this.cellCoord(x),
+			startY = this.cellCoord(y),
+			endX = this.cellCoord(x + width) + 1,
+			endY = this.cellCoord(y + height) + 1;
+		
+		for(let cellY = startY; cellY < endY; cellY++){
+			for(let cellX = startX; cellX < endX; cellX++){
+				yield [cellX, cellY];
+			}
+		}
+	}
+	
+	/**
+	 * Walk the grid cells a given line segment passes through, in order from
+	 * its first to its second point.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @yield {array} The [ax, ay, bx, by, cellX, cellY] of each piece (ax, ay)
+	 *        - (bx, by) of the segment, and the grid cell it lies in.
+	 */
+	*segmentPieces(x1, y1, x2, y2){
+		const sz = this.cellSize,
+			dx = x2 - x1,
+			dy = y2 - y1,
+			dirX = Math.sign(dx),
+			dirY = Math.sign(dy),
+			dydx = Math.abs(dy / dx),
+			dxdy = Math.abs(dx / dy),
+			startCellX = this.cellCoord(x1),
+			startCellY = this.cellCoord(y1),
+			endCellX = this.cellCoord(x2),
+			endCellY = this.cellCoord(y2),
+			steps = Math.abs(endCellX - startCellX) + Math.abs(endCellY - startCellY);
+		
+		let x = x1,
+			y = y1,
+			cellX = startCellX,
+			cellY = startCellY,
+			iter = 0;
+		
+		while((cellX !== endCellX || cellY !== endCellY) && iter <= steps){
+			const distX = (dirX < 0) ? x - cellX * sz : (cellX + 1) * sz - x,
+				distY = (dirY < 0) ? y - cellY * sz : (cellY + 1) * sz - y,
+				horX = distX,
+				horY = distX * dydx,
+				verX = distY * dxdy,
+				verY = distY,
+				hor = horX*horX + horY*horY,
+				ver = verX*verX + verY*verY,
+				prevX = x,
+				prevY = y,
+				prevCellX = cellX,
+				prevCellY = cellY;
+			
+			if(hor < ver){ // move in x
+				x = x + horX * dirX;
+				y = y + horY * dirY;
+				cellX = cellX + dirX;
+			}else{ // move in y
+				x = x + verX * dirX;
+				y = y + verY * dirY;
+				cellY = cellY + dirY;
+			}
+			
+			yield [prevX, prevY, x, y, prevCellX, prevCellY];
+			
+			iter++;
+		}
+		
+		// the rest of the segment, from where it entered (or started in) the
+		// last cell up to its end
+		yield [x, y, x2, y2, endCellX, endCellY];
+	}
+	
+	/**
+	 * Find grid cells covered by a given line segment. The cells are found
+	 * row by row, like forEachCellUnderSegment, taking in each row only the
+	 * cells along the part of the segment within eps of it, which needs no
+	 * bookkeeping to give each cell once, however wide eps is.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @yield {array} The [x, y] grid cell coordinates of the cells within eps
+	 *        of the segment.
+	 */
+	*cellsUnderSegment(x1, y1, x2, y2, eps = this.cellSize / 2){
+		const sz = this.cellSize,
+			eps2 = eps * eps,
+			dx = x2 - x1,
+			dy = y2 - y1,
+			startY = this.cellCoord(Math.min(y1, y2) - eps),
+			endY = this.cellCoord(Math.max(y1, y2) + eps);
+		
+		for(let cellY = startY; cellY <= endY; cellY++){
+			const upper = cellY * sz,
+				lower = upper + sz;
+			
+			// the x-extent of the part of the segment within eps of this row
+			let t0 = 0, t1 = 1;
+			if(dy !== 0){
+				const ta = (upper - eps - y1) / dy,
+					tb = (lower + eps - y1) / dy;
+				
+				t0 = Math.max(0, Math.min(ta, tb));
+				t1 = Math.min(1, Math.max(ta, tb));
+				
+				if(t0 > t1){
+					continue;
+				}
+			}
+			
+			const xa = x1 + t0 * dx,
+				xb = x1 + t1 * dx,
+				endX = this.cellCoord(Math.max(xa, xb) + eps);
+			
+			for(let cellX = this.cellCoord(Math.min(xa, xb) - eps); cellX <= endX; cellX++){
+				const left = cellX * sz;
+				
+				if(segBoxDistSq(x1, y1, x2, y2, left, upper, left + sz, lower) <= eps2){
+					yield [cellX, cellY];
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Call a function for each grid cell covered by a given axis-aligned
+	 * bounding box, like cellsUnderExtent but without allocating anything.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} width The width of the box.
+	 * @param {number} height The height of the box.
+	 * @param {function} fn Called with (cellX, cellY) of each cell, may return
+	 *        false to stop early.
+	 * @return {boolean} False if fn stopped early, true otherwise.
+	 */
+	forEachCellUnderExtent(x, y, width, height, fn){
+		const startX = this.cellCoord(x),
+			startY = this.cellCoord(y),
+			endX = this.cellCoord(x + width) + 1,
+			endY = this.cellCoord(y + height) + 1;
+		
+		for(let cellY = startY; cellY < endY; cellY++){
+			for(let cellX = startX; cellX < endX; cellX++){
+				if(fn(cellX, cellY) === false){
+					return false;
+				}
+			}
+		}
+		
+		return true;
+	}
+	
+	/**
+	 * Call a function for each grid cell within eps of a given line segment,
+	 * like cellsUnderSegment but without allocating anything. The cells are
+	 * visited in the same order, row by row.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @param {function} fn Called with (cellX, cellY) of each cell, may return
+	 *        false to stop early.
+	 * @return {boolean} False if fn stopped early, true otherwise.
+	 */
+	forEachCellUnderSegment(x1, y1, x2, y2, eps, fn){
+		const sz = this.cellSize,
+			eps2 = eps * eps,
+			dx = x2 - x1,
+			dy = y2 - y1,
+			startY = this.cellCoord(Math.min(y1, y2) - eps),
+			endY = this.cellCoord(Math.max(y1, y2) + eps);
+		
+		for(let cellY = startY; cellY <= endY; cellY++){
+			const upper = cellY * sz,
+				lower = upper + sz;
+			
+			// the x-extent of the part of the segment within eps of this row
+			let t0 = 0, t1 = 1;
+			if(dy !== 0){
+				const ta = (upper - eps - y1) / dy,
+					tb = (lower + eps - y1) / dy;
+				
+				t0 = Math.max(0, Math.min(ta, tb));
+				t1 = Math.min(1, Math.max(ta, tb));
+				
+				if(t0 > t1){
+					continue;
+				}
+			}
+			
+			const xa = x1 + t0 * dx,
+				xb = x1 + t1 * dx,
+				endX = this.cellCoord(Math.max(xa, xb) + eps);
+			
+			for(let cellX = this.cellCoord(Math.min(xa, xb) - eps); cellX <= endX; cellX++){
+				const left = cellX * sz;
+				
+				if(segBoxDistSq(x1, y1, x2, y2, left, upper, left + sz, lower) > eps2){
+					continue;
+				}
+				
+				if(fn(cellX, cellY) === false){
+					return false;
+				}
+			}
+		}
+		
+		return true;
+	}
+	
+	/**
+	 * Find grid cells covered by a given triangle.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the triangle.
+	 * @param {number} y1 The point 1 y-coordinate of the triangle.
+	 * @param {number} x2 The point 2 x-coordinate of the triangle.
+	 * @param {number} y2 The point 2 y-coordinate of the triangle.
+	 * @param {number} x3 The point 3 x-coordinate of the triangle.
+	 * @param {number} y3 The point 3 y-coordinate of the triangle.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*cellsUnderTriangle(x1, y1, x2, y2, x3, y3){
+		const sz = this.cellSize,
+			minX = Math.min(x1, x2, x3),
+			minY = Math.min(y1, y2, y3),
+			maxX = Math.max(x1, x2, x3),
+			maxY = Math.max(y1, y2, y3);
+		
+		for(const [cellX, cellY] of this.cellsUnderExtent(minX, minY, maxX - minX, maxY - minY)){
+			const left = cellX * sz,
+				upper = cellY * sz;
+			
+			if(triangleOverlapsBox(x1, y1, x2, y2, x3, y3, left, upper, left + sz, upper + sz)){
+				yield [cellX, cellY];
+			}
+		}
+	}
+	
+	/**
+	 * Find grid cells covered by a given circle.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius of the circle.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*cellsUnderCircle(cx, cy, r){
+		const sz = this.cellSize,
+			d = r + r,
+			r2 = r * r;
+		
+		for(const [cellX, cellY] of this.cellsUnderExtent(cx - r, cy - r, d, d)){
+			const left = cellX * sz,
+				upper = cellY * sz,
+				nx = Math.max(left, Math.min(cx, left + sz)),
+				ny = Math.max(upper, Math.min(cy, upper + sz));
+			
+			if(sqdist(cx, cy, nx, ny) <= r2){
+				yield [cellX, cellY];
+			}
+		}
+	}
+	
+	/**
+	 * Find grid cells crossed or touched by the edges of a given polygon or
+	 * polyline.
+	 *
+	 * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of
+	 *        at least two vertices.
+	 * @param {boolean} closed Whether the last vertex connects to the first.
+	 * @return {Set} The keys of the grid cells, see `cellKey`.
+	 */
+	edgeCells(vertices, closed = true){
+		const len = vertices.length,
+			cells = new Set;
+		
+		for(let i = 0; i < len; i += 2){
+			if(!closed && i + 2 === len){
+				break;
+			}
+			
+			for(const [cellX, cellY] of this.cellsUnderSegment(vertices[i], vertices[i + 1],
+					vertices[(i + 2) % len], vertices[(i + 3) % len], 0)){
+				cells.add(cellKey(cellX, cellY));
+			}
+		}
+		
+		return cells;
+	}
+	
+	/**
+	 * Find grid cells covered by a given polygon or polyline. For a closed
+	 * polygon this includes the cells in its interior.
+	 *
+	 * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of
+	 *        at least two vertices.
+	 * @param {boolean} closed Whether the last vertex connects to the first.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*cellsUnderPolygon(vertices, closed = true){
+		const sz = this.cellSize,
+			edgeCells = this.edgeCells(vertices, closed);
+		
+		for(const key of edgeCells){
+			yield keyCell(key);
+		}
+		
+		if(!closed){
+			return;
+		}
+		
+		// cells not crossed by an edge lie either entirely inside or entirely
+		// outside the polygon, so testing their center suffices
+		for(const [cellX, cellY] of this.cellsUnderExtent(...polygonExtent(vertices))){
+			if(!edgeCells.has(cellKey(cellX, cellY)) &&
+					pointInPolygon((cellX + 0.5) * sz, (cellY + 0.5) * sz, vertices)){
+				yield [cellX, cellY];
+			}
+		}
+	}
+}
+
+/**
+ * Grid cell storage as plain arrays, in a Map keyed by the cell coordinates.
+ */
+class ObjectCells {
+	/**
+	 * Make an object cell store.
+	 *
+	 * @param {number} stride Number of array elements per shape.
+	 * @param {string} keys Either 'packed' to key the cells by `cellKey`, or
+	 *        'string' to key them by "x,y" strings.
+	 */
+	constructor(stride, keys = 'packed'){
+		this.stride = stride;
+		this.key = keys === 'string' ? stringKey : cellKey;
+		this.map = new Map;
+	}
+	
+	/**
+	 * The number of non-empty cells.
+	 *
+	 * @return {number} The number of cells.
+	 */
+	get size(){
+		return this.map.size;
+	}
+	
+	/**
+	 * Remove all cells.
+	 */
+	clear(){
+		this.map.clear();
+	}
+	
+	/**
+	 * The options to make a hash with this kind of store.
+	 *
+	 * @return {object} The {storage, keys}.
+	 */
+	options(){
+		return {storage: 'object', keys: this.key === stringKey ? 'string' : 'packed'};
+	}
+	
+	/**
+	 * Estimate the memory used by the cells. This assumes about 80 bytes per
+	 * cell for the Map entry, the array and its backing store, more for keys
+	 * that are strings or too large to be small integers, and 8 bytes per
+	 * array element. The values themselves are not counted.
+	 *
+	 * @return {number} The estimate in bytes.
+	 */
+	memory(){
+		let bytes = 0;
+		for(const [key, arr] of this.map){
+			bytes += 80 + arr.length * 8;
+			
+			if(typeof key === 'string'){
+				bytes += 24 + key.length;
+			}else if(key >= 2 ** 30){
+				bytes += 16;
+			}
+		}
+		
+		return bytes;
+	}
+	
+	/**
+	 * Get the array of a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @return {array|undefined} The cell array, or undefined if it is empty.
+	 */
+	get(cellX, cellY){
+		return this.map.get(this.key(cellX, cellY));
+	}
+	
+	/**
+	 * Add a shape to a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {array} args The data of the shape.
+	 * @return {boolean} True if the cell was empty before.
+	 */
+	add(cellX, cellY, args){
+		const key = this.key(cellX, cellY),
+			arr = this.map.get(key);
+		
+		if(arr){
+			arr.push(...args);
+			return false;
+		}
+		
+		this.map.set(key, args.slice());
+		return true;
+	}
+	
+	/**
+	 * Make room in a cell for a number of shapes at once, to be filled in
+	 * with `put`.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} count The number of shapes to make room for.
+	 * @return {number} The length of the cell array before, where the room
+	 *         starts. 0 if the cell was empty.
+	 */
+	reserve(cellX, cellY, count){
+		const key = this.key(cellX, cellY),
+			arr = this.map.get(key);
+		
+		if(!arr){
+			this.map.set(key, new Array(count * this.stride));
+			return 0;
+		}
+		
+		const len = arr.length;
+		arr.length = len + count * this.stride;
+		return len;
+	}
+	
+	/**
+	 * Write a shape into room made by `reserve`.
+	 *
+	 * @param {array} arr The cell array.
+	 * @param {number} idx The index of the shape in the cell array.
+	 * @param {array} args The data of the shape.
+	 */
+	put(arr, idx, args){
+		for(let j = 0; j < this.stride; j++){
+			arr[idx + j] = args[j];
+		}
+	}
+	
+	/**
+	 * Copy a shape out of a cell array.
+	 *
+	 * @param {array} arr The cell array.
+	 * @param {number} idx The index of the shape in the cell array.
+	 * @return {array} The data of the shape.
+	 */
+	read(arr, idx){
+		return arr.slice(idx, idx + this.stride);
+	}
+	
+	/**
+	 * Remove a shape from a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} idx The index of the shape in the cell array.
+	 * @return {array} The data of the removed shape, or an empty array.
+	 */
+	remove(cellX, cellY, idx){
+		const key = this.key(cellX, cellY),
+			arr = this.map.get(key);
+		
+		if(!arr){
+			return [];
+		}
+		
+		const ret = arr.splice(idx, this.stride);
+		if(!arr.length){
+			this.map.delete(key);
+		}
+		
+		return ret;
+	}
+	
+	/**
+	 * The value that a shape was stored with.
+	 *
+	 * @param {any} v The value element of the shape.
+	 * @return {any} The value.
+	 */
+	value(v){
+		return v;
+	}
+	
+	/**
+	 * Iterate over the non-empty cells.
+	 *
+	 * @yield {array} The [cellX, cellY, arr] of each cell.
+	 */
+	*entries(){
+		for(const [key, arr] of this.map){
+			const [cellX, cellY] = keyCell(key);
+			yield [cellX, cellY, arr];
+		}
+	}
+}
+
+// zig-zag encoded cell coordinates below this are packed into one number
+const PACK_RANGE = 2 ** 26;
+
+/**
+ * Make the key of a grid cell. Cell coordinates in [-2^25, 2^25) are zig-zag
+ * encoded (0, -1, 1, -2, ... become 0, 1, 2, 3, ...) and packed into a single
+ * safe integer, so no string has to be built. Cells further out, which only
+ * very large coordinates or very small cell sizes reach, fall back to an "x,y"
+ * string key. Both kinds of key can be mixed in one Map or Set.
+ *
+ * @param {number} cellX The grid cell x coordinate.
+ * @param {number} cellY The grid cell y coordinate.
+ * @return {number|string} The key.
+ */
+function cellKey(cellX, cellY){
+	const zx = cellX >= 0 ? cellX * 2 : -cellX * 2 - 1,
+		zy = cellY >= 0 ? cellY * 2 : -cellY * 2 - 1;
+	
+	if(zx < PACK_RANGE && zy < PACK_RANGE){
+		return zx * PACK_RANGE + zy;
+	}
+	
+	return stringKey(cellX, cellY);
+}
+
+/**
+ * Make the "x,y" string key of a grid cell.
+ *
+ * @param {number} cellX The grid cell x coordinate.
+ * @param {number} cellY The grid cell y coordinate.
+ * @return {string} The key.
+ */
+function stringKey(cellX, cellY){
+	return cellX + ',' + cellY;
+}
+
+/**
+ * Get the grid cell coordinates back from a key made by `cellKey` or
+ * `stringKey`.
+ *
+ * @param {number|string} key The key.
+ * @return {array} The [cellX, cellY] grid cell coordinates.
+ */
+function keyCell(key){
+	if(typeof key === 'string'){
+		return key.split(',').map(Number);
+	}
+	
+	const zx = Math.floor(key / PACK_RANGE),
+		zy = key - zx * PACK_RANGE;
+	
+	return [zx % 2 ? -(zx + 1) / 2 : zx / 2, zy % 2 ? -(zy + 1) / 2 : zy / 2];
+}
+
+/**
+ * Grid cell storage in a single Float64Array, found through an open addressing
+ * (linear probing) index on the cell coordinates. Each cell's shapes are kept
+ * in a block of the array, with blocks of 2^k shapes reused from a free list
+ * per size. The values of the shapes are kept in a separate array, and
+ * referenced by their index in it. This avoids building string keys and makes
+ * far fewer objects for the garbage collector to track, but only numbers can
+ * be stored besides the values.
+ */
+class TypedCells {
+	/**
+	 * Make a typed-array cell store.
+	 *
+	 * @param {number} stride Number of array elements per shape.
+	 * @param {number} valueSlot The index of the value in the elements of a
+	 *        shape.
+	 */
+	constructor(stride, valueSlot){
+		this.stride = stride;
+		this.valueSlot = valueSlot;
+		this.clear();
+	}
+	
+	/**
+	 * Remove all cells, and start over with empty arrays.
+	 */
+	clear(){
+		// number of non-empty cells
+		this.size = 0;
+		// the index: cell coordinates and bucket number per slot, -1 for empty
+		this.capacity = 16;
+		this.keysX = new Float64Array(this.capacity);
+		this.keysY = new Float64Array(this.capacity);
+		this.slots = new Int32Array(this.capacity).fill(-1);
+		// the shape data, and the end of the part of it handed out as blocks
+		this.data = new Float64Array(this.stride * 1024);
+		this.top = 0;
+		// per block size 2^k: the offsets of the unused blocks
+		this.freeBlocks = [];
+		// per bucket: its block offset, block size 2^k, and elements in use
+		this.offsets = [];
+		this.sizes = [];
+		this.lengths = [];
+		this.freeBuckets = [];
+		// the values and the unused indices in them
+		this.values = [];
+		this.freeValues = [];
+	}
+	
+	/**
+	 * Estimate the memory used by the cells: the typed arrays, and 8 bytes
+	 * per element of the other arrays. The values themselves are not counted.
+	 *
+	 * @return {number} The estimate in bytes.
+	 */
+	memory(){
+		const elements = this.offsets.length + this.sizes.length + this.lengths.length +
+			this.freeBuckets.length + this.values.length + this.freeValues.length +
+			this.freeBlocks.reduce((sum, free) => sum + (free ? free.length : 0), 0);
+		
+		return this.keysX.byteLength + this.keysY.byteLength + this.slots.byteLength +
+			this.data.byteLength + elements * 8;
+	}
+	
+	/**
+	 * The options to make a hash with this kind of store.
+	 *
+	 * @return {object} The {storage, keys}.
+	 */
+	options(){
+		return {storage: 'typed', keys: 'packed'};
+	}
+	
+	/**
+	 * Find the index slot of a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @return {number} The slot with the cell, or the empty slot it would go in.
+	 */
+	find(cellX, cellY){
+		const mask = this.capacity - 1;
+		for(let i = cellHash(cellX, cellY) & mask; ; i = (i + 1) & mask){
+			if(this.slots[i] === -1 || (this.keysX[i] === cellX && this.keysY[i] === cellY)){
+				return i;
+			}
+		}
+	}
+	
+	/**
+	 * Double the capacity of the index.
+	 */
+	grow(){
+		const {keysX, keysY, slots} = this;
+		
+		this.capacity *= 2;
+		this.keysX = new Float64Array(this.capacity);
+		this.keysY = new Float64Array(this.capacity);
+		this.slots = new Int32Array(this.capacity).fill(-1);
+		
+		for(let i = 0; i < slots.length; i++){
+			if(slots[i] !== -1){
+				const j = this.find(keysX[i], keysY[i]);
+				this.keysX[j] = keysX[i];
+				this.keysY[j] = keysY[i];
+				this.slots[j] = slots[i];
+			}
+		}
+	}
+	
+	/**
+	 * Hand out a block of the data array.
+	 *
+	 * @param {number} k The block holds 2^k shapes.
+	 * @return {number} The offset of the block.
+	 */
+	alloc(k){
+		const free = this.freeBlocks[k];
+		if(free && free.length){
+			return free.pop();
+		}
+		
+		const len = this.stride << k,
+			offset = this.top;
+		
+		if(offset + len > this.data.length){
+			const grown = new Float64Array(Math.max(this.data.length * 2, offset + len));
+			grown.set(this.data);
+			this.data = grown;
+		}
+		
+		this.top += len;
+		return offset;
+	}
+	
+	/**
+	 * Return a block of the data array for reuse.
+	 *
+	 * @param {number} k The block holds 2^k shapes.
+	 * @param {number} offset The offset of the block.
+	 */
+	free(k, offset){
+		(this.freeBlocks[k] || (this.freeBlocks[k] = [])).push(offset);
+	}
+	
+	/**
+	 * Get the array of a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @return {Float64Array|undefined} A view on the used part of the block of
+	 *         the cell, or undefined if it is empty.
+	 */
+	get(cellX, cellY){
+		const b = this.slots[this.find(cellX, cellY)];
+		
+		if(b === -1){
+			return undefined;
+		}
+		
+		const offset = this.offsets[b];
+		return this.data.subarray(offset, offset + this.lengths[b]);
+	}
+	
+	/**
+	 * Find the bucket of a cell, making an empty one if it has none.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @return {number} The bucket.
+	 */
+	bucket(cellX, cellY){
+		let i = this.find(cellX, cellY),
+			b = this.slots[i];
+		
+		if(b === -1){
+			// keep the index at most half full
+			if(2 * (this.size + 1) > this.capacity){
+				this.grow();
+				i = this.find(cellX, cellY);
+			}
+			
+			b = this.freeBuckets.length ? this.freeBuckets.pop() : this.offsets.length;
+			this.offsets[b] = this.alloc(0);
+			this.sizes[b] = 0;
+			this.lengths[b] = 0;
+			this.keysX[i] = cellX;
+			this.keysY[i] = cellY;
+			this.slots[i] = b;
+			this.size++;
+		}
+		
+		return b;
+	}
+	
+	/**
+	 * Move a bucket to a larger block if it can't hold the given number of
+	 * elements.
+	 *
+	 * @param {number} b The bucket.
+	 * @param {number} len The number of elements it should hold.
+	 */
+	fit(b, len){
+		let k = this.sizes[b];
+		
+		if(len <= this.stride << k){
+			return;
+		}
+		
+		while(len > this.stride << k){
+			k++;
+		}
+		
+		const offset = this.alloc(k);
+		
+		this.data.copyWithin(offset, this.offsets[b], this.offsets[b] + this.lengths[b]);
+		this.free(this.sizes[b], this.offsets[b]);
+		this.offsets[b] = offset;
+		this.sizes[b] = k;
+	}
+	
+	/**
+	 * Add a shape to a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {array} args The data of the shape.
+	 * @return {boolean} True if the cell was empty before.
+	 */
+	add(cellX, cellY, args){
+		const b = this.bucket(cellX, cellY),
+			len = this.lengths[b];
+		
+		// move to a block twice the size when full
+		this.fit(b, len + this.stride);
+		this.put(this.data, this.offsets[b] + len, args);
+		this.lengths[b] = len + this.stride;
+		
+		return len === 0;
+	}
+	
+	/**
+	 * Make room in a cell for a number of shapes at once, to be filled in
+	 * with `put`.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} count The number of shapes to make room for.
+	 * @return {number} The length of the cell array before, where the room
+	 *         starts. 0 if the cell was empty.
+	 */
+	reserve(cellX, cellY, count){
+		const b = this.bucket(cellX, cellY),
+			len = this.lengths[b];
+		
+		this.fit(b, len + count * this.stride);
+		this.lengths[b] = len + count * this.stride;
+		
+		return len;
+	}
+	
+	/**
+	 * Write a shape into a cell array, keeping its value aside.
+	 *
+	 * @param {Float64Array} arr The cell array, or the data array.
+	 * @param {number} idx The index of the shape in the array.
+	 * @param {array} args The data of the shape.
+	 */
+	put(arr, idx, args){
+		for(let j = 0; j < this.stride; j++){
+			arr[idx + j] = args[j];
+		}
+		
+		const v = this.freeValues.length ? this.freeValues.pop() : this.values.length;
+		this.values[v] = args[this.valueSlot];
+		arr[idx + this.valueSlot] = v;
+	}
+	
+	/**
+	 * Copy a shape out of a cell array.
+	 *
+	 * @param {Float64Array} arr The cell array.
+	 * @param {number} idx The index of the shape in the cell array.
+	 * @return {array} The data of the shape, with its value.
+	 */
+	read(arr, idx){
+		const ret = new Array(this.stride);
+		for(let j = 0; j < this.stride; j++){
+			ret[j] = arr[idx + j];
+		}
+		
+		ret[this.valueSlot] = this.values[ret[this.valueSlot]];
+		return ret;
+	}
+	
+	/**
+	 * Remove a shape from a cell.
+	 *
+	 * @param {number} cellX The grid cell x coordinate.
+	 * @param {number} cellY The grid cell y coordinate.
+	 * @param {number} idx The index of the shape in the cell array.
+	 * @return {array} The data of the removed shape, or an empty array.
+	 */
+	remove(cellX, cellY, idx){
+		const i = this.find(cellX, cellY),
+			b = this.slots[i];
+		
+		if(b === -1){
+			return [];
+		}
+		
+		const offset = this.offsets[b],
+			len = this.lengths[b],
+			at = offset + idx,
+			ret = this.read(this.data, at),
+			v = this.data[at + this.valueSlot];
+		
+		this.values[v] = undefined;
+		this.freeValues.push(v);
+		
+		// keep the order of the remaining shapes, like splice
+		this.data.copyWithin(at, at + this.stride, offset + len);
+		this.lengths[b] = len - this.stride;
+		
+		if(this.lengths[b] === 0){
+			this.free(this.sizes[b], offset);
+			this.freeBuckets.push(b);
+			this.removeSlot(i);
+			this.size--;
+		}
+		
+		return ret;
+	}
+	
+	/**
+	 * Empty a slot of the index, shifting back the entries after it that
+	 * would no longer be found otherwise.
+	 *
+	 * @param {number} i The slot.
+	 */
+	removeSlot(i){
+		const mask = this.capacity - 1;
+		let hole = i;
+		
+		for(let j = (i + 1) & mask; this.slots[j] !== -1; j = (j + 1) & mask){
+			const home = cellHash(this.keysX[j], this.keysY[j]) & mask;
+			
+			// move it if the hole lies between its home slot and where it is
+			if(((j - home) & mask) >= ((j - hole) & mask)){
+				this.keysX[hole] = this.keysX[j];
+				this.keysY[hole] = this.keysY[j];
+				this.slots[hole] = this.slots[j];
+				hole = j;
+			}
+		}
+		
+		this.slots[hole] = -1;
+	}
+	
+	/**
+	 * The value that a shape was stored with.
+	 *
+	 * @param {number} v The value element of the shape: its index in the
+	 *        values.
+	 * @return {any} The value.
+	 */
+	value(v){
+		return this.values[v];
+	}
+	
+	/**
+	 * Iterate over the non-empty cells.
+	 *
+	 * @yield {array} The [cellX, cellY, arr] of each cell.
+	 */
+	*entries(){
+		for(let i = 0; i < this.capacity; i++){
+			const b = this.slots[i];
+			if(b !== -1){
+				const offset = this.offsets[b];
+				yield [this.keysX[i], this.keysY[i], this.data.subarray(offset, offset + this.lengths[b])];
+			}
+		}
+	}
+}
+
+/**
+ * Hash grid cell coordinates for the index of `TypedCells`.
+ *
+ * @param {number} cellX The grid cell x coordinate.
+ * @param {number} cellY The grid cell y coordinate.
+ * @return {number} The hash, a 32-bit integer.
+ */
+function cellHash(cellX, cellY){
+	const h = Math.imul(cellX | 0, 0x9e3779b1) ^ Math.imul(cellY | 0, 0x85ebca77);
+	return h ^ (h >>> 15);
+}
+
+/**
+ * Make the storage for the grid cells of a hash.
+ *
+ * @param {string} storage Either 'object' or 'typed'.
+ * @param {number} stride Number of array elements per shape.
+ * @param {number} valueSlot The index of the value in the elements of a shape.
+ * @param {string} keys The kind of keys of an 'object' store.
+ * @return {ObjectCells|TypedCells} The store.
+ */
+function makeStore(storage, stride, valueSlot, keys){
+	if(storage === 'typed'){
+		return new TypedCells(stride, valueSlot);
+	}
+	
+	if(storage !== 'object'){
+		throw new Error(`Unknown storage: ${storage}`);
+	}
+	
+	return new ObjectCells(stride, keys);
+}
+
+/**
+ * The options of a query that choose which of the shapes found are given, how
+ * many, and in which order.
+ */
+class QueryFilter {
+	/**
+	 * Make the filter for a query.
+	 *
+	 * @param {object} options The options of the query:
+	 *        - filter {function}: Called with the value of each shape looked
+	 *          at, before its coordinates are tested, returns whether the
+	 *          shape may be given. By default all shapes may be.
+	 *        - limit {number}: The maximum number of shapes to give, the
+	 *          search stops when it is reached. Infinite by default.
+	 *        - exclude {array|Set}: Values of shapes to leave out.
+	 *        - sorted {boolean}: Give the shapes nearest first, for the
+	 *          queries that can, the others ignore it. False by default.
+	 */
+	constructor({filter, limit = Infinity, exclude, sorted = false} = {}){
+		this.filter = filter;
+		this.left = limit;
+		this.exclude = exclude === undefined ? undefined : new Set(exclude);
+		this.sorted = sorted;
+	}
+	
+	/**
+	 * Whether the query has given as many shapes as it may.
+	 *
+	 * @return {boolean} True if the limit is reached.
+	 */
+	get done(){
+		return this.left <= 0;
+	}
+	
+	/**
+	 * Test whether a shape may be given, before its coordinates are tested,
+	 * which usually costs more.
+	 *
+	 * @param {any} val The value of the shape.
+	 * @return {boolean} True if the limit is not reached yet, and the shape is
+	 *         not excluded or filtered out.
+	 */
+	accepts(val){
+		return !this.done && (this.exclude === undefined || !this.exclude.has(val)) &&
+			(this.filter === undefined || this.filter(val));
+	}
+	
+	/**
+	 * Count a shape that is given.
+	 *
+	 * @return {boolean} True if the limit is reached with it.
+	 */
+	take(){
+		return --this.left <= 0;
+	}
+	
+	/**
+	 * Go through the cells to search, or any other items, until the limit is
+	 * reached. With `accepts` turning down the shapes left in the cell at
+	 * hand, this stops a query once it has given enough shapes.
+	 *
+	 * @param {iterable} items The items.
+	 * @yield {any} The items.
+	 */
+	*untilDone(items){
+		if(this.done){
+			return;
+		}
+		
+		for(const item of items){
+			yield item;
+			if(this.done){
+				return;
+			}
+		}
+	}
+}
+
+/**
+ * A binary min-heap of items by their (squared) distance.
+ */
+class DistanceHeap {
+	/**
+	 * Make an empty heap.
+	 */
+	constructor(){
+		this.dists = [];
+		this.items = [];
+	}
+	
+	/**
+	 * The number of items in the heap.
+	 *
+	 * @return {number} The number of items.
+	 */
+	get size(){
+		return this.dists.length;
+	}
+	
+	/**
+	 * The smallest distance in the heap.
+	 *
+	 * @return {number} The distance, or Infinity if the heap is empty.
+	 */
+	peek(){
+		return this.dists.length ? this.dists[0] : Infinity;
+	}
+	
+	/**
+	 * Add an item to the heap.
+	 *
+	 * @param {number} dist The distance of the item.
+	 * @param {any} item The item.
+	 */
+	push(dist, item){
+		const dists = this.dists,
+			items = this.items;
+		let i = dists.length;
+		
+		// move the parents down until the item fits
+		while(i > 0){
+			const parent = (i - 1) >> 1;
+			if(dists[parent] <= dist){
+				break;
+			}
+			
+			dists[i] = dists[parent];
+			items[i] = items[parent];
+			i = parent;
+		}
+		
+		dists[i] = dist;
+		items[i] = item;
+	}
+	
+	/**
+	 * Remove the item with the smallest distance from the heap.
+	 *
+	 * @return {any} The item.
+	 */
+	pop(){
+		const dists = this.dists,
+			items = this.items,
+			top = items[0],
+			dist = dists.pop(),
+			item = items.pop(),
+			len = dists.length;
+		
+		if(!len){
+			return top;
+		}
+		
+		// move the smaller children up until the last item fits
+		let i = 0,
+			child = 1;
+		while(child < len){
+			if(child + 1 < len && dists[child + 1] < dists[child]){
+				child++;
+			}
+			if(dist <= dists[child]){
+				break;
+			}
+			
+			dists[i] = dists[child];
+			items[i] = items[child];
+			i = child;
+			child = 2 * i + 1;
+		}
+		
+		dists[i] = dist;
+		items[i] = item;
+		return top;
+	}
+}
+
+/**
+ * A spatial hash for storing 2D points.
+ */
+class PointHash extends SpatialHash {
+	/**
+	 * Make a point hash.
+	 *
+	 * @param {number} cellSize The size of the grid cells.
+	 * @param {object} options Options:
+	 *        - storage: 'object' (default) to keep the grid cells as plain
+	 *          arrays, or 'typed' to keep them in Float64Arrays.
+	 *        - keys: for 'object' storage, 'packed' (default) to key the grid
+	 *          cells by numbers where possible, or 'string' to always key them
+	 *          by "x,y" strings.
+	 *        - ids: true to give each point an id, which `addPoint` returns,
+	 *          to find, remove and move it with `getById`, `removeById` and
+	 *          `updateById`. This takes an extra array element per point, and
+	 *          a Map entry. False by default.
+	 *        - valueIndex: true to keep track of the points by their value, so
+	 *          `findByValue` and `removeByValue` need not look through all
+	 *          the points. This needs the `ids` option, and takes a Map entry
+	 *          per value and a Set entry per point. False by default.
+	 */
+	constructor(cellSize, {storage = 'object', keys = 'packed', ids = false, valueIndex = false} = {}){
+		const stride = ids ? 4 : 3;
+		super(stride, cellSize, makeStore(storage, stride, 2, keys));
+		
+		if(valueIndex && !ids){
+			throw new Error("The valueIndex option needs the ids option");
+		}
+		
+		if(ids){
+			this.locations = new Map;
+		}
+		
+		if(valueIndex){
+			this.byValue = new Map;
+		}
+	}
+	
+	/**
+	 * Add a point with a value to associate. Note that this does not check for
+	 * duplicates.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {any} val A value to store with the point.
+	 * @return {PointHash|number} this, or the id of the point for hashes made
+	 *         with the `ids` option.
+	 */
+	addPoint(x, y, val){
+		if(this.locations){
+			return this.addWithId(x, y, val, this.nextId++);
+		}
+		
+		this.shapeCount++;
+		return this.addToCell(this.cellCoord(x), this.cellCoord(y), x, y, val);
+	}
+	
+	/**
+	 * Add many points at once, which is faster than adding them one by one.
+	 * Note that this does not check for duplicates.
+	 *
+	 * @param {array} coords The flat [x0, y0, x1, y1, ...] coordinates of the
+	 *        points, a plain or typed array.
+	 * @param {array} values The value to store with each point. If not given
+	 *        the index of the point is stored.
+	 * @return {PointHash} this. With the `ids` option, the points get
+	 *         consecutive ids, starting at the `nextId` before the call.
+	 */
+	addPoints(coords, values){
+		return this.addBulk(coords.length >> 1, (i, fn) => {
+			fn(this.cellCoord(coords[2 * i]), this.cellCoord(coords[2 * i + 1]));
+		}, (i, args) => {
+			args[0] = coords[2 * i];
+			args[1] = coords[2 * i + 1];
+			args[2] = values ? values[i] : i;
+			if(this.locations){
+				args[3] = this.nextId++;
+			}
+		});
+	}
+	
+	/**
+	 * Make a point hash from many points at once.
+	 *
+	 * @param {array} coords The flat [x0, y0, x1, y1, ...] coordinates of the
+	 *        points, a plain or typed array.
+	 * @param {array} values The value to store with each point. If not given
+	 *        the index of the point is stored.
+	 * @param {number} cellSize The size of the grid cells.
+	 * @param {object} options Options, see the constructor.
+	 * @return {PointHash} The new hash.
+	 */
+	static from(coords, values, cellSize = PointHash.cellSizeFor(coords), options){
+		return new PointHash(cellSize, options).addPoints(coords, values);
+	}
+	
+	/**
+	 * Choose a cell size for the given points, such that the grid cell of a
+	 * point holds about a given number of points. This is measured on a random
+	 * sample of the points.
+	 *
+	 * @param {array} coords The flat [x0, y0, x1, y1, ...] coordinates of the
+	 *        points, a plain or typed array.
+	 * @param {object} options Options:
+	 *        - occupancy: the number of points per cell to aim for (4).
+	 *        - sampleSize: about how many points to measure (1000).
+	 * @return {number} The cell size.
+	 */
+	static cellSizeFor(coords, {occupancy = 4, sampleSize = 1000} = {}){
+		const [, , w, h] = polygonExtent(coords),
+			// without any extent, a cell size of 1 is as good as any
+			max = Math.max(w, h) > 0 ? Math.max(w, h) : 1,
+			{sample, fraction} = sampleShapes(coords, 2, sampleSize);
+		
+		return estimateCellSize((cellSize) => new PointHash(cellSize), sample, fraction,
+			max / 2 ** 20, max, occupancy);
+	}
+	
+	/**
+	 * Iterate over the stored points.
+	 *
+	 * @yield {array} The [x, y, value] of each point, and its id for hashes
+	 *        made with the `ids` option.
+	 */
+	*shapes(){
+		const stride = this.numElements;
+		for(const [, , arr] of this.store.entries()){
+			for(let i = 0; i < arr.length; i += stride){
+				yield this.store.read(arr, i);
+			}
+		}
+	}
+	
+	/**
+	 * Iterate over the stored points.
+	 *
+	 * @yield {array} The [x, y, value] of each point.
+	 */
+	*points(){
+		for(const shape of this.shapes()){
+			shape.length = 3;
+			yield shape;
+		}
+	}
+	
+	/**
+	 * Iterate over the stored points.
+	 *
+	 * @return {Iterator} The iterator, see `points`.
+	 */
+	[Symbol.iterator](){
+		return this.points();
+	}
+	
+	/**
+	 * Find the grid cell that a stored point is in.
+	 *
+	 * @param {array} args The [x, y, value] of the point.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*shapeCells([x, y]){
+		yield [this.cellCoord(x), this.cellCoord(y)];
+	}
+	
+	/**
+	 * Find the point with the given coordinates, if it is in the hash. Note
+	 * that this tests for strict equality on the coordinates.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @return {array|undefined} An array with the [x, y, value] that the point
+	 *         was stored with, or `undefined`.
+	 */
+	findPoint(x, y){
+		const cx = this.cellCoord(x),
+			cy = this.cellCoord(y),
+			found = this.findValues(cx, cy, x, y);
+		
+		if(found){
+			found.length = 3;
+		}
+		
+		return found;
+	}
+	
+	/**
+	 * Remove the point with the given coordinates from the hash.
+	 *
+	 * @param {number} x The x coordinate.
+	 * @param {number} y The y coordinate.
+	 * @return {array|undefined} An array with the removed [x, y, value], or
+	 *         undefined if there was no point to remove.
+	 */
+	removePoint(x, y){
+		const cx = this.cellCoord(x),
+			cy = this.cellCoord(y),
+			idx = this.findIndex(cx, cy, x, y);
+		
+		if(idx === -1){
+			return undefined;
+		}
+		
+		const removed = this.removeFromCell(cx, cy, idx);
+		if(this.locations){
+			const id = removed.pop();
+			this.untrack(id, removed[2]);
+		}
+		
+		this.shapeCount--;
+		return removed;
+	}
+	
+	/**
+	 * Move the point with the given coordinates. If it stays in the same grid
+	 * cell its coordinates are updated in place, otherwise it is moved to the
+	 * new cell. The point keeps its value, and id.
+	 *
+	 * @param {number} oldX The current x-coordinate.
+	 * @param {number} oldY The current y-coordinate.
+	 * @param {number} newX The new x-coordinate.
+	 * @param {number} newY The new y-coordinate.
+	 * @return {boolean} Whether there was a point to move.
+	 */
+	movePoint(oldX, oldY, newX, newY){
+		const cx = this.cellCoord(oldX),
+			cy = this.cellCoord(oldY),
+			idx = this.findIndex(cx, cy, oldX, oldY);
+		
+		if(idx === -1){
+			return false;
+		}
+		
+		const ncx = this.cellCoord(newX),
+			ncy = this.cellCoord(newY);
+		
+		if(ncx === cx && ncy === cy){
+			const arr = this.cell(cx, cy);
+			arr[idx] = newX;
+			arr[idx + 1] = newY;
+			return true;
+		}
+		
+		const moved = this.removeFromCell(cx, cy, idx);
+		moved[0] = newX;
+		moved[1] = newY;
+		this.addToCell(ncx, ncy, ...moved);
+		
+		if(this.locations){
+			this.locations.set(moved[3], cellKey(ncx, ncy));
+		}
+		
+		return true;
+	}
+	
+	/**
+	 * Move any number of points at once, for instance every step of a
+	 * simulation. The points that stay in their grid cell are updated in
+	 * place, the others are taken out and then added to their new cells at
+	 * once, like `addPoints`. The points keep their values, and ids. The hash
+	 * must not be changed by the function.
+	 *
+	 * @param {function} fn Called with (x, y, value) of each point, returns
+	 *        the new [x, y] of the point, or nothing to leave it. The same
+	 *        array may be returned for each point.
+	 * @return {PointHash} this.
+	 */
+	updateAll(fn){
+		const stride = this.numElements,
+			// the cell, index and new coordinates of the points that leave
+			// their cell
+			leaving = [];
+		
+		for(const [cellX, cellY, arr] of this.store.entries()){
+			for(let i = 0; i < arr.length; i += stride){
+				const to = fn(arr[i], arr[i + 1], this.value(arr[i + 2]));
+				
+				if(!to){
+					continue;
+				}
+				
+				if(this.cellCoord(to[0]) === cellX && this.cellCoord(to[1]) === cellY){
+					arr[i] = to[0];
+					arr[i + 1] = to[1];
+				}else{
+					leaving.push(cellX, cellY, i, to[0], to[1]);
+				}
+			}
+		}
+		
+		// from the back, so the indices of the points still to take out stay
+		// the same
+		const moved = new Array(leaving.length / 5);
+		for(let j = moved.length - 1, k = leaving.length - 5; j >= 0; j--, k -= 5){
+			const shape = this.removeFromCell(leaving[k], leaving[k + 1], leaving[k + 2]);
+			shape[0] = leaving[k + 3];
+			shape[1] = leaving[k + 4];
+			moved[j] = shape;
+		}
+		
+		this.shapeCount -= moved.length;
+		return this.addBulk(moved.length, (i, add) => {
+			add(this.cellCoord(moved[i][0]), this.cellCoord(moved[i][1]));
+		}, (i, args) => {
+			for(let j = 0; j < stride; j++){
+				args[j] = moved[i][j];
+			}
+		});
+	}
+	
+	/**
+	 * Find the points with a given value. With the `valueIndex` option they
+	 * are looked up directly, otherwise all points are looked through.
+	 *
+	 * @param {any} val The value.
+	 * @return {array} The [x, y, value] of each point with the value.
+	 */
+	findByValue(val){
+		if(this.byValue){
+			return this.idsOf(val).map((id) => this.getById(id));
+		}
+		
+		const found = [];
+		for(const point of this.points()){
+			if(point[2] === val){
+				found.push(point);
+			}
+		}
+		
+		return found;
+	}
+	
+	/**
+	 * Remove the points with a given value. With the `valueIndex` option they
+	 * are looked up directly, otherwise all points are looked through.
+	 *
+	 * @param {any} val The value.
+	 * @return {array} The [x, y, value] of each removed point.
+	 */
+	removeByValue(val){
+		if(this.byValue){
+			return this.idsOf(val).map((id) => this.removeById(id));
+		}
+		
+		return this.removeWhere((x, y, v) => v === val);
+	}
+	
+	/**
+	 * Remove the points that pass a test. This looks through all points.
+	 *
+	 * @param {function} predicate Called with (x, y, value) of each point,
+	 *        returns whether to remove it. The hash must not be changed by it.
+	 * @return {array} The [x, y, value] of each removed point.
+	 */
+	removeWhere(predicate){
+		const stride = this.numElements,
+			// the cell and index of each point to remove
+			leaving = [];
+		
+		for(const [cellX, cellY, arr] of this.store.entries()){
+			for(let i = 0; i < arr.length; i += stride){
+				if(predicate(arr[i], arr[i + 1], this.value(arr[i + 2]))){
+					leaving.push(cellX, cellY, i);
+				}
+			}
+		}
+		
+		// from the back, so the indices of the points still to remove stay the
+		// same
+		const removed = new Array(leaving.length / 3);
+		for(let j = removed.length - 1, k = leaving.length - 3; j >= 0; j--, k -= 3){
+			const point = this.removeFromCell(leaving[k], leaving[k + 1], leaving[k + 2]);
+			
+			if(this.locations){
+				const id = point.pop();
+				this.untrack(id, point[2]);
+			}
+			removed[j] = point;
+		}
+		
+		this.shapeCount -= removed.length;
+		return removed;
+	}
+	
+	/**
+	 * Find points within a given radius from a given point.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius to search within.
+	 * @param {object} options Optional {filter, limit, exclude, sorted}, see
+	 *        QueryFilter.
+	 * @yield {array} An array with [x, y, value, dist²] of any point within the
+	 *        given radius, nearest first if sorted.
+	 */
+	*nearbyPoints(cx, cy, r, options){
+		const d = r + r,
+			r2 = r * r,
+			stride = this.numElements,
+			query = new QueryFilter(options);
+		
+		if(query.sorted){
+			yield* this.pointsByDistance(this.cellsByRing(cx, cy),
+				(px, py) => sqdist(cx, cy, px, py), r2, query);
+			return;
+		}
+		
+		for(const [cellX, cellY] of query.untilDone(this.cellsUnderExtent(cx - r, cy - r, d, d))){
+			const arr = this.cell(cellX, cellY);
+			
+			if(!arr){
+				continue;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const pv = this.value(arr[i + 2]);
+				if(!query.accepts(pv)){
+					continue;
+				}
+				
+				const px = arr[i],
+					py = arr[i + 1],
+					d2 = sqdist(cx, cy, px, py);
+				
+				if(d2 <= r2){
+					query.take();
+					yield [px, py, pv, d2];
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Find points on or near a given line segment.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @param {object} options Optional {filter, limit, exclude, sorted}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, value, dist²] of the points near the segment,
+	 *        nearest first if sorted.
+	 */
+	*pointsNearSegment(x1, y1, x2, y2, eps = this.cellSize / 2, options){
+		const eps2 = eps * eps,
+			stride = this.numElements,
+			query = new QueryFilter(options);
+		
+		if(query.sorted){
+			yield* this.pointsByDistance(this.cellsNearSegment(x1, y1, x2, y2, eps),
+				(px, py) => segPointDistSq(x1, y1, x2, y2, px, py), eps2, query);
+			return;
+		}
+		
+		for(const [x, y] of query.untilDone(this.cellsUnderSegment(x1, y1, x2, y2, eps))){
+			const arr = this.cell(x, y);
+			
+			if(!arr){
+				continue;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const pv = this.value(arr[i + 2]);
+				if(!query.accepts(pv)){
+					continue;
+				}
+				
+				const px = arr[i],
+					py = arr[i + 1],
+					d2 = segPointDistSq(x1, y1, x2, y2, px, py);
+				
+				if(d2 <= eps2){
+					query.take();
+					yield [px, py, pv, d2];
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Find the points in the given cells within a distance, nearest first.
+	 * The cells are taken as they come, and the points found are kept in a
+	 * heap until no cell left to search can hold a nearer one.
+	 *
+	 * @param {iterable} cells The [dist², arr] of the cells to search, in
+	 *        order of dist², a lower bound of the squared distance of the
+	 *        points in that cell and those after it.
+	 * @param {function} pointDist Called with (x, y) of a point, returns its
+	 *        squared distance.
+	 * @param {number} max2 The maximum squared distance of the points.
+	 * @param {QueryFilter} query The filter of the query.
+	 * @yield {array} The [x, y, value, dist²] of the points.
+	 */
+	*pointsByDistance(cells, pointDist, max2, query){
+		const stride = this.numElements,
+			heap = new DistanceHeap;
+		
+		for(const [bound, arr] of cells){
+			while(heap.size && heap.peek() <= bound && !query.done){
+				query.take();
+				yield heap.pop();
+			}
+			
+			if(bound > max2 || query.done){
+				break;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const pv = this.value(arr[i + 2]);
+				if(!query.accepts(pv)){
+					continue;
+				}
+				
+				const px = arr[i],
+					py = arr[i + 1],
+					d2 = pointDist(px, py);
+				
+				if(d2 <= max2){
+					heap.push(d2, [px, py, pv, d2]);
+				}
+			}
+		}
+		
+		while(heap.size && !query.done){
+			query.take();
+			yield heap.pop();
+		}
+	}
+	
+	/**
+	 * Call a function for each point within a given radius from a given point,
+	 * like nearbyPoints but without allocating an array per point.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius to search within.
+	 * @param {function} fn Called with (x, y, value, dist²) of each point, may
+	 *        return false to stop early.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter. The points are not sorted, `sorted` is ignored.
+	 * @return {boolean} False if fn or the limit stopped the search early,
+	 *         true otherwise.
+	 */
+	forEachNearbyPoint(cx, cy, r, fn, options){
+		const d = r + r,
+			r2 = r * r,
+			stride = this.numElements,
+			query = new QueryFilter(options);
+		
+		if(query.done){
+			return false;
+		}
+		
+		return this.forEachCellUnderExtent(cx - r, cy - r, d, d, (cellX, cellY) => {
+			const arr = this.cell(cellX, cellY);
+			
+			if(!arr){
+				return true;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const pv = this.value(arr[i + 2]);
+				if(!query.accepts(pv)){
+					continue;
+				}
+				
+				const px = arr[i],
+					py = arr[i + 1],
+					d2 = sqdist(cx, cy, px, py);
+				
+				if(d2 <= r2 && (fn(px, py, pv, d2) === false || query.take())){
+					return false;
+				}
+			}
+			
+			return true;
+		});
+	}
+	
+	/**
+	 * Call a function for each point on or near a given line segment, like
+	 * pointsNearSegment but without allocating an array per point.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @param {function} fn Called with (x, y, value, dist²) of each point, may
+	 *        return false to stop early.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter. The points are not sorted, `sorted` is ignored.
+	 * @return {boolean} False if fn or the limit stopped the search early,
+	 *         true otherwise.
+	 */
+	forEachPointNearSegment(x1, y1, x2, y2, eps, fn, options){
+		const eps2 = eps * eps,
+			stride = this.numElements,
+			query = new QueryFilter(options);
+		
+		if(query.done){
+			return false;
+		}
+		
+		return this.forEachCellUnderSegment(x1, y1, x2, y2, eps, (cellX, cellY) => {
+			const arr = this.cell(cellX, cellY);
+			
+			if(!arr){
+				return true;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const pv = this.value(arr[i + 2]);
+				if(!query.accepts(pv)){
+					continue;
+				}
+				
+				const px = arr[i],
+					py = arr[i + 1],
+					d2 = segPointDistSq(x1, y1, x2, y2, px, py);
+				
+				if(d2 <= eps2 && (fn(px, py, pv, d2) === false || query.take())){
+					return false;
+				}
+			}
+			
+			return true;
+		});
+	}
+	
+	/**
+	 * Find points inside, or on the edge of, a given rectangle.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, value] of the points in the rectangle.
+	 */
+	*pointsInRect(x, y, w, h, options){
+		const stride = this.numElements,
+			query = new QueryFilter(options);
+		
+		for(const [cellX, cellY] of query.untilDone(this.cellsUnderExtent(x, y, w, h))){
+			const arr = this.cell(cellX, cellY);
+			
+			if(!arr){
+				continue;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const px = arr[i],
+					py = arr[i + 1],
+					pv = this.value(arr[i + 2]);
+				
+				if(query.accepts(pv) && px >= x && px <= x + w && py >= y && py <= y + h){
+					query.take();
+					yield [px, py, pv];
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Find points inside a given polygon, using the even-odd rule. Only the
+	 * points in cells crossed by the polygon's edges are tested, those in the
+	 * other cells are either all inside or all outside.
+	 *
+	 * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of
+	 *        at least three vertices.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, value] of the points in the polygon.
+	 */
+	*pointsInPolygon(vertices, options){
+		const sz = this.cellSize,
+			stride = this.numElements,
+			edgeCells = this.edgeCells(vertices),
+			query = new QueryFilter(options);
+		
+		for(const [cellX, cellY] of query.untilDone(this.cellsUnderExtent(...polygonExtent(vertices)))){
+			const arr = this.cell(cellX, cellY);
+			
+			if(!arr){
+				continue;
+			}
+			
+			// the points of a cell not on an edge are all inside or all outside
+			const edge = edgeCells.has(cellKey(cellX, cellY));
+			if(!edge && !pointInPolygon((cellX + 0.5) * sz, (cellY + 0.5) * sz, vertices)){
+				continue;
+			}
+			
+			for(let i = 0; i < arr.length; i += stride){
+				const px = arr[i],
+					py = arr[i + 1],
+					pv = this.value(arr[i + 2]);
+				
+				if(query.accepts(pv) && (!edge || pointInPolygon(px, py, vertices))){
+					query.take();
+					yield [px, py, pv];
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Find points inside an arbitrary region, given by its bounding box and a
+	 * test for the points inside that box.
+	 *
+	 * @param {array} bbox The [x, y, width, height] of the bounding box of the
+	 *        region.
+	 * @param {function} predicate Called with (x, y, value) of each point in
+	 *        the bounding box, returns whether the point is in the region.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, value] of the points in the region.
+	 */
+	*pointsInRegion(bbox, predicate, options){
+		const [x, y, w, h] = bbox,
+			query = new QueryFilter(options);
+		
+		for(const [px, py, pv] of query.untilDone(this.pointsInRect(x, y, w, h))){
+			if(query.accepts(pv) && predicate(px, py, pv)){
+				query.take();
+				yield [px, py, pv];
+			}
+		}
+	}
+	
+	/**
+	 * Find the k points nearest to a given point. The cells are searched ring
+	 * by ring outward from the cell of the given point, until no unsearched
+	 * ring can hold a point nearer than the k-th one found.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {number} k The number of points to find, 1 by default.
+	 * @param {number} maxDist The maximum distance of the points.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter. A limit below k takes the place of k.
+	 * @return {array} Up to k arrays of [x, y, value, dist²] of the nearest
+	 *         points, sorted by distance.
+	 */
+	nearestPoints(x, y, k = 1, maxDist = Infinity, options){
+		const max2 = maxDist * maxDist,
+			stride = this.numElements,
+			query = new QueryFilter(options),
+			best = [],
+			limit = () => best.length === k ? best[k - 1][3] : max2;
+		
+		k = Math.min(k, query.left);
+		if(k <= 0){
+			return best;
+		}
+		
+		this.searchRings(x, y, limit, (arr) => {
+			for(let i = 0; i < arr.length; i += stride){
+				const pv = this.value(arr[i + 2]);
+				if(!query.accepts(pv)){
+					continue;
+				}
+				
+				const px = arr[i],
+					py = arr[i + 1],
+					d2 = sqdist(x, y, px, py);
+				
+				if(d2 <= max2 && (best.length < k || d2 < best[k - 1][3])){
+					insertNearest(best, k, [px, py, pv, d2], 3);
+				}
+			}
+		});
+		
+		return best;
+	}
+	
+	/**
+	 * Find the point nearest to a given point.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {object} options Optional {filter, exclude}, see QueryFilter.
+	 * @return {array|undefined} An array of [x, y, value, dist²] of the nearest
+	 *         point, or undefined if there is none.
+	 */
+	nearestPoint(x, y, options){
+		return this.nearestPoints(x, y, 1, Infinity, options)[0];
+	}
+}
+
+/**
+ * Find the grid cells in a square ring around a center cell, that lie within
+ * the given bounds. The ring must reach the bounds.
+ *
+ * @param {number} cx The center cell x coordinate.
+ * @param {number} cy The center cell y coordinate.
+ * @param {number} r The ring's distance from the center, in cells.
+ * @param {number} minX The lowest grid cell x coordinate.
+ * @param {number} minY The lowest grid cell y coordinate.
+ * @param {number} maxX The highest grid cell x coordinate.
+ * @param {number} maxY The highest grid cell y coordinate.
+ * @yield {array} The [x, y] grid cell coordinates.
+ */
+function* ringCells(cx, cy, r, minX, minY, maxX, maxY){
+	if(r === 0){
+		yield [cx, cy];
+		return;
+	}
+	
+	const left = Math.max(cx - r, minX),
+		right = Math.min(cx + r, maxX),
+		top = Math.max(cy - r + 1, minY),
+		bottom = Math.min(cy + r - 1, maxY);
+	
+	if(cy - r >= minY){
+		for(let cellX = left; cellX <= right; cellX++){
+			yield [cellX, cy - r];
+		}
+	}
+	if(cy + r <= maxY){
+		for(let cellX = left; cellX <= right; cellX++){
+			yield [cellX, cy + r];
+		}
+	}
+	if(cx - r >= minX){
+		for(let cellY = top; cellY <= bottom; cellY++){
+			yield [cx - r, cellY];
+		}
+	}
+	if(cx + r <= maxX){
+		for(let cellY = top; cellY <= bottom; cellY++){
+			yield [cx + r, cellY];
+		}
+	}
+}
+
+/**
+ * Insert an entry into an array sorted by distance, keeping at most k entries.
+ *
+ * @param {array} best The sorted array of entries.
+ * @param {number} k The maximum number of entries.
+ * @param {array} entry The entry to insert.
+ * @param {number} d The index of the distance in the entries.
+ */
+function insertNearest(best, k, entry, d){
+	let pos = best.length;
+	while(pos > 0 && best[pos - 1][d] > entry[d]){
+		pos--;
+	}
+	
+	best.splice(pos, 0, entry);
+	if(best.length > k){
+		best.pop();
+	}
+}
+
+/**
+ * Squared distance between two points.
+ *
+ * @param {number} ax Point a x-coordinate.
+ * @param {number} ay Point a y-coordinate.
+ * @param {number} bx Point b x-coordinate.
+ * @param {number} by Point b y-coordinate.
+ * @return {number} The squared distance.
+ */
+function sqdist(ax, ay, bx, by){
+	const dx = ax - bx,
+		dy = ay - by;
+	return dx * dx + dy * dy;
+}
+
+/**
+ * Distance between a point and the nearest point to it on a segment, squared.
+ *
+ * @source https://stackoverflow.com/a/6853926
+ * @param {number} x1 The segment point 1 x-coordinate.
+ * @param {number} y1 The segment point 1 y-coordinate.
+ * @param {number} x2 The segment point 2 x-coordinate.
+ * @param {number} y2 The segment point 2 y-coordinate.
+ * @param {number} x The point x-coordinate.
+ * @param {number} y The point y-coordinate.
+ * @return {number} The distance squared.
+ */
+function segPointDistSq(x1, y1, x2, y2, x, y){
+	const A = x - x1,
+		B = y - y1,
+		C = x2 - x1,
+		D = y2 - y1,
+
+		dot = A * C + B * D,
+		lenSq = C * C + D * D,
+		param = lenSq === 0 ? -1 : dot / lenSq;
+
+	let xx, yy;
+
+	if(param < 0){
+		xx = x1;
+		yy = y1;
+	}else if(param > 1){
+		xx = x2;
+		yy = y2;
+	}else{
+		xx = x1 + param * C;
+		yy = y1 + param * D;
+	}
+
+	const dx = x - xx,
+		dy = y - yy;
+	return dx * dx + dy * dy;
+}
+
+/**
+ * Distance between a line segment and an axis-aligned box, squared.
+ *
+ * @param {number} x1 The segment point 1 x-coordinate.
+ * @param {number} y1 The segment point 1 y-coordinate.
+ * @param {number} x2 The segment point 2 x-coordinate.
+ * @param {number} y2 The segment point 2 y-coordinate.
+ * @param {number} left The left edge of the box.
+ * @param {number} upper The upper edge of the box.
+ * @param {number} right The right edge of the box.
+ * @param {number} lower The lower edge of the box.
+ * @return {number} The distance squared, 0 if the segment touches the box.
+ */
+function segBoxDistSq(x1, y1, x2, y2, left, upper, right, lower){
+	const dx = x2 - x1,
+		dy = y2 - y1;
+	
+	// clip the segment against the box's slabs
+	let t0 = 0, t1 = 1;
+	if(dx !== 0){
+		const ta = (left - x1) / dx,
+			tb = (right - x1) / dx;
+		t0 = Math.max(t0, Math.min(ta, tb));
+		t1 = Math.min(t1, Math.max(ta, tb));
+	}else if(x1 < left || x1 > right){
+		t0 = Infinity;
+	}
+	
+	if(dy !== 0){
+		const ta = (upper - y1) / dy,
+			tb = (lower - y1) / dy;
+		t0 = Math.max(t0, Math.min(ta, tb));
+		t1 = Math.min(t1, Math.max(ta, tb));
+	}else if(y1 < upper || y1 > lower){
+		t0 = Infinity;
+	}
+	
+	if(t0 <= t1){
+		return 0;
+	}
+	
+	// otherwise the nearest points are at an end of the segment or a corner
+	// of the box
+	const ex1 = Math.max(left - x1, 0, x1 - right),
+		ey1 = Math.max(upper - y1, 0, y1 - lower),
+		ex2 = Math.max(left - x2, 0, x2 - right),
+		ey2 = Math.max(upper - y2, 0, y2 - lower);
+	
+	return Math.min(
+		ex1 * ex1 + ey1 * ey1,
+		ex2 * ex2 + ey2 * ey2,
+		segPointDistSq(x1, y1, x2, y2, left, upper),
+		segPointDistSq(x1, y1, x2, y2, right, upper),
+		segPointDistSq(x1, y1, x2, y2, left, lower),
+		segPointDistSq(x1, y1, x2, y2, right, lower)
+	);
+}
+
+/**
+ * The point on a segment nearest to a given point.
+ *
+ * @param {number} x1 The segment point 1 x-coordinate.
+ * @param {number} y1 The segment point 1 y-coordinate.
+ * @param {number} x2 The segment point 2 x-coordinate.
+ * @param {number} y2 The segment point 2 y-coordinate.
+ * @param {number} x The point x-coordinate.
+ * @param {number} y The point y-coordinate.
+ * @return {array} The [x, y, t] of the nearest point on the segment, where t
+ *         is its parameter along the segment.
+ */
+function nearestOnSegment(x1, y1, x2, y2, x, y){
+	const dx = x2 - x1,
+		dy = y2 - y1,
+		lenSq = dx * dx + dy * dy,
+		t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lenSq));
+	
+	return [x1 + t * dx, y1 + t * dy, t];
+}
+
+/**
+ * A spatial hash for storing line segments.
+ */
+class SegmentHash extends SpatialHash {
+	/**
+	 * Make a segment hash.
+	 *
+	 * @param {number} cellSize The size of the grid cells.
+	 * @param {object} options Options:
+	 *        - storage: 'object' (default) to keep the grid cells as plain
+	 *          arrays, or 'typed' to keep them in Float64Arrays.
+	 *        - keys: for 'object' storage, 'packed' (default) to key the grid
+	 *          cells by numbers where possible, or 'string' to always key them
+	 *          by "x,y" strings.
+	 *        - ids: true to have `addSegment` return the id of the segment,
+	 *          to find, remove and move it with `getById`, `removeById` and
+	 *          `updateById`. This takes a Map entry per segment. False by
+	 *          default.
+	 *        - valueIndex: true to keep track of the segments by their value,
+	 *          so `findByValue` and `removeByValue` need not look through all
+	 *          the segments. This needs the `ids` option, and takes a Map entry
+	 *          per value and a Set entry per segment. False by default.
+	 */
+	constructor(cellSize, {storage = 'object', keys = 'packed', ids = false, valueIndex = false} = {}){
+		super(6, cellSize, makeStore(storage, 6, 4, keys));
+		this.idSlot = 5;
+		
+		if(valueIndex && !ids){
+			throw new Error("The valueIndex option needs the ids option");
+		}
+		
+		if(ids){
+			this.locations = new Map;
+		}
+		
+		if(valueIndex){
+			this.byValue = new Map;
+		}
+	}
+	
+	/**
+	 * Add a segment to the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {any} val A value to store with the segment.
+	 * @return {SegmentHash|number} this, or the id of the segment for hashes
+	 *         made with the `ids` option.
+	 */
+	addSegment(x1, y1, x2, y2, val){
+		const id = this.addWithId(x1, y1, x2, y2, val, this.nextId++);
+		return this.locations ? id : this;
+	}
+	
+	/**
+	 * Add many segments at once, which is faster than adding them one by one.
+	 *
+	 * @param {array} coords The flat [x1, y1, x2, y2, ...] coordinates of the
+	 *        segments, a plain or typed array.
+	 * @param {array} values The value to store with each segment. If not given
+	 *        the index of the segment is stored.
+	 * @return {SegmentHash} this. With the `ids` option, the segments get
+	 *         consecutive ids, starting at the `nextId` before the call.
+	 */
+	addSegments(coords, values){
+		return this.addBulk(coords.length >> 2, (i, fn) => {
+			const j = 4 * i;
+			for(const [cellX, cellY] of this.cellsUnderSegment(coords[j], coords[j + 1], coords[j + 2], coords[j + 3])){
+				fn(cellX, cellY);
+			}
+		}, (i, args) => {
+			const j = 4 * i;
+			args[0] = coords[j];
+			args[1] = coords[j + 1];
+			args[2] = coords[j + 2];
+			args[3] = coords[j + 3];
+			args[4] = values ? values[i] : i;
+			args[5] = this.nextId++;
+		});
+	}
+	
+	/**
+	 * Make a segment hash from many segments at once.
+	 *
+	 * @param {array} coords The flat [x1, y1, x2, y2, ...] coordinates of the
+	 *        segments, a plain or typed array.
+	 * @param {array} values The value to store with each segment. If not given
+	 *        the index of the segment is stored.
+	 * @param {number} cellSize The size of the grid cells.
+	 * @param {object} options Options, see the constructor.
+	 * @return {SegmentHash} The new hash.
+	 */
+	static from(coords, values, cellSize = SegmentHash.cellSizeFor(coords), options){
+		return new SegmentHash(cellSize, options).addSegments(coords, values);
+	}
+	
+	/**
+	 * Choose a cell size for the given segments, such that the grid cells of
+	 * a segment hold about a given number of segments. This is measured on a
+	 * random sample of the segments. The cells are kept large enough for a
+	 * typical segment to cover only a few of them.
+	 *
+	 * @param {array} coords The flat [x1, y1, x2, y2, ...] coordinates of the
+	 *        segments, a plain or typed array.
+	 * @param {object} options Options:
+	 *        - occupancy: the number of segments per cell to aim for (4).
+	 *        - sampleSize: about how many segments to measure (1000).
+	 * @return {number} The cell size.
+	 */
+	static cellSizeFor(coords, {occupancy = 4, sampleSize = 1000} = {}){
+		const [, , w, h] = polygonExtent(coords),
+			// without any extent, a cell size of 1 is as good as any
+			max = Math.max(w, h) > 0 ? Math.max(w, h) : 1,
+			{sample, fraction} = sampleShapes(coords, 4, sampleSize),
+			lengths = sample.map(([x1, y1, x2, y2]) => Math.hypot(x2 - x1, y2 - y1)).sort((a, b) => a - b),
+			median = lengths.length ? lengths[lengths.length >> 1] : 0;
+		
+		return estimateCellSize((cellSize) => new SegmentHash(cellSize), sample, fraction,
+			Math.min(max, Math.max(max / 2 ** 20, median / 4)), max, occupancy);
+	}
+	
+	/**
+	 * Find the grid cells that a stored segment covers.
+	 *
+	 * @param {array} args The [x1, y1, x2, y2, ...] of the segment.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*shapeCells([x1, y1, x2, y2]){
+		yield* this.cellsUnderSegment(x1, y1, x2, y2);
+	}
+	
+	/**
+	 * Iterate over the stored segments, each one once.
+	 *
+	 * @yield {array} The [x1, y1, x2, y2, value] of each segment.
+	 */
+	*segments(){
+		for(const shape of this.shapes()){
+			shape.pop(); // the id
+			yield shape;
+		}
+	}
+	
+	/**
+	 * Iterate over the stored segments, each one once.
+	 *
+	 * @return {Iterator} The iterator, see `segments`.
+	 */
+	[Symbol.iterator](){
+		return this.segments();
+	}
+	
+	/**
+	 * Find a segment in the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @return {array|undefined} The [x1, y1, x2, y2, val] of the segment, or
+	 *         undefined.
+	 */
+	findSegment(x1, y1, x2, y2){
+		const cx = this.cellCoord(x1),
+			cy = this.cellCoord(y1),
+			found = this.findValues(cx, cy, x1, y1, x2, y2);
+		
+		if(found){
+			found.pop(); // the id
+		}
+		
+		return found;
+	}
+	
+	/**
+	 * Remove a segment from the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @return {array|undefined} The [x1, y1, x2, y2, val] of the segment, or
+	 *         undefined.
+	 */
+	removeSegment(x1, y1, x2, y2){
+		let val = undefined,
+			id = -1;
+		for(const [cellX, cellY] of this.cellsUnderSegment(x1, y1, x2, y2)){
+			// of segments with the same coordinates, remove the same one from
+			// each cell: the first one found, by its id
+			const idx = id === -1 ? this.findIndex(cellX, cellY, x1, y1, x2, y2)
+				: this.findIdIndex(cellX, cellY, id);
+		
+			if(idx === -1){ // can't find it once: can't find it ever
+				return undefined;
+			}
+			
+			[, , , , val, id] = this.removeFromCell(cellX, cellY, idx);
+		}
+		
+		if(this.locations){
+			this.untrack(id, val);
+		}
+		
+		this.shapeCount--;
+		return [x1, y1, x2, y2, val];
+	}
+	
+	/**
+	 * Move the segment with the given coordinates. Only the grid cells that
+	 * the segment leaves or enters are changed, in the others its coordinates
+	 * are updated in place. The segment keeps its value and id.
+	 *
+	 * @param {number} x1 The current point 1 x-coordinate of the segment.
+	 * @param {number} y1 The current point 1 y-coordinate of the segment.
+	 * @param {number} x2 The current point 2 x-coordinate of the segment.
+	 * @param {number} y2 The current point 2 y-coordinate of the segment.
+	 * @param {number} nx1 The new point 1 x-coordinate.
+	 * @param {number} ny1 The new point 1 y-coordinate.
+	 * @param {number} nx2 The new point 2 x-coordinate.
+	 * @param {number} ny2 The new point 2 y-coordinate.
+	 * @return {boolean} Whether there was a segment to move.
+	 */
+	moveSegment(x1, y1, x2, y2, nx1, ny1, nx2, ny2){
+		// the cell of the first end-point is always one of the segment's
+		const cellX = this.cellCoord(x1),
+			cellY = this.cellCoord(y1),
+			idx = this.findIndex(cellX, cellY, x1, y1, x2, y2);
+		
+		if(idx === -1){
+			return false;
+		}
+		
+		this.moveShape(cellX, cellY, idx, [nx1, ny1, nx2, ny2]);
+		return true;
+	}
+	
+	/**
+	 * Move any number of segments at once, for instance every step of a
+	 * simulation, each like `moveSegment`. The hash must not be changed by the
+	 * function.
+	 *
+	 * @param {function} fn Called with (x1, y1, x2, y2, value) of each
+	 *        segment, returns the new [x1, y1, x2, y2] of the segment, or
+	 *        nothing to leave it. The same array may be returned for each
+	 *        segment.
+	 * @return {SegmentHash} this.
+	 */
+	updateAll(fn){
+		// the shape and new coordinates of each segment that moves
+		const moves = [];
+		for(const shape of this.shapes()){
+			const to = fn(shape[0], shape[1], shape[2], shape[3], shape[4]);
+			
+			if(to){
+				moves.push(shape, to[0], to[1], to[2], to[3]);
+			}
+		}
+		
+		// only move them after the iteration, which would otherwise meet them
+		// again in their new cells
+		for(let i = 0; i < moves.length; i += 5){
+			const [x1, y1, , , , id] = moves[i],
+				cellX = this.cellCoord(x1),
+				cellY = this.cellCoord(y1);
+			
+			this.moveShape(cellX, cellY, this.findIdIndex(cellX, cellY, id), moves.slice(i + 1, i + 5));
+		}
+		
+		return this;
+	}
+	
+	/**
+	 * Find the segments with a given value. With the `valueIndex` option they
+	 * are looked up directly, otherwise all segments are looked through.
+	 *
+	 * @param {any} val The value.
+	 * @return {array} The [x1, y1, x2, y2, value] of each segment with the
+	 *         value.
+	 */
+	findByValue(val){
+		if(this.byValue){
+			return this.idsOf(val).map((id) => this.getById(id));
+		}
+		
+		const found = [];
+		for(const segment of this.segments()){
+			if(segment[4] === val){
+				found.push(segment);
+			}
+		}
+		
+		return found;
+	}
+	
+	/**
+	 * Remove the segments with a given value. With the `valueIndex` option
+	 * they are looked up directly, otherwise all segments are looked through.
+	 *
+	 * @param {any} val The value.
+	 * @return {array} The [x1, y1, x2, y2, value] of each removed segment.
+	 */
+	removeByValue(val){
+		if(this.byValue){
+			return this.idsOf(val).map((id) => this.removeById(id));
+		}
+		
+		return this.removeWhere((x1, y1, x2, y2, v) => v === val);
+	}
+	
+	/**
+	 * Remove the segments that pass a test. This looks through all segments.
+	 *
+	 * @param {function} predicate Called with (x1, y1, x2, y2, value) of each
+	 *        segment, returns whether to remove it. The hash must not be
+	 *        changed by it.
+	 * @return {array} The [x1, y1, x2, y2, value] of each removed segment.
+	 */
+	removeWhere(predicate){
+		const removed = [];
+		for(const shape of this.shapes()){
+			if(predicate(shape[0], shape[1], shape[2], shape[3], shape[4])){
+				removed.push(shape);
+			}
+		}
+		
+		// only remove them after the iteration, which is still using the cells
+		for(const shape of removed){
+			this.removeWithId(shape);
+			shape.pop(); // the id
+		}
+		
+		return removed;
+	}
+	
+	/**
+	 * Find the segments that intersect the given segment in the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x1, y1, x2, y2, val] of the intersecting segments,
+	 *        each one once.
+	 */
+	*findIntersects(x1, y1, x2, y2, eps = 1, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderSegment(x1, y1, x2, y2, eps))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(let i = 0; i < arr.length; i += 6){
+					if(!this.visit(slot, arr[i + 5])){
+						continue;
+					}
+					
+					const sv = this.value(arr[i + 4]);
+					if(!query.accepts(sv)){
+						continue;
+					}
+					
+					const sx1 = arr[i],
+						sy1 = arr[i + 1],
+						sx2 = arr[i + 2],
+						sy2 = arr[i + 3];
+					
+					if(intersectSegments(x1, y1, x2, y2, sx1, sy1, sx2, sy2)){
+						query.take();
+						yield [sx1, sy1, sx2, sy2, sv];
+					}
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Call a function for each segment that intersects the given segment, like
+	 * findIntersects but without allocating an array per segment.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @param {function} fn Called with (x1, y1, x2, y2, val) of each
+	 *        intersecting segment, once, may return false to stop early.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @return {boolean} False if fn or the limit stopped the search early,
+	 *         true otherwise.
+	 */
+	forEachIntersect(x1, y1, x2, y2, eps, fn, options){
+		const query = new QueryFilter(options);
+		if(query.done){
+			return false;
+		}
+		
+		const slot = this.beginQuery();
+		try{
+			return this.forEachCellUnderSegment(x1, y1, x2, y2, eps, (cellX, cellY) => {
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					return true;
+				}
+				
+				for(let i = 0; i < arr.length; i += 6){
+					if(!this.visit(slot, arr[i + 5])){
+						continue;
+					}
+					
+					const sv = this.value(arr[i + 4]);
+					if(!query.accepts(sv)){
+						continue;
+					}
+					
+					const sx1 = arr[i],
+						sy1 = arr[i + 1],
+						sx2 = arr[i + 2],
+						sy2 = arr[i + 3];
+					
+					if(intersectSegments(x1, y1, x2, y2, sx1, sy1, sx2, sy2) &&
+							(fn(sx1, sy1, sx2, sy2, sv) === false || query.take())){
+						return false;
+					}
+				}
+				
+				return true;
+			});
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Find the segments that intersect the given segment in the hash, along
+	 * with where they intersect.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {number} eps The width of the segment/maximum distance from the
+	 *        segment to search in.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x1, y1, x2, y2, val, x, y, t, u] of the intersecting
+	 *        segments, each one once, where (x, y) is the intersection point,
+	 *        and t & u are its parameters along the given and the stored
+	 *        segment. Collinear overlapping segments have [x, y, t, u] of both
+	 *        ends of the overlap appended, in order of t.
+	 */
+	*findIntersectionPoints(x1, y1, x2, y2, eps = 1, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderSegment(x1, y1, x2, y2, eps))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(let i = 0; i < arr.length; i += 6){
+					if(!this.visit(slot, arr[i + 5])){
+						continue;
+					}
+					
+					const sv = this.value(arr[i + 4]);
+					if(!query.accepts(sv)){
+						continue;
+					}
+					
+					const sx1 = arr[i],
+						sy1 = arr[i + 1],
+						sx2 = arr[i + 2],
+						sy2 = arr[i + 3],
+						hit = segmentIntersection(x1, y1, x2, y2, sx1, sy1, sx2, sy2);
+					
+					if(hit){
+						query.take();
+						yield [sx1, sy1, sx2, sy2, sv, ...hit];
+					}
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Find the k segments nearest to a given point, along with the point on
+	 * each segment nearest to it. The cells are searched ring by ring outward
+	 * from the cell of the given point, until no unsearched ring can hold a
+	 * segment nearer than the k-th one found.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {number} k The number of segments to find, 1 by default.
+	 * @param {number} maxDist The maximum distance of the segments.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter. A limit below k takes the place of k.
+	 * @return {array} Up to k arrays of [x1, y1, x2, y2, value, dist², projX,
+	 *         projY, t] of the nearest segments, sorted by distance, where
+	 *         (projX, projY) is the nearest point on the segment and t its
+	 *         parameter along the segment.
+	 */
+	nearestSegments(x, y, k = 1, maxDist = Infinity, options){
+		const max2 = maxDist * maxDist,
+			query = new QueryFilter(options),
+			best = [],
+			limit = () => best.length === k ? best[k - 1][5] : max2;
+		
+		k = Math.min(k, query.left);
+		if(k <= 0){
+			return best;
+		}
+		
+		const slot = this.beginQuery();
+		try{
+			this.searchRings(x, y, limit, (arr) => {
+				for(let i = 0; i < arr.length; i += 6){
+					if(!this.visit(slot, arr[i + 5])){
+						continue;
+					}
+					
+					const sv = this.value(arr[i + 4]);
+					if(!query.accepts(sv)){
+						continue;
+					}
+					
+					const sx1 = arr[i],
+						sy1 = arr[i + 1],
+						sx2 = arr[i + 2],
+						sy2 = arr[i + 3],
+						d2 = segPointDistSq(sx1, sy1, sx2, sy2, x, y);
+					
+					if(d2 <= max2 && (best.length < k || d2 < best[k - 1][5])){
+						insertNearest(best, k, [sx1, sy1, sx2, sy2, sv, d2,
+							...nearestOnSegment(sx1, sy1, sx2, sy2, x, y)], 5);
+					}
+				}
+			});
+		}finally{
+			this.endQuery(slot);
+		}
+		
+		return best;
+	}
+	
+	/**
+	 * Find the segments hit by a ray, in order of distance. The cells are
+	 * walked in order along the ray, and the hits in each cell are yielded as
+	 * soon as all hits nearer than the end of that cell are known.
+	 *
+	 * @param {number} ox The origin x-coordinate of the ray.
+	 * @param {number} oy The origin y-coordinate of the ray.
+	 * @param {number} dx The x-component of the direction of the ray.
+	 * @param {number} dy The y-component of the direction of the ray.
+	 * @param {number} maxDist The maximum distance along the ray to search.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x1, y1, x2, y2, val, x, y, dist] of the segments hit,
+	 *        each one once, where (x, y) is the (first) hit point and dist its
+	 *        distance from the origin.
+	 */
+	*raycastAll(ox, oy, dx, dy, maxDist = Infinity, options){
+		const len = Math.hypot(dx, dy),
+			sz = this.cellSize,
+			query = new QueryFilter(options);
+		
+		if(len === 0 || this.cellCount === 0){
+			return;
+		}
+		
+		const ux = dx / len,
+			uy = dy / len,
+			// only the part of the ray over the cells that may hold segments
+			range = clipRay(ox, oy, ux, uy, 0, maxDist,
+				this.minCellX * sz, this.minCellY * sz,
+				(this.maxCellX + 1) * sz, (this.maxCellY + 1) * sz);
+		
+		if(!range){
+			return;
+		}
+		
+		const sx = ox + range[0] * ux,
+			sy = oy + range[0] * uy,
+			ex = ox + range[1] * ux,
+			ey = oy + range[1] * uy,
+			slot = this.beginQuery();
+		
+		try{
+			for(const [ax, ay, bx, by, cellX, cellY] of query.untilDone(this.segmentPieces(sx, sy, ex, ey))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				// hits beyond the end of this cell are found again in later
+				// cells, possibly after nearer hits of other segments
+				const exit = (bx === ex && by === ey) ? Infinity : (bx - ox) * ux + (by - oy) * uy,
+					hits = [];
+				
+				for(let i = 0; i < arr.length; i += 6){
+					const sv = this.value(arr[i + 4]);
+					if(!query.accepts(sv)){
+						continue;
+					}
+					
+					const x1 = arr[i],
+						y1 = arr[i + 1],
+						x2 = arr[i + 2],
+						y2 = arr[i + 3],
+						hit = segmentIntersection(sx, sy, ex, ey, x1, y1, x2, y2);
+					
+					if(!hit){
+						continue;
+					}
+					
+					const dist = (hit[0] - ox) * ux + (hit[1] - oy) * uy;
+					if(dist <= exit && this.visit(slot, arr[i + 5])){
+						hits.push([x1, y1, x2, y2, sv, hit[0], hit[1], dist]);
+					}
+				}
+				
+				hits.sort((a, b) => a[7] - b[7]);
+				for(const hit of query.untilDone(hits)){
+					query.take();
+					yield hit;
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Find the first segment hit by a ray.
+	 *
+	 * @param {number} ox The origin x-coordinate of the ray.
+	 * @param {number} oy The origin y-coordinate of the ray.
+	 * @param {number} dx The x-component of the direction of the ray.
+	 * @param {number} dy The y-component of the direction of the ray.
+	 * @param {number} maxDist The maximum distance along the ray to search.
+	 * @param {object} options Optional {filter, exclude}, see QueryFilter.
+	 * @return {array|undefined} The [x1, y1, x2, y2, val, x, y, dist] of the
+	 *         nearest segment hit, or undefined.
+	 */
+	raycast(ox, oy, dx, dy, maxDist = Infinity, options){
+		for(const hit of this.raycastAll(ox, oy, dx, dy, maxDist, options)){
+			return hit;
+		}
+		
+		return undefined;
+	}
+}
+
+/**
+ * Compute if two line segments [p1, p2] and [p3, p4] intersect.
+ *
+ * @name Constrainautor.intersectSegments
+ * @source https://stackoverflow.com/a/565282
+ * @param {number} p1x The x coordinate of point 1 of the first segment.
+ * @param {number} p1y The y coordinate of point 1 of the first segment.
+ * @param {number} p2x The x coordinate of point 2 of the first segment.
+ * @param {number} p2y The y coordinate of point 2 of the first segment.
+ * @param {number} p3x The x coordinate of point 1 of the second segment.
+ * @param {number} p3y The y coordinate of point 1 of the second segment.
+ * @param {number} p4x The x coordinate of point 2 of the second segment.
+ * @param {number} p4y The y coordinate of point 2 of the second segment.
+ * @return {boolean} True if the line segments intersect.
+ */
+function intersectSegments(p1x, p1y, p2x, p2y, p3x, p3y, p4x, p4y){
+	const rx = p2x - p1x,
+		ry = p2y - p1y,
+		sx = p4x - p3x,
+		sy = p4y - p3y,
+		mx = p3x - p1x,
+		my = p3y - p1y,
+		n = mx * ry - rx * my,
+		d = rx * sy - sx * ry;
+	
+	if(d === 0.0){
+		// collinear
+		if(n === 0.0){
+			const rr = rx * rx + ry * ry,
+				t0 = (mx * rx + my * ry) / rr,
+				t1 = t0 + (sx * rx + sy * ry) / rr;
+			
+			if(!((t0 < 0 && t1 < 0) || (t0 > 1 && t1 > 1))){
+				// collinear & overlapping
+				return true;
+			}
+		}
+		
+		return false;
+	}
+	
+	const u = n / d,
+		t = (mx * sy - sx * my) / d;
+	
+	if(t < 0.0 || t > 1.0 || u < 0.0 || u > 1.0){
+		return false;
+	}
+	
+	return true;
+}
+
+/**
+ * Compute where two line segments [p1, p2] and [p3, p4] intersect.
+ *
+ * @source https://stackoverflow.com/a/565282
+ * @param {number} p1x The x coordinate of point 1 of the first segment.
+ * @param {number} p1y The y coordinate of point 1 of the first segment.
+ * @param {number} p2x The x coordinate of point 2 of the first segment.
+ * @param {number} p2y The y coordinate of point 2 of the first segment.
+ * @param {number} p3x The x coordinate of point 1 of the second segment.
+ * @param {number} p3y The y coordinate of point 1 of the second segment.
+ * @param {number} p4x The x coordinate of point 2 of the second segment.
+ * @param {number} p4y The y coordinate of point 2 of the second segment.
+ * @return {array|undefined} The [x, y, t, u] of the intersection point, where
+ *         t is its parameter along the first segment and u along the second.
+ *         For collinear overlapping segments: the [x, y, t, u, x, y, t, u] of
+ *         both ends of the overlap, in order of t. Undefined if the segments
+ *         do not intersect.
+ */
+function segmentIntersection(p1x, p1y, p2x, p2y, p3x, p3y, p4x, p4y){
+	const rx = p2x - p1x,
+		ry = p2y - p1y,
+		sx = p4x - p3x,
+		sy = p4y - p3y,
+		mx = p3x - p1x,
+		my = p3y - p1y,
+		n = mx * ry - rx * my,
+		d = rx * sy - sx * ry;
+	
+	if(d === 0.0){
+		// parallel
+		if(n !== 0.0){
+			return undefined;
+		}
+		
+		// collinear
+		const rr = rx * rx + ry * ry,
+			ss = sx * sx + sy * sy,
+			t0 = (mx * rx + my * ry) / rr,
+			t1 = t0 + (sx * rx + sy * ry) / rr,
+			start = Math.max(0, Math.min(t0, t1)),
+			end = Math.min(1, Math.max(t0, t1));
+		
+		if(start > end){
+			return undefined;
+		}
+		
+		const ax = p1x + start * rx,
+			ay = p1y + start * ry,
+			bx = p1x + end * rx,
+			by = p1y + end * ry,
+			ua = ss === 0 ? 0 : ((ax - p3x) * sx + (ay - p3y) * sy) / ss,
+			ub = ss === 0 ? 0 : ((bx - p3x) * sx + (by - p3y) * sy) / ss;
+		
+		return [ax, ay, start, ua, bx, by, end, ub];
+	}
+	
+	const u = n / d,
+		t = (mx * sy - sx * my) / d;
+	
+	if(t < 0.0 || t > 1.0 || u < 0.0 || u > 1.0){
+		return undefined;
+	}
+	
+	return [p1x + t * rx, p1y + t * ry, t, u];
+}
+
+/**
+ * Clip the distances along a ray to an axis-aligned box.
+ *
+ * @param {number} ox The origin x-coordinate of the ray.
+ * @param {number} oy The origin y-coordinate of the ray.
+ * @param {number} ux The x-component of the unit direction of the ray.
+ * @param {number} uy The y-component of the unit direction of the ray.
+ * @param {number} start The distance along the ray to start at.
+ * @param {number} end The distance along the ray to end at.
+ * @param {number} left The left x-coordinate of the box.
+ * @param {number} upper The upper y-coordinate of the box.
+ * @param {number} right The right x-coordinate of the box.
+ * @param {number} lower The lower y-coordinate of the box.
+ * @return {array|undefined} The [start, end] distances of the part of the ray
+ *         inside the box, or undefined if it misses the box.
+ */
+function clipRay(ox, oy, ux, uy, start, end, left, upper, right, lower){
+	for(const [o, u, lo, hi] of [[ox, ux, left, right], [oy, uy, upper, lower]]){
+		if(u === 0){
+			if(o < lo || o > hi){
+				return undefined;
+			}
+			continue;
+		}
+		
+		const t1 = (lo - o) / u,
+			t2 = (hi - o) / u;
+		
+		start = Math.max(start, Math.min(t1, t2));
+		end = Math.min(end, Math.max(t1, t2));
+	}
+	
+	return start <= end ? [start, end] : undefined;
+}
+
+/**
+ * A spatial hash for storing triangles.
+ */
+class TriangleHash extends SpatialHash {
+	/**
+	 * Make a triangle hash.
+	 *
+	 * @param {number} cellSize The size of the grid cells.
+	 */
+	constructor(cellSize){
+		super(8, cellSize);
+		this.idSlot = 7;
+	}
+	
+	/**
+	 * Add a triangle to the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the triangle.
+	 * @param {number} y1 The point 1 y-coordinate of the triangle.
+	 * @param {number} x2 The point 2 x-coordinate of the triangle.
+	 * @param {number} y2 The point 2 y-coordinate of the triangle.
+	 * @param {number} x3 The point 3 x-coordinate of the triangle.
+	 * @param {number} y3 The point 3 y-coordinate of the triangle.
+	 * @param {any} val A value to store with the triangle.
+	 * @return {TriangleHash} this.
+	 */
+	addTriangle(x1, y1, x2, y2, x3, y3, val){
+		const id = this.nextId++;
+		this.shapeCount++;
+		for(const [cellX, cellY] of this.cellsUnderTriangle(x1, y1, x2, y2, x3, y3)){
+			this.addToCell(cellX, cellY, x1, y1, x2, y2, x3, y3, val, id);
+		}
+		
+		return this;
+	}
+	
+	/**
+	 * Find the grid cells that a stored triangle covers.
+	 *
+	 * @param {array} args The [x1, y1, x2, y2, x3, y3, ...] of the triangle.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*shapeCells([x1, y1, x2, y2, x3, y3]){
+		yield* this.cellsUnderTriangle(x1, y1, x2, y2, x3, y3);
+	}
+	
+	/**
+	 * Find a triangle in the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the triangle.
+	 * @param {number} y1 The point 1 y-coordinate of the triangle.
+	 * @param {number} x2 The point 2 x-coordinate of the triangle.
+	 * @param {number} y2 The point 2 y-coordinate of the triangle.
+	 * @param {number} x3 The point 3 x-coordinate of the triangle.
+	 * @param {number} y3 The point 3 y-coordinate of the triangle.
+	 * @return {array|undefined} The [x1, y1, x2, y2, x3, y3, val] of the
+	 *         triangle, or undefined.
+	 */
+	findTriangle(x1, y1, x2, y2, x3, y3){
+		const cx = this.cellCoord(x1),
+			cy = this.cellCoord(y1),
+			found = this.findValues(cx, cy, x1, y1, x2, y2, x3, y3);
+		
+		if(found){
+			found.pop(); // the id
+		}
+		
+		return found;
+	}
+	
+	/**
+	 * Remove a triangle from the hash.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the triangle.
+	 * @param {number} y1 The point 1 y-coordinate of the triangle.
+	 * @param {number} x2 The point 2 x-coordinate of the triangle.
+	 * @param {number} y2 The point 2 y-coordinate of the triangle.
+	 * @param {number} x3 The point 3 x-coordinate of the triangle.
+	 * @param {number} y3 The point 3 y-coordinate of the triangle.
+	 * @return {array|undefined} The [x1, y1, x2, y2, x3, y3, val] of the
+	 *         triangle, or undefined.
+	 */
+	removeTriangle(x1, y1, x2, y2, x3, y3){
+		let val = undefined;
+		for(const [cellX, cellY] of this.cellsUnderTriangle(x1, y1, x2, y2, x3, y3)){
+			const idx = this.findIndex(cellX, cellY, x1, y1, x2, y2, x3, y3);
+			
+			if(idx === -1){ // can't find it once: can't find it ever
+				return undefined;
+			}
+			
+			val = this.removeFromCell(cellX, cellY, idx)[6];
+		}
+		
+		this.shapeCount--;
+		return [x1, y1, x2, y2, x3, y3, val];
+	}
+	
+	/**
+	 * Find the triangles that contain the given point, including those that
+	 * have it on an edge.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x1, y1, x2, y2, x3, y3, val] of the triangles.
+	 */
+	*trianglesContainingPoint(x, y, options){
+		const arr = this.cell(this.cellCoord(x), this.cellCoord(y)),
+			query = new QueryFilter(options);
+		
+		if(!arr){
+			return;
+		}
+		
+		for(let i = 0; i < arr.length; i += 8){
+			const tx1 = arr[i],
+				ty1 = arr[i + 1],
+				tx2 = arr[i + 2],
+				ty2 = arr[i + 3],
+				tx3 = arr[i + 4],
+				ty3 = arr[i + 5],
+				tv = arr[i + 6];
+			
+			if(query.accepts(tv) && pointInTriangle(x, y, tx1, ty1, tx2, ty2, tx3, ty3)){
+				query.take();
+				yield [tx1, ty1, tx2, ty2, tx3, ty3, tv];
+			}
+		}
+	}
+	
+	/**
+	 * Find the triangles in the hash that intersect the given segment.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x1, y1, x2, y2, x3, y3, val] of the intersecting
+	 *        triangles, each one once.
+	 */
+	*trianglesIntersectingSegment(x1, y1, x2, y2, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderSegment(x1, y1, x2, y2, 0))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(let i = 0; i < arr.length; i += 8){
+					if(!this.visit(slot, arr[i + 7])){
+						continue;
+					}
+					
+					const tx1 = arr[i],
+						ty1 = arr[i + 1],
+						tx2 = arr[i + 2],
+						ty2 = arr[i + 3],
+						tx3 = arr[i + 4],
+						ty3 = arr[i + 5],
+						tv = arr[i + 6];
+					
+					if(query.accepts(tv) && intersectTriangleSegment(tx1, ty1, tx2, ty2, tx3, ty3, x1, y1, x2, y2)){
+						query.take();
+						yield [tx1, ty1, tx2, ty2, tx3, ty3, tv];
+					}
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Find the triangles in the hash that overlap the given triangle.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the triangle.
+	 * @param {number} y1 The point 1 y-coordinate of the triangle.
+	 * @param {number} x2 The point 2 x-coordinate of the triangle.
+	 * @param {number} y2 The point 2 y-coordinate of the triangle.
+	 * @param {number} x3 The point 3 x-coordinate of the triangle.
+	 * @param {number} y3 The point 3 y-coordinate of the triangle.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x1, y1, x2, y2, x3, y3, val] of the overlapping
+	 *        triangles, each one once.
+	 */
+	*trianglesOverlappingTriangle(x1, y1, x2, y2, x3, y3, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderTriangle(x1, y1, x2, y2, x3, y3))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(let i = 0; i < arr.length; i += 8){
+					if(!this.visit(slot, arr[i + 7])){
+						continue;
+					}
+					
+					const tx1 = arr[i],
+						ty1 = arr[i + 1],
+						tx2 = arr[i + 2],
+						ty2 = arr[i + 3],
+						tx3 = arr[i + 4],
+						ty3 = arr[i + 5],
+						tv = arr[i + 6];
+					
+					if(query.accepts(tv) && intersectTriangles(x1, y1, x2, y2, x3, y3, tx1, ty1, tx2, ty2, tx3, ty3)){
+						query.take();
+						yield [tx1, ty1, tx2, ty2, tx3, ty3, tv];
+					}
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+}
+
+/**
+ * Compute if a point lies inside a triangle, or on one of its edges.
+ *
+ * @param {number} x The point x-coordinate.
+ * @param {number} y The point y-coordinate.
+ * @param {number} x1 The point 1 x-coordinate of the triangle.
+ * @param {number} y1 The point 1 y-coordinate of the triangle.
+ * @param {number} x2 The point 2 x-coordinate of the triangle.
+ * @param {number} y2 The point 2 y-coordinate of the triangle.
+ * @param {number} x3 The point 3 x-coordinate of the triangle.
+ * @param {number} y3 The point 3 y-coordinate of the triangle.
+ * @return {boolean} True if the point is in the triangle.
+ */
+function pointInTriangle(x, y, x1, y1, x2, y2, x3, y3){
+	const d1 = (x - x2) * (y1 - y2) - (x1 - x2) * (y - y2),
+		d2 = (x - x3) * (y2 - y3) - (x2 - x3) * (y - y3),
+		d3 = (x - x1) * (y3 - y1) - (x3 - x1) * (y - y1),
+		neg = d1 < 0 || d2 < 0 || d3 < 0,
+		pos = d1 > 0 || d2 > 0 || d3 > 0;
+	
+	return !(neg && pos);
+}
+
+/**
+ * Compute if a triangle and a line segment intersect, i.e. if the segment
+ * crosses one of the triangle's edges or lies inside it.
+ *
+ * @param {number} x1 The point 1 x-coordinate of the triangle.
+ * @param {number} y1 The point 1 y-coordinate of the triangle.
+ * @param {number} x2 The point 2 x-coordinate of the triangle.
+ * @param {number} y2 The point 2 y-coordinate of the triangle.
+ * @param {number} x3 The point 3 x-coordinate of the triangle.
+ * @param {number} y3 The point 3 y-coordinate of the triangle.
+ * @param {number} sx1 The point 1 x-coordinate of the segment.
+ * @param {number} sy1 The point 1 y-coordinate of the segment.
+ * @param {number} sx2 The point 2 x-coordinate of the segment.
+ * @param {number} sy2 The point 2 y-coordinate of the segment.
+ * @return {boolean} True if the triangle and segment intersect.
+ */
+function intersectTriangleSegment(x1, y1, x2, y2, x3, y3, sx1, sy1, sx2, sy2){
+	return pointInTriangle(sx1, sy1, x1, y1, x2, y2, x3, y3)
+		|| intersectSegments(x1, y1, x2, y2, sx1, sy1, sx2, sy2)
+		|| intersectSegments(x2, y2, x3, y3, sx1, sy1, sx2, sy2)
+		|| intersectSegments(x3, y3, x1, y1, sx1, sy1, sx2, sy2);
+}
+
+/**
+ * Compute if two triangles overlap, i.e. if the edges of one cross those of
+ * the other, or if one lies inside the other.
+ *
+ * @param {number} ax1 The point 1 x-coordinate of the first triangle.
+ * @param {number} ay1 The point 1 y-coordinate of the first triangle.
+ * @param {number} ax2 The point 2 x-coordinate of the first triangle.
+ * @param {number} ay2 The point 2 y-coordinate of the first triangle.
+ * @param {number} ax3 The point 3 x-coordinate of the first triangle.
+ * @param {number} ay3 The point 3 y-coordinate of the first triangle.
+ * @param {number} bx1 The point 1 x-coordinate of the second triangle.
+ * @param {number} by1 The point 1 y-coordinate of the second triangle.
+ * @param {number} bx2 The point 2 x-coordinate of the second triangle.
+ * @param {number} by2 The point 2 y-coordinate of the second triangle.
+ * @param {number} bx3 The point 3 x-coordinate of the second triangle.
+ * @param {number} by3 The point 3 y-coordinate of the second triangle.
+ * @return {boolean} True if the triangles overlap.
+ */
+function intersectTriangles(ax1, ay1, ax2, ay2, ax3, ay3, bx1, by1, bx2, by2, bx3, by3){
+	return intersectTriangleSegment(ax1, ay1, ax2, ay2, ax3, ay3, bx1, by1, bx2, by2)
+		|| intersectTriangleSegment(ax1, ay1, ax2, ay2, ax3, ay3, bx2, by2, bx3, by3)
+		|| intersectTriangleSegment(ax1, ay1, ax2, ay2, ax3, ay3, bx3, by3, bx1, by1)
+		|| pointInTriangle(ax1, ay1, bx1, by1, bx2, by2, bx3, by3);
+}
+
+/**
+ * Compute if a triangle overlaps an axis-aligned box, by looking for a
+ * separating axis among the box's axes and the triangle's edge normals.
+ *
+ * @param {number} x1 The point 1 x-coordinate of the triangle.
+ * @param {number} y1 The point 1 y-coordinate of the triangle.
+ * @param {number} x2 The point 2 x-coordinate of the triangle.
+ * @param {number} y2 The point 2 y-coordinate of the triangle.
+ * @param {number} x3 The point 3 x-coordinate of the triangle.
+ * @param {number} y3 The point 3 y-coordinate of the triangle.
+ * @param {number} minX The left side of the box.
+ * @param {number} minY The top side of the box.
+ * @param {number} maxX The right side of the box.
+ * @param {number} maxY The bottom side of the box.
+ * @return {boolean} True if the triangle and box overlap or touch.
+ */
+function triangleOverlapsBox(x1, y1, x2, y2, x3, y3, minX, minY, maxX, maxY){
+	if(Math.max(x1, x2, x3) < minX || Math.min(x1, x2, x3) > maxX ||
+			Math.max(y1, y2, y3) < minY || Math.min(y1, y2, y3) > maxY){
+		return false;
+	}
+	
+	const cx = (minX + maxX) / 2,
+		cy = (minY + maxY) / 2,
+		hw = (maxX - minX) / 2,
+		hh = (maxY - minY) / 2,
+		// an edge (ax, ay) - (bx, by) and the opposite vertex (ox, oy)
+		separates = (ax, ay, bx, by, ox, oy) => {
+			const nx = ay - by,
+				ny = bx - ax,
+				p = ax * nx + ay * ny,
+				q = ox * nx + oy * ny,
+				c = cx * nx + cy * ny,
+				r = hw * Math.abs(nx) + hh * Math.abs(ny);
+			
+			return Math.max(p, q) < c - r || Math.min(p, q) > c + r;
+		};
+	
+	return !(separates(x1, y1, x2, y2, x3, y3) ||
+		separates(x2, y2, x3, y3, x1, y1) ||
+		separates(x3, y3, x1, y1, x2, y2));
+}
+
+/**
+ * A spatial hash for storing axis-aligned rectangles.
+ */
+class RectHash extends SpatialHash {
+	/**
+	 * Make a rectangle hash.
+	 *
+	 * @param {number} cellSize The size of the grid cells.
+	 */
+	constructor(cellSize){
+		super(5, cellSize);
+	}
+	
+	/**
+	 * Add a rectangle to the hash.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @param {any} val A value to store with the rectangle.
+	 * @return {RectHash} this.
+	 */
+	addRect(x, y, w, h, val){
+		this.shapeCount++;
+		for(const [cellX, cellY] of this.cellsUnderExtent(x, y, w, h)){
+			this.addToCell(cellX, cellY, x, y, w, h, val);
+		}
+		
+		return this;
+	}
+	
+	/**
+	 * Iterate over the stored rectangles, each one once, from the grid cell
+	 * with its top-left corner.
+	 *
+	 * @yield {array} The [x, y, w, h, value] of each rectangle.
+	 */
+	*shapes(){
+		for(const [cellX, cellY, arr] of this.store.entries()){
+			for(let i = 0; i < arr.length; i += 5){
+				if(this.cellCoord(arr[i]) === cellX && this.cellCoord(arr[i + 1]) === cellY){
+					yield this.store.read(arr, i);
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Find the grid cells that a stored rectangle covers.
+	 *
+	 * @param {array} args The [x, y, w, h, ...] of the rectangle.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*shapeCells([x, y, w, h]){
+		yield* this.cellsUnderExtent(x, y, w, h);
+	}
+	
+	/**
+	 * Find a rectangle in the hash.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @return {array|undefined} The [x, y, w, h, val] of the rectangle, or
+	 *         undefined.
+	 */
+	findRect(x, y, w, h){
+		const cx = this.cellCoord(x),
+			cy = this.cellCoord(y);
+		
+		return this.findValues(cx, cy, x, y, w, h);
+	}
+	
+	/**
+	 * Remove a rectangle from the hash.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @return {array|undefined} The [x, y, w, h, val] of the rectangle, or
+	 *         undefined.
+	 */
+	removeRect(x, y, w, h){
+		let val = undefined;
+		for(const [cellX, cellY] of this.cellsUnderExtent(x, y, w, h)){
+			const idx = this.findIndex(cellX, cellY, x, y, w, h);
+			
+			if(idx === -1){ // can't find it once: can't find it ever
+				return undefined;
+			}
+			
+			val = this.removeFromCell(cellX, cellY, idx)[4];
+		}
+		
+		this.shapeCount--;
+		return [x, y, w, h, val];
+	}
+	
+	/**
+	 * Find the rectangles that contain the given point, including those that
+	 * have it on an edge.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, w, h, val] of the rectangles.
+	 */
+	*rectsContainingPoint(x, y, options){
+		const arr = this.cell(this.cellCoord(x), this.cellCoord(y)),
+			query = new QueryFilter(options);
+		
+		if(!arr){
+			return;
+		}
+		
+		for(let i = 0; i < arr.length; i += 5){
+			const rx = arr[i],
+				ry = arr[i + 1],
+				rw = arr[i + 2],
+				rh = arr[i + 3],
+				rv = arr[i + 4];
+			
+			if(query.accepts(rv) && x >= rx && x <= rx + rw && y >= ry && y <= ry + rh){
+				query.take();
+				yield [rx, ry, rw, rh, rv];
+			}
+		}
+	}
+	
+	/**
+	 * Find the rectangles that overlap, or touch, the given rectangle.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, w, h, val] of the overlapping rectangles.
+	 */
+	*rectsOverlapping(x, y, w, h, options){
+		const query = new QueryFilter(options);
+		
+		for(const [cellX, cellY] of query.untilDone(this.cellsUnderExtent(x, y, w, h))){
+			const arr = this.cell(cellX, cellY);
+			
+			if(!arr){
 				continue;
 			}
 			
-			for(let i = 0; i < arr.length; i += 3){
-				const px = arr[i],
-					py = arr[i + 1],
-					pv = arr[i + 2],
-					d2 = sqdist(cx, cy, px, py);
+			for(let i = 0; i < arr.length; i += 5){
+				const rx = arr[i],
+					ry = arr[i + 1],
+					rw = arr[i + 2],
+					rh = arr[i + 3],
+					rv = arr[i + 4];
 				
-				if(d2 <= r2){
-					yield [px, py, pv, d2];
+				// only report it in the cell with the top-left corner of the
+				// overlap, so that it is reported once
+				if(this.cellCoord(Math.max(x, rx)) !== cellX || this.cellCoord(Math.max(y, ry)) !== cellY){
+					continue;
+				}
+				
+				if(query.accepts(rv) && rx <= x + w && rx + rw >= x && ry <= y + h && ry + rh >= y){
+					query.take();
+					yield [rx, ry, rw, rh, rv];
 				}
 			}
 		}
 	}
 	
 	/**
-	 * Find points on or near a given line segment.
+	 * Find the rectangles that lie entirely inside the given rectangle.
 	 *
-	 * @param {number} x1 The point 1 x-coordinate of the segment.
-	 * @param {number} y1 The point 1 y-coordinate of the segment.
-	 * @param {number} x2 The point 2 x-coordinate of the segment.
-	 * @param {number} y2 The point 2 y-coordinate of the segment.
-	 * @param {number} eps The width of the segment/maximum distance from the
-	 *        segment to search in. Should not be greater than `this.cellSize`.
-	 * @yield {array} The [x, y, value] of the points near the segment.
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [x, y, w, h, val] of the contained rectangles.
 	 */
-	*pointsNearSegment(x1, y1, x2, y2, eps = this.cellSize / 2){
-		const eps2 = eps * eps;
-		for(const [x, y] of this.cellsUnderSegment(x1, y1, x2, y2, eps)){
-			const key = x + ',' + y,
-				arr = this.map[key];
+	*rectsContainedIn(x, y, w, h, options){
+		const query = new QueryFilter(options);
+		
+		for(const [cellX, cellY] of query.untilDone(this.cellsUnderExtent(x, y, w, h))){
+			const arr = this.cell(cellX, cellY);
 			
 			if(!arr){
 				continue;
 			}
 			
-			for(let i = 0; i < arr.length; i += 3){
-				const px = arr[i],
-					py = arr[i + 1],
-					pv = arr[i + 2],
-					d2 = segPointDistSq(x1, y1, x2, y2, px, py);
+			for(let i = 0; i < arr.length; i += 5){
+				const rx = arr[i],
+					ry = arr[i + 1],
+					rw = arr[i + 2],
+					rh = arr[i + 3],
+					rv = arr[i + 4];
 				
-				if(d2 <= eps2){
-					yield [px, py, pv, d2];
+				// only report it in the cell with its top-left corner
+				if(this.cellCoord(rx) !== cellX || this.cellCoord(ry) !== cellY){
+					continue;
+				}
+				
+				if(query.accepts(rv) && rx >= x && rx + rw <= x + w && ry >= y && ry + rh <= y + h){
+					query.take();
+					yield [rx, ry, rw, rh, rv];
 				}
 			}
 		}
@@ -414,224 +4723,853 @@ class PointHash extends SpatialHash {
 }
 
 /**
- * Squared distance between two points.
- *
- * @param {number} ax Point a x-coordinate.
- * @param {number} ay Point a y-coordinate.
- * @param {number} bx Point b x-coordinate.
- * @param {number} by Point b y-coordinate.
- * @return {number} The squared distance.
+ * A spatial hash for storing circles.
  */
-function sqdist(ax, ay, bx, by){
-	const dx = ax - bx,
-		dy = ay - by;
-	return dx * dx + dy * dy;
+class CircleHash extends SpatialHash {
+	/**
+	 * Make a circle hash.
+	 *
+	 * @param {number} cellSize The size of the grid cells.
+	 */
+	constructor(cellSize){
+		super(5, cellSize);
+		this.idSlot = 4;
+	}
+	
+	/**
+	 * Add a circle to the hash.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius of the circle.
+	 * @param {any} val A value to store with the circle.
+	 * @return {CircleHash} this.
+	 */
+	addCircle(cx, cy, r, val){
+		const id = this.nextId++;
+		this.shapeCount++;
+		for(const [cellX, cellY] of this.cellsUnderCircle(cx, cy, r)){
+			this.addToCell(cellX, cellY, cx, cy, r, val, id);
+		}
+		
+		return this;
+	}
+	
+	/**
+	 * Find the grid cells that a stored circle covers.
+	 *
+	 * @param {array} args The [cx, cy, r, ...] of the circle.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*shapeCells([cx, cy, r]){
+		yield* this.cellsUnderCircle(cx, cy, r);
+	}
+	
+	/**
+	 * Find a circle in the hash.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius of the circle.
+	 * @return {array|undefined} The [cx, cy, r, val] of the circle, or
+	 *         undefined.
+	 */
+	findCircle(cx, cy, r){
+		const found = this.findValues(this.cellCoord(cx), this.cellCoord(cy), cx, cy, r);
+		
+		if(found){
+			found.pop(); // the id
+		}
+		
+		return found;
+	}
+	
+	/**
+	 * Remove a circle from the hash.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius of the circle.
+	 * @return {array|undefined} The [cx, cy, r, val] of the circle, or
+	 *         undefined.
+	 */
+	removeCircle(cx, cy, r){
+		let val = undefined;
+		for(const [cellX, cellY] of this.cellsUnderCircle(cx, cy, r)){
+			const idx = this.findIndex(cellX, cellY, cx, cy, r);
+			
+			if(idx === -1){ // can't find it once: can't find it ever
+				return undefined;
+			}
+			
+			val = this.removeFromCell(cellX, cellY, idx)[3];
+		}
+		
+		this.shapeCount--;
+		return [cx, cy, r, val];
+	}
+	
+	/**
+	 * Find the circles that contain the given point, including those that have
+	 * it on their circumference.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [cx, cy, r, val, dist²] of the circles, where dist² is
+	 *        the squared distance from the point to the center.
+	 */
+	*circlesContainingPoint(x, y, options){
+		const arr = this.cell(this.cellCoord(x), this.cellCoord(y)),
+			query = new QueryFilter(options);
+		
+		if(!arr){
+			return;
+		}
+		
+		for(let i = 0; i < arr.length; i += 5){
+			const cv = arr[i + 3];
+			if(!query.accepts(cv)){
+				continue;
+			}
+			
+			const cx = arr[i],
+				cy = arr[i + 1],
+				cr = arr[i + 2],
+				d2 = sqdist(x, y, cx, cy);
+			
+			if(d2 <= cr * cr){
+				query.take();
+				yield [cx, cy, cr, cv, d2];
+			}
+		}
+	}
+	
+	/**
+	 * Find the circles that overlap, or touch, the given circle.
+	 *
+	 * @param {number} cx The center x-coordinate.
+	 * @param {number} cy The center y-coordinate.
+	 * @param {number} r The radius of the circle.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [cx, cy, r, val, depth] of the circles, each one once,
+	 *        where depth is how far the circles penetrate each other.
+	 */
+	*circlesOverlappingCircle(cx, cy, r, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderCircle(cx, cy, r))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(let i = 0; i < arr.length; i += 5){
+					if(!this.visit(slot, arr[i + 4])){
+						continue;
+					}
+					
+					const ov = arr[i + 3];
+					if(!query.accepts(ov)){
+						continue;
+					}
+					
+					const ox = arr[i],
+						oy = arr[i + 1],
+						or = arr[i + 2],
+						rr = r + or,
+						d2 = sqdist(cx, cy, ox, oy);
+					
+					if(d2 <= rr * rr){
+						query.take();
+						yield [ox, oy, or, ov, rr - Math.sqrt(d2)];
+					}
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Find the circles that are hit by the given line segment.
+	 *
+	 * @param {number} x1 The point 1 x-coordinate of the segment.
+	 * @param {number} y1 The point 1 y-coordinate of the segment.
+	 * @param {number} x2 The point 2 x-coordinate of the segment.
+	 * @param {number} y2 The point 2 y-coordinate of the segment.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [cx, cy, r, val, dist²] of the circles, each one once,
+	 *        where dist² is the squared distance from the center to the
+	 *        segment.
+	 */
+	*circlesIntersectingSegment(x1, y1, x2, y2, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderSegment(x1, y1, x2, y2, 0))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(let i = 0; i < arr.length; i += 5){
+					if(!this.visit(slot, arr[i + 4])){
+						continue;
+					}
+					
+					const cv = arr[i + 3];
+					if(!query.accepts(cv)){
+						continue;
+					}
+					
+					const cx = arr[i],
+						cy = arr[i + 1],
+						cr = arr[i + 2],
+						d2 = segPointDistSq(x1, y1, x2, y2, cx, cy);
+					
+					if(d2 <= cr * cr){
+						query.take();
+						yield [cx, cy, cr, cv, d2];
+					}
+				}
+			}
+		}finally{
+			this.endQuery(slot);
+		}
+	}
 }
 
 /**
- * Distance between a point and the nearest point to it on a segment, squared.
+ * Find the id of the polygon or polyline with the given vertices.
  *
- * @source https://stackoverflow.com/a/6853926
- * @param {number} x1 The segment point 1 x-coordinate.
- * @param {number} y1 The segment point 1 y-coordinate.
- * @param {number} x2 The segment point 2 x-coordinate.
- * @param {number} y2 The segment point 2 y-coordinate.
- * @param {number} x The point x-coordinate.
- * @param {number} y The point y-coordinate.
- * @return {number} The distance squared.
+ * @param {PolygonHash} hash The hash to search in.
+ * @param {array} vertices The flat coordinates of the vertices.
+ * @param {boolean} closed Whether to look for a polygon or a polyline.
+ * @return {number} The id, or -1.
  */
-function segPointDistSq(x1, y1, x2, y2, x, y){
-	const A = x - x1,
-		B = y - y1,
-		C = x2 - x1,
-		D = y2 - y1,
-
-		dot = A * C + B * D,
-		lenSq = C * C + D * D,
-		param = lenSq === 0 ? -1 : dot / lenSq;
-
-	let xx, yy;
-
-	if(param < 0){
-		xx = x1;
-		yy = y1;
-	}else if(param > 1){
-		xx = x2;
-		yy = y2;
-	}else{
-		xx = x1 + param * C;
-		yy = y1 + param * D;
+function findPolygonId(hash, vertices, closed){
+	const arr = hash.cell(hash.cellCoord(vertices[0]), hash.cellCoord(vertices[1]));
+	
+	if(!arr){
+		return -1;
 	}
-
-	const dx = x - xx,
-		dy = y - yy;
-	return dx * dx + dy * dy;
+	
+	for(const id of arr){
+		const poly = hash.polygons.get(id);
+		
+		if(poly.closed === closed && poly.vertices.length === vertices.length &&
+				findSubArray(poly.vertices, vertices.length, ...vertices) === 0){
+			return id;
+		}
+	}
+	
+	return -1;
 }
 
 /**
- * A spatial hash for storing line segments.
+ * A spatial hash for storing polygons and polylines. The grid cells only hold
+ * the ids of the shapes, the vertices are stored once per shape.
  */
-class SegmentHash extends SpatialHash {
+class PolygonHash extends SpatialHash {
 	/**
-	 * Make a segment hash.
+	 * Make a polygon hash.
 	 *
 	 * @param {number} cellSize The size of the grid cells.
 	 */
 	constructor(cellSize){
-		super(5, cellSize);
+		super(1, cellSize);
+		this.idSlot = 0;
+		this.polygons = new Map;
 	}
 	
 	/**
-	 * Add a segment to the hash.
+	 * Add a closed polygon to the hash.
 	 *
-	 * @param {number} x1 The point 1 x-coordinate of the segment.
-	 * @param {number} y1 The point 1 y-coordinate of the segment.
-	 * @param {number} x2 The point 2 x-coordinate of the segment.
-	 * @param {number} y2 The point 2 y-coordinate of the segment.
-	 * @param {any} val A value to store with the segment.
-	 * @return {SegmentHash} this.
+	 * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of
+	 *        at least three vertices.
+	 * @param {any} val A value to store with the polygon.
+	 * @return {PolygonHash} this.
 	 */
-	addSegment(x1, y1, x2, y2, val){
-		for(const [cellX, cellY] of this.cellsUnderSegment(x1, y1, x2, y2)){
-			this.addAt(cellX, cellY, x1, y1, x2, y2, val);
+	addPolygon(vertices, val){
+		return this.addShape(vertices, val, true);
+	}
+	
+	/**
+	 * Add an open polyline to the hash.
+	 *
+	 * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of
+	 *        at least two vertices.
+	 * @param {any} val A value to store with the polyline.
+	 * @return {PolygonHash} this.
+	 */
+	addPolyline(vertices, val){
+		return this.addShape(vertices, val, false);
+	}
+	
+	/**
+	 * Add a polygon or polyline to the hash.
+	 *
+	 * @param {array} vertices The flat coordinates of the vertices.
+	 * @param {any} val A value to store with the shape.
+	 * @param {boolean} closed Whether the last vertex connects to the first.
+	 * @return {PolygonHash} this.
+	 */
+	addShape(vertices, val, closed){
+		const id = this.nextId++;
+		
+		this.polygons.set(id, {vertices: vertices.slice(), closed, value: val});
+		this.shapeCount++;
+		for(const [cellX, cellY] of this.cellsUnderPolygon(vertices, closed)){
+			this.addToCell(cellX, cellY, id);
 		}
 		
 		return this;
 	}
 	
 	/**
-	 * Find a segment in the hash.
+	 * Find the grid cells that a stored polygon or polyline covers.
 	 *
-	 * @param {number} x1 The point 1 x-coordinate of the segment.
-	 * @param {number} y1 The point 1 y-coordinate of the segment.
-	 * @param {number} x2 The point 2 x-coordinate of the segment.
-	 * @param {number} y2 The point 2 y-coordinate of the segment.
-	 * @return {array|undefined} The [x1, y1, x2, y2, val] of the segment, or
+	 * @param {array} args The [id] of the shape.
+	 * @yield {array} The [x, y] grid cell coordinates.
+	 */
+	*shapeCells([id]){
+		const poly = this.polygons.get(id);
+		yield* this.cellsUnderPolygon(poly.vertices, poly.closed);
+	}
+	
+	/**
+	 * Iterate over the stored polygons and polylines. The cells only hold
+	 * their ids, which is what `shapes` yields.
+	 *
+	 * @yield {array} The [vertices, val] of each shape.
+	 */
+	*[Symbol.iterator](){
+		for(const poly of this.polygons.values()){
+			yield [poly.vertices.slice(), poly.value];
+		}
+	}
+	
+	/**
+	 * Remove all polygons and polylines.
+	 *
+	 * @return {PolygonHash} this.
+	 */
+	clear(){
+		this.polygons.clear();
+		return this.clearCells();
+	}
+	
+	/**
+	 * Find a polygon in the hash.
+	 *
+	 * @param {array} vertices The flat coordinates of the vertices.
+	 * @return {array|undefined} The [vertices, val] of the polygon, or
 	 *         undefined.
 	 */
-	findSegment(x1, y1, x2, y2){
-		const sz = this.cellSize,
-			cx = (x1 / sz) | 0,
-			cy = (y1 / sz) | 0;
-		
-		return this.findValues(cx, cy, x1, y1, x2, y2);
+	findPolygon(vertices){
+		const id = findPolygonId(this, vertices, true);
+		return id === -1 ? undefined : [vertices.slice(), this.polygons.get(id).value];
 	}
 	
 	/**
-	 * Remove a segment from the hash.
+	 * Find a polyline in the hash.
 	 *
-	 * @param {number} x1 The point 1 x-coordinate of the segment.
-	 * @param {number} y1 The point 1 y-coordinate of the segment.
-	 * @param {number} x2 The point 2 x-coordinate of the segment.
-	 * @param {number} y2 The point 2 y-coordinate of the segment.
-	 * @return {array|undefined} The [x1, y1, x2, y2, val] of the segment, or
+	 * @param {array} vertices The flat coordinates of the vertices.
+	 * @return {array|undefined} The [vertices, val] of the polyline, or
 	 *         undefined.
 	 */
-	removeSegment(x1, y1, x2, y2){
-		let val = undefined;
-		for(const [cellX, cellY] of this.cellsUnderSegment(x1, y1, x2, y2)){
-			const idx = this.findIndex(cellX, cellY, x1, y1, x2, y2);
+	findPolyline(vertices){
+		const id = findPolygonId(this, vertices, false);
+		return id === -1 ? undefined : [vertices.slice(), this.polygons.get(id).value];
+	}
+	
+	/**
+	 * Remove a polygon from the hash.
+	 *
+	 * @param {array} vertices The flat coordinates of the vertices.
+	 * @return {array|undefined} The [vertices, val] of the polygon, or
+	 *         undefined.
+	 */
+	removePolygon(vertices){
+		return this.removeShape(findPolygonId(this, vertices, true));
+	}
+	
+	/**
+	 * Remove a polyline from the hash.
+	 *
+	 * @param {array} vertices The flat coordinates of the vertices.
+	 * @return {array|undefined} The [vertices, val] of the polyline, or
+	 *         undefined.
+	 */
+	removePolyline(vertices){
+		return this.removeShape(findPolygonId(this, vertices, false));
+	}
+	
+	/**
+	 * Remove the polygon or polyline with the given id from the hash.
+	 *
+	 * @param {number} id The id of the shape.
+	 * @return {array|undefined} The [vertices, val] of the shape, or
+	 *         undefined.
+	 */
+	removeShape(id){
+		const poly = this.polygons.get(id);
 		
-			if(idx === -1){ // can't find it once: can't find it ever
-				return undefined;
-			}
-			
-			val = this.removeAt(cellX, cellY, idx)[4];
+		if(!poly){
+			return undefined;
 		}
 		
-		return [x1, y1, x2, y2, val];
+		for(const [cellX, cellY] of this.cellsUnderPolygon(poly.vertices, poly.closed)){
+			this.removeFromCell(cellX, cellY, this.findIndex(cellX, cellY, id));
+		}
+		this.polygons.delete(id);
+		this.shapeCount--;
+		
+		return [poly.vertices, poly.value];
 	}
 	
 	/**
-	 * Find the segments that intersect the given segment in the hash.
+	 * Polygon hashes cannot be described as JSON, their shapes have no fixed
+	 * number of elements.
+	 *
+	 * @throws {Error} Always.
+	 */
+	toJSON(){
+		throw new Error(POLYGON_SERIALIZE_ERROR);
+	}
+	
+	/**
+	 * Polygon hashes cannot be serialized, see `toJSON`.
+	 *
+	 * @throws {Error} Always.
+	 */
+	serialize(){
+		throw new Error(POLYGON_SERIALIZE_ERROR);
+	}
+	
+	/**
+	 * Find the polygons that contain the given point.
+	 *
+	 * @param {number} x The x-coordinate.
+	 * @param {number} y The y-coordinate.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [vertices, val] of the polygons.
+	 */
+	*polygonsContainingPoint(x, y, options){
+		const arr = this.cell(this.cellCoord(x), this.cellCoord(y)),
+			query = new QueryFilter(options);
+		
+		if(!arr){
+			return;
+		}
+		
+		for(const id of arr){
+			const poly = this.polygons.get(id);
+			
+			if(poly.closed && query.accepts(poly.value) && pointInPolygon(x, y, poly.vertices)){
+				query.take();
+				yield [poly.vertices.slice(), poly.value];
+			}
+		}
+	}
+	
+	/**
+	 * Find the polygons and polylines that intersect the given segment.
 	 *
 	 * @param {number} x1 The point 1 x-coordinate of the segment.
 	 * @param {number} y1 The point 1 y-coordinate of the segment.
 	 * @param {number} x2 The point 2 x-coordinate of the segment.
 	 * @param {number} y2 The point 2 y-coordinate of the segment.
-	 * @param {number} eps The width of the segment/maximum distance from the
-	 *        segment to search in. Should not be greater than `this.cellSize`.
-	 * @yield {array} The [x1, y1, x2, y2, val] of the intersecting segments.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [vertices, val] of the intersecting shapes.
 	 */
-	*findIntersects(x1, y1, x2, y2, eps = 1){
-		let prev = null;
-		for(const [cellX, cellY] of this.cellsUnderSegment(x1, y1, x2, y2, eps)){
-			const key = cellX + ',' + cellY,
-				arr = this.map[key];
-			
-			if(!arr){
-				continue;
+	*polygonsIntersectingSegment(x1, y1, x2, y2, options){
+		const query = new QueryFilter(options),
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderSegment(x1, y1, x2, y2, 0))){
+				const arr = this.cell(cellX, cellY);
+				
+				if(!arr){
+					continue;
+				}
+				
+				for(const id of arr){
+					if(!this.visit(slot, id)){
+						continue;
+					}
+					
+					const {vertices, closed, value} = this.polygons.get(id);
+					if(!query.accepts(value)){
+						continue;
+					}
+					
+					if((closed && pointInPolygon(x1, y1, vertices)) ||
+							polygonIntersectsSegment(vertices, closed, x1, y1, x2, y2)){
+						query.take();
+						yield [vertices.slice(), value];
+					}
+				}
 			}
-			
-			for(let i = 0; i < arr.length; i += 5){
-				const sx1 = arr[i],
-					sy1 = arr[i + 1],
-					sx2 = arr[i + 2],
-					sy2 = arr[i + 3],
-					sv = arr[i + 4];
+		}finally{
+			this.endQuery(slot);
+		}
+	}
+	
+	/**
+	 * Find the polygons and polylines that overlap, or touch, the given
+	 * axis-aligned rectangle.
+	 *
+	 * @param {number} x The x-coordinate of the top-left corner.
+	 * @param {number} y The y-coordinate of the top-left corner.
+	 * @param {number} w The width of the rectangle.
+	 * @param {number} h The height of the rectangle.
+	 * @param {object} options Optional {filter, limit, exclude}, see
+	 *        QueryFilter.
+	 * @yield {array} The [vertices, val] of the overlapping shapes.
+	 */
+	*polygonsOverlappingRect(x, y, w, h, options){
+		const query = new QueryFilter(options),
+			x2 = x + w,
+			y2 = y + h,
+			slot = this.beginQuery();
+		
+		try{
+			for(const [cellX, cellY] of query.untilDone(this.cellsUnderExtent(x, y, w, h))){
+				const arr = this.cell(cellX, cellY);
 				
-				if(prev && prev[0] === sx1 && prev[1] === sy1 && prev[2] === sx2 && prev[3] === sy2){
+				if(!arr){
 					continue;
 				}
-			
-				if(intersectSegments(x1, y1, x2, y2, sx1, sy1, sx2, sy2)){
-					yield [sx1, sy1, sx2, sy2, sv];
-					prev = [sx1, sy1, sx2, sy2];
+				
+				for(const id of arr){
+					if(!this.visit(slot, id)){
+						continue;
+					}
+					
+					const {vertices, closed, value} = this.polygons.get(id);
+					if(!query.accepts(value)){
+						continue;
+					}
+					
+					const vx = vertices[0],
+						vy = vertices[1];
+					
+					if((vx >= x && vx <= x2 && vy >= y && vy <= y2) ||
+							(closed && pointInPolygon(x, y, vertices)) ||
+							polygonIntersectsSegment(vertices, closed, x, y, x2, y) ||
+							polygonIntersectsSegment(vertices, closed, x2, y, x2, y2) ||
+							polygonIntersectsSegment(vertices, closed, x2, y2, x, y2) ||
+							polygonIntersectsSegment(vertices, closed, x, y2, x, y)){
+						query.take();
+						yield [vertices.slice(), value];
+					}
 				}
 			}
+		}finally{
+			this.endQuery(slot);
 		}
 	}
 }
 
 /**
- * Compute if two line segments [p1, p2] and [p3, p4] intersect.
+ * Compute the bounding box of a polygon.
  *
- * @name Constrainautor.intersectSegments
- * @source https://stackoverflow.com/a/565282
- * @param {number} p1x The x coordinate of point 1 of the first segment.
- * @param {number} p1y The y coordinate of point 1 of the first segment.
- * @param {number} p2x The x coordinate of point 2 of the first segment.
- * @param {number} p2y The y coordinate of point 2 of the first segment.
- * @param {number} p3x The x coordinate of point 1 of the second segment.
- * @param {number} p3y The y coordinate of point 1 of the second segment.
- * @param {number} p4x The x coordinate of point 2 of the second segment.
- * @param {number} p4y The y coordinate of point 2 of the second segment.
- * @return {boolean} True if the line segments intersect.
+ * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of the
+ *        polygon vertices.
+ * @return {array} The [x, y, width, height] of the bounding box.
  */
-function intersectSegments(p1x, p1y, p2x, p2y, p3x, p3y, p4x, p4y){
-	const rx = p2x - p1x,
-		ry = p2y - p1y,
-		sx = p4x - p3x,
-		sy = p4y - p3y,
-		mx = p3x - p1x,
-		my = p3y - p1y,
-		n = mx * ry - rx * my,
-		d = rx * sy - sx * ry;
+function polygonExtent(vertices){
+	let minX = Infinity,
+		minY = Infinity,
+		maxX = -Infinity,
+		maxY = -Infinity;
 	
-	if(d === 0.0){
-		// collinear
-		if(n === 0.0){
-			const rr = rx * rx + ry * ry,
-				t0 = (mx * rx + my * ry) / rr,
-				t1 = t0 + (sx * rx + sy * ry) / rr;
-			
-			if(!((t0 < 0 && t1 < 0) || (t0 > 1 && t1 > 1))){
-				// collinear & overlapping
-				return true;
+	for(let i = 0; i < vertices.length; i += 2){
+		minX = Math.min(minX, vertices[i]);
+		minY = Math.min(minY, vertices[i + 1]);
+		maxX = Math.max(maxX, vertices[i]);
+		maxY = Math.max(maxY, vertices[i + 1]);
+	}
+	
+	return [minX, minY, maxX - minX, maxY - minY];
+}
+
+/**
+ * The version of the format written by `SpatialHash#toJSON` and
+ * `SpatialHash#serialize`, and the first four bytes of the latter: "SpHa".
+ */
+const FORMAT_VERSION = 1,
+	FORMAT_MAGIC = 0x61487053;
+
+/**
+ * The hashes that can be serialized, in the order of their type number in the
+ * binary format, with the index of the value in the elements of their shapes.
+ * The names are spelled out, as minifying may change those of the classes.
+ */
+const hashFormats = [
+	{name: 'PointHash', Hash: PointHash, valueSlot: 2},
+	{name: 'SegmentHash', Hash: SegmentHash, valueSlot: 4},
+	{name: 'TriangleHash', Hash: TriangleHash, valueSlot: 6},
+	{name: 'RectHash', Hash: RectHash, valueSlot: 4},
+	{name: 'CircleHash', Hash: CircleHash, valueSlot: 3}
+];
+
+// The error thrown when a PolygonHash is serialized
+const POLYGON_SERIALIZE_ERROR = "A PolygonHash cannot be serialized, its shapes have no fixed number of elements";
+
+/**
+ * Keeps values as they are, for `SpatialHash#toJSON`.
+ */
+const identityCodec = {
+	encode: (value) => value,
+	decode: (json) => json
+};
+
+/**
+ * Writes values as UTF-8 JSON text, for `SpatialHash#serialize`. Undefined
+ * is written as no bytes at all.
+ */
+const bytesCodec = {
+	encode: (value) => value === undefined ? new Uint8Array(0)
+		: new TextEncoder().encode(JSON.stringify(value)),
+	decode: (bytes) => bytes.length ? JSON.parse(new TextDecoder().decode(bytes)) : undefined
+};
+
+/**
+ * Find how a hash is serialized.
+ *
+ * @param {SpatialHash} hash The hash.
+ * @return {object} The entry in `hashFormats`.
+ */
+function hashFormat(hash){
+	const format = hashFormats.find(({Hash}) => hash instanceof Hash);
+	if(!format){
+		throw new Error(`${hash.constructor.name} cannot be serialized`);
+	}
+	
+	return format;
+}
+
+/**
+ * Collect the shapes of a hash, each once, for serializing.
+ *
+ * @param {SpatialHash} hash The hash.
+ * @param {number} valueSlot The index of the value in the shape elements.
+ * @param {object} codec Encodes the values.
+ * @return {object} The {coords, values}: the flat array elements of the shapes
+ *         without their values, and the encoded values.
+ */
+function collectShapes(hash, valueSlot, codec){
+	const coords = [],
+		values = [];
+	
+	for(const shape of hash.shapes()){
+		for(let i = 0; i < shape.length; i++){
+			if(i !== valueSlot){
+				coords.push(shape[i]);
 			}
 		}
+		values.push(codec.encode(shape[valueSlot]));
+	}
+	
+	return {coords, values};
+}
+
+/**
+ * Make a hash from serialized shapes.
+ *
+ * @param {function} Base The class that `fromJSON` or `deserialize` was
+ *        called on, which the hash must be an instance of.
+ * @param {object} format The entry in `hashFormats` of the hash.
+ * @param {number} cellSize The size of the grid cells.
+ * @param {number} numElements The array elements per shape.
+ * @param {number} nextId The id for the next shape that is added.
+ * @param {object} options The options for the constructor.
+ * @param {array} coords The flat array elements of the shapes, without their
+ *        values.
+ * @param {number} count The number of shapes.
+ * @param {function} valueOf Called with i, should return the value of shape i.
+ * @return {SpatialHash} The hash.
+ */
+function restoreHash(Base, format, cellSize, numElements, nextId, options, coords, count, valueOf){
+	const hash = new format.Hash(cellSize, options),
+		slot = format.valueSlot,
+		stride = numElements - 1;
+	
+	if(!(hash instanceof Base)){
+		throw new Error(`Cannot make a ${Base.name} from a ${format.name}`);
+	}
+	
+	if(hash.numElements !== numElements || coords.length !== count * stride){
+		throw new Error(`Expected ${count} shapes of ${hash.numElements} elements`);
+	}
+	
+	const fill = (i, args) => {
+		for(let j = 0, k = i * stride; j < numElements; j++){
+			if(j !== slot){
+				args[j] = coords[k++];
+			}
+		}
+	}, shape = new Array(numElements);
+	
+	hash.addBulk(count, (i, fn) => {
+		fill(i, shape);
+		for(const [cellX, cellY] of hash.shapeCells(shape)){
+			fn(cellX, cellY);
+		}
+	}, (i, args) => {
+		fill(i, args);
+		args[slot] = valueOf(i);
+	});
+	hash.nextId = nextId;
+	
+	return hash;
+}
+
+/**
+ * Take a random sample of the shapes in a flat coordinate array.
+ *
+ * @param {array} coords The flat coordinates of the shapes.
+ * @param {number} stride The number of coordinates per shape.
+ * @param {number} size About how many shapes to take.
+ * @return {object} The {sample, fraction}: an array of the coordinates of each
+ *         sampled shape, and the chance each shape had to be taken.
+ */
+function sampleShapes(coords, stride, size){
+	const count = Math.floor(coords.length / stride),
+		fraction = count > size ? size / count : 1,
+		sample = [];
+	
+	for(let i = 0; i + stride <= coords.length; i += stride){
+		if(fraction === 1 || Math.random() < fraction){
+			sample.push(Array.prototype.slice.call(coords, i, i + stride));
+		}
+	}
+	
+	return {sample, fraction};
+}
+
+/**
+ * Search for the largest cell size at which the grid cells of a shape hold no
+ * more than a given number of shapes, on average over the shapes. This is
+ * measured on a sample of the shapes: with each shape sampled with chance f,
+ * the sums S1 of the cell counts and S2 of their squares estimate the
+ * occupancy of the full set as (S2 - (1 - f) * S1) / (f * S1).
+ *
+ * @param {function} make Makes an empty hash with a given cell size, whose
+ *        `shapeCells` finds the cells of the shapes.
+ * @param {array} sample The array elements of the sampled shapes.
+ * @param {number} fraction The chance each shape had to be sampled.
+ * @param {number} min The smallest cell size to consider.
+ * @param {number} max The largest cell size to consider.
+ * @param {number} occupancy The number of shapes per cell to aim for.
+ * @return {number} The cell size.
+ */
+function estimateCellSize(make, sample, fraction, min, max, occupancy){
+	const measure = (cellSize) => {
+		const hash = make(cellSize),
+			counts = new Map;
 		
-		return false;
+		let s1 = 0, s2 = 0;
+		for(const args of sample){
+			for(const [cellX, cellY] of hash.shapeCells(args)){
+				const key = cellKey(cellX, cellY),
+					c = (counts.get(key) || 0) + 1;
+				
+				counts.set(key, c);
+				// c^2 - (c - 1)^2
+				s2 += 2 * c - 1;
+				s1++;
+			}
+		}
+		
+		return (s2 - (1 - fraction) * s1) / (fraction * s1);
+	};
+	
+	if(!sample.length || min >= max || measure(max) <= occupancy){
+		return max;
 	}
 	
-	const u = n / d,
-		t = (mx * sy - sx * my) / d;
+	// bisect in log-space: the occupancy grows with the cell size
+	let lo = min, hi = max;
+	while(hi > lo * 1.01){
+		const mid = Math.sqrt(lo * hi);
+		
+		if(measure(mid) <= occupancy){
+			lo = mid;
+		}else{
+			hi = mid;
+		}
+	}
 	
-	if(t < 0.0 || t > 1.0 || u < 0.0 || u > 1.0){
-		return false;
+	return lo;
+}
+
+/**
+ * Compute if a point lies inside a polygon, using the even-odd rule.
+ *
+ * @param {number} x The point x-coordinate.
+ * @param {number} y The point y-coordinate.
+ * @param {array} vertices The flat [x0, y0, x1, y1, ...] coordinates of the
+ *        polygon vertices.
+ * @return {boolean} True if the point is in the polygon.
+ */
+function pointInPolygon(x, y, vertices){
+	const len = vertices.length;
+	let inside = false;
+	
+	for(let i = 0, j = len - 2; i < len; j = i, i += 2){
+		const xi = vertices[i],
+			yi = vertices[i + 1],
+			xj = vertices[j],
+			yj = vertices[j + 1];
+		
+		if((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi){
+			inside = !inside;
+		}
 	}
 	
-	return true;
+	return inside;
+}
+
+/**
+ * Compute if any edge of a polygon or polyline intersects a line segment.
+ *
+ * @param {array} vertices The flat coordinates of the vertices.
+ * @param {boolean} closed Whether the last vertex connects to the first.
+ * @param {number} x1 The point 1 x-coordinate of the segment.
+ * @param {number} y1 The point 1 y-coordinate of the segment.
+ * @param {number} x2 The point 2 x-coordinate of the segment.
+ * @param {number} y2 The point 2 y-coordinate of the segment.
+ * @return {boolean} True if an edge intersects the segment.
+ */
+function polygonIntersectsSegment(vertices, closed, x1, y1, x2, y2){
+	const len = vertices.length,
+		end = closed ? len : len - 2;
+	
+	for(let i = 0; i < end; i += 2){
+		if(intersectSegments(vertices[i], vertices[i + 1],
+				vertices[(i + 2) % len], vertices[(i + 3) % len], x1, y1, x2, y2)){
+			return true;
+		}
+	}
+	
+	return false;
 }
 
-export {SpatialHash, PointHash, SegmentHash, intersectSegments, segPointDistSq};
+export {SpatialHash, PointHash, SegmentHash, TriangleHash, RectHash, CircleHash,
+	PolygonHash, intersectSegments, segmentIntersection, segPointDistSq,
+	pointInTriangle, intersectTriangles, pointInPolygon};
@@ -0,0 +1,274 @@
+import {PointHash, SegmentHash} from './SpatialHash.mjs';
+
+function time(name, fn){
+	const start = process.hrtime.bigint();
+	fn();
+	const ms = Number(process.hrtime.bigint() - start) / 1e6;
+	console.log(`  ${name.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms`);
+}
+
+function heap(){
+	if(global.gc){
+		global.gc();
+	}
+	// typed arrays live outside of the JS heap
+	const {heapUsed, arrayBuffers} = process.memoryUsage();
+	return heapUsed + arrayBuffers;
+}
+
+function randoms(count, scale){
+	const arr = new Float64Array(count);
+	for(let i = 0; i < count; i++){
+		arr[i] = Math.random() * scale;
+	}
+	return arr;
+}
+
+function benchPoints(options, count, scale, cellSize, queries){
+	const coords = randoms(count * 2, scale),
+		centers = randoms(queries * 2, scale),
+		before = heap();
+	
+	let hash, found = 0;
+	
+	console.log(`PointHash, ${JSON.stringify(options)}, ${count} points`);
+	time("addPoint", () => {
+		hash = new PointHash(cellSize, options);
+		for(let i = 0; i < coords.length; i += 2){
+			hash.addPoint(coords[i], coords[i + 1], i);
+		}
+	});
+	console.log(`  ${"memory".padEnd(28)} ${((heap() - before) / 1048576).toFixed(1).padStart(9)} MB`);
+	time("PointHash.from", () => {
+		PointHash.from(coords, null, cellSize, options);
+	});
+	
+	time("nearbyPoints", () => {
+		for(let i = 0; i < centers.length; i += 2){
+			for(const p of hash.nearbyPoints(centers[i], centers[i + 1], cellSize * 2)){
+				found++;
+			}
+		}
+	});
+	time("nearbyPoints, then sort", () => {
+		for(let i = 0; i < centers.length; i += 2){
+			found += [...hash.nearbyPoints(centers[i], centers[i + 1], cellSize * 2)].sort((a, b) => a[3] - b[3]).length;
+		}
+	});
+	time("nearbyPoints (sorted)", () => {
+		for(let i = 0; i < centers.length; i += 2){
+			for(const p of hash.nearbyPoints(centers[i], centers[i + 1], cellSize * 2, {sorted: true})){
+				found++;
+			}
+		}
+	});
+	time("nearbyPoints (sorted, first)", () => {
+		for(let i = 0; i < centers.length; i += 2){
+			for(const p of hash.nearbyPoints(centers[i], centers[i + 1], cellSize * 2, {sorted: true, limit: 1})){
+				found++;
+			}
+		}
+	});
+	time("forEachNearbyPoint", () => {
+		for(let i = 0; i < centers.length; i += 2){
+			hash.forEachNearbyPoint(centers[i], centers[i + 1], cellSize * 2, () => {
+				found++;
+			});
+		}
+	});
+	time("nearestPoints (k = 10)", () => {
+		for(let i = 0; i < centers.length; i += 2){
+			found += hash.nearestPoints(centers[i], centers[i + 1], 10).length;
+		}
+	});
+	time("findPoint", () => {
+		for(let i = 0; i < coords.length; i += 2){
+			found += hash.findPoint(coords[i], coords[i + 1]) ? 1 : 0;
+		}
+	});
+	time("removePoint", () => {
+		for(let i = 0; i < coords.length; i += 2){
+			hash.removePoint(coords[i], coords[i + 1]);
+		}
+	});
+	
+	return found;
+}
+
+function benchSegments(options, count, scale, size, cellSize, queries){
+	const starts = randoms(count * 2, scale),
+		deltas = randoms(count * 2, size),
+		lines = randoms(queries * 4, scale),
+		before = heap();
+	
+	let hash, found = 0;
+	
+	console.log(`SegmentHash, ${JSON.stringify(options)}, ${count} segments`);
+	time("addSegment", () => {
+		hash = new SegmentHash(cellSize, options);
+		for(let i = 0; i < starts.length; i += 2){
+			hash.addSegment(starts[i], starts[i + 1], starts[i] + deltas[i], starts[i + 1] + deltas[i + 1], i);
+		}
+	});
+	console.log(`  ${"memory".padEnd(28)} ${((heap() - before) / 1048576).toFixed(1).padStart(9)} MB`);
+	time("SegmentHash.from", () => {
+		const coords = new Float64Array(count * 4);
+		for(let i = 0; i < count; i++){
+			coords[4 * i] = starts[2 * i];
+			coords[4 * i + 1] = starts[2 * i + 1];
+			coords[4 * i + 2] = starts[2 * i] + deltas[2 * i];
+			coords[4 * i + 3] = starts[2 * i + 1] + deltas[2 * i + 1];
+		}
+		SegmentHash.from(coords, null, cellSize, options);
+	});
+	
+	time("findIntersects", () => {
+		for(let i = 0; i < lines.length; i += 4){
+			for(const s of hash.findIntersects(lines[i], lines[i + 1], lines[i + 2], lines[i + 3])){
+				found++;
+			}
+		}
+	});
+	time("forEachIntersect", () => {
+		for(let i = 0; i < lines.length; i += 4){
+			hash.forEachIntersect(lines[i], lines[i + 1], lines[i + 2], lines[i + 3], 1, () => {
+				found++;
+			});
+		}
+	});
+	time("raycast", () => {
+		for(let i = 0; i < lines.length; i += 4){
+			found += hash.raycast(lines[i], lines[i + 1], lines[i + 2] - lines[i], lines[i + 3] - lines[i + 1]) ? 1 : 0;
+		}
+	});
+	time("removeSegment", () => {
+		for(let i = 0; i < starts.length; i += 2){
+			hash.removeSegment(starts[i], starts[i + 1], starts[i] + deltas[i], starts[i + 1] + deltas[i + 1]);
+		}
+	});
+	
+	return found;
+}
+
+function benchMoves(options, count, scale, cellSize, steps){
+	const start = randoms(count * 2, scale),
+		// up to an eighth of a cell per step, in any direction
+		velocity = randoms(count * 2, cellSize / 4).map((v) => v - cellSize / 8);
+	
+	console.log(`Moving points, ${JSON.stringify(options)}, ${count} points, ${steps} steps`);
+	
+	const run = (name, step) => {
+		const hash = PointHash.from(start, null, cellSize, options),
+			pos = start.slice();
+		
+		time(name, () => {
+			for(let s = 0; s < steps; s++){
+				step(hash, pos);
+			}
+		});
+	};
+	
+	run("removePoint + addPoint", (hash, pos) => {
+		for(let i = 0; i < pos.length; i += 2){
+			const [, , v] = hash.removePoint(pos[i], pos[i + 1]);
+			pos[i] += velocity[i];
+			pos[i + 1] += velocity[i + 1];
+			hash.addPoint(pos[i], pos[i + 1], v);
+		}
+	});
+	run("movePoint", (hash, pos) => {
+		for(let i = 0; i < pos.length; i += 2){
+			const x = pos[i],
+				y = pos[i + 1];
+			pos[i] += velocity[i];
+			pos[i + 1] += velocity[i + 1];
+			hash.movePoint(x, y, pos[i], pos[i + 1]);
+		}
+	});
+	run("updateAll", (hash) => {
+		const to = [0, 0];
+		hash.updateAll((x, y, v) => {
+			to[0] = x + velocity[2 * v];
+			to[1] = y + velocity[2 * v + 1];
+			return to;
+		});
+	});
+}
+
+function benchSegmentMoves(options, count, scale, size, cellSize, steps){
+	const start = randoms(count * 4, scale),
+		velocity = randoms(count * 2, cellSize / 4).map((v) => v - cellSize / 8);
+	
+	for(let i = 0; i < start.length; i += 4){
+		start[i + 2] = start[i] + (start[i + 2] / scale - 0.5) * size;
+		start[i + 3] = start[i + 1] + (start[i + 3] / scale - 0.5) * size;
+	}
+	
+	console.log(`Moving segments, ${JSON.stringify(options)}, ${count} segments, ${steps} steps`);
+	
+	const run = (name, step) => {
+		const hash = SegmentHash.from(start, null, cellSize, options),
+			pos = start.slice();
+		
+		time(name, () => {
+			for(let s = 0; s < steps; s++){
+				step(hash, pos);
+			}
+		});
+	};
+	
+	run("removeSegment + addSegment", (hash, pos) => {
+		for(let i = 0, j = 0; i < pos.length; i += 4, j += 2){
+			const [, , , , v] = hash.removeSegment(pos[i], pos[i + 1], pos[i + 2], pos[i + 3]);
+			pos[i] += velocity[j];
+			pos[i + 1] += velocity[j + 1];
+			pos[i + 2] += velocity[j];
+			pos[i + 3] += velocity[j + 1];
+			hash.addSegment(pos[i], pos[i + 1], pos[i + 2], pos[i + 3], v);
+		}
+	});
+	run("moveSegment", (hash, pos) => {
+		for(let i = 0, j = 0; i < pos.length; i += 4, j += 2){
+			const [x1, y1, x2, y2] = pos.subarray(i, i + 4);
+			pos[i] += velocity[j];
+			pos[i + 1] += velocity[j + 1];
+			pos[i + 2] += velocity[j];
+			pos[i + 3] += velocity[j + 1];
+			hash.moveSegment(x1, y1, x2, y2, pos[i], pos[i + 1], pos[i + 2], pos[i + 3]);
+		}
+	});
+	run("updateAll", (hash) => {
+		hash.updateAll((x1, y1, x2, y2, v) => {
+			const dx = velocity[2 * v],
+				dy = velocity[2 * v + 1];
+			return [x1 + dx, y1 + dy, x2 + dx, y2 + dy];
+		});
+	});
+}
+
+function main(args){
+	const count = +args[0] || 200000,
+		modes = [
+			{storage: 'object', keys: 'string'},
+			{storage: 'object', keys: 'packed'},
+			{storage: 'typed'}
+		];
+	
+	for(const options of modes){
+		benchPoints(options, count, 10000, 10, 10000);
+	}
+	
+	for(const options of modes){
+		benchSegments(options, count / 4, 10000, 20, 10, 1000);
+	}
+	
+	for(const options of modes){
+		benchMoves(options, count / 10, 1000, 10, 10);
+	}
+	
+	for(const options of modes){
+		benchSegmentMoves(options, count / 40, 1000, 20, 10, 10);
+	}
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,276 @@
+import {CircleHash, segPointDistSq} from './SpatialHash.mjs';
+import util from 'util';
+import tape from 'tape';
+
+function sqdist(ax, ay, bx, by){
+	const dx = ax - bx,
+		dy = ay - by;
+	return dx * dx + dy * dy;
+}
+
+function randomCircle(scale, size, offset){
+	return [
+		Math.random() * scale + offset,
+		Math.random() * scale + offset,
+		Math.random() * size
+	];
+}
+
+function genRandom(hash, count, scale, size, offset = 0){
+	const circles = [];
+	
+	for(let i = 0; i < count; i++){
+		const circle = randomCircle(scale, size, offset),
+			idx = circles.length;
+		
+		hash.addCircle(...circle, idx);
+		circles.push(...circle);
+	}
+	
+	return {hash, circles};
+}
+
+function testExact(t, circles, hash, samples, scale){
+	for(let i = 0; i < circles.length; i += 3){
+		const [cx, cy, r] = circles.slice(i, i + 3),
+			found = hash.findCircle(cx, cy, r);
+		
+		if(!found || found[0] !== cx || found[1] !== cy || found[2] !== r || found[3] !== i){
+			t.fail(`found ${found} instead of [${cx}, ${cy}, ${r}, ${i}]`);
+		}
+	}
+	
+	for(let i = 0; i < samples; i++){
+		const idx = ((Math.random() * (circles.length / 3)) | 0) * 3,
+			cx = circles[idx] + scale / 2,
+			cy = circles[idx + 1] + scale / 2,
+			found = hash.findCircle(cx, cy, circles[idx + 2]);
+		
+		if(found && found[3] === idx){
+			t.fail(`shouldn't have found ${found} at (${cx}, ${cy})`);
+		}
+	}
+	
+	t.pass("found all circles exactly");
+}
+
+function testQuery(t, circles, hash, count, what, measure, query){
+	for(let i = 0; i < count; i++){
+		const args = query(),
+			ref = new Map;
+		
+		for(let i = 0; i < circles.length; i += 3){
+			const m = measure(...args, ...circles.slice(i, i + 3));
+			if(m !== undefined){
+				ref.set(i, m);
+			}
+		}
+		
+		const need = ref.size,
+			found = new Set;
+		
+		for(const [cx, cy, r, idx, m] of hash[what](...args)){
+			if(found.has(idx)){
+				t.fail(`found duplicate circle ${idx}`);
+			}else if(!ref.has(idx)){
+				t.fail(`found invalid circle [${cx}, ${cy}, ${r}, ${idx}]`);
+			}else if(ref.get(idx) !== m){
+				t.fail(`circle ${idx} has ${m} instead of ${ref.get(idx)}`);
+			}
+			ref.delete(idx);
+			found.add(idx);
+		}
+		
+		t.equal(ref.size, 0, `${what}: found ${need} circles`);
+	}
+}
+
+function containsPoint(x, y, cx, cy, r){
+	const d2 = sqdist(x, y, cx, cy);
+	return d2 <= r * r ? d2 : undefined;
+}
+
+function overlaps(x, y, r, cx, cy, cr){
+	const rr = r + cr,
+		d2 = sqdist(x, y, cx, cy);
+	return d2 <= rr * rr ? rr - Math.sqrt(d2) : undefined;
+}
+
+function hitBySegment(x1, y1, x2, y2, cx, cy, r){
+	const d2 = segPointDistSq(x1, y1, x2, y2, cx, cy);
+	return d2 <= r * r ? d2 : undefined;
+}
+
+function testRemove(t, circles, hash, samples, scale){
+	const numCircles = circles.length / 3;
+	// remove non-existent circles
+	for(let i = 0; i < samples; i++){
+		const idx = ((numCircles * Math.random()) | 0) * 3,
+			cx = circles[idx] + scale / 2,
+			cy = circles[idx + 1] + scale / 2,
+			ret = hash.removeCircle(cx, cy, circles[idx + 2]);
+		
+		if(ret !== undefined){
+			t.fail(`should have removed & returned nothing, but got: ${ret}`);
+		}
+	}
+	
+	testExact(t, circles, hash, samples, scale);
+	
+	const removed = new Set;
+	for(let i = 0; i < samples; i++){
+		const idx = ((numCircles * Math.random()) | 0) * 3;
+		if(removed.has(idx)){
+			continue;
+		}
+		removed.add(idx);
+		
+		const [cx, cy, r] = circles.slice(idx, idx + 3),
+			ret = hash.removeCircle(cx, cy, r);
+		
+		if(ret === undefined){
+			t.fail(`should have removed & returned [${cx}, ${cy}, ${r}, ${idx}], but got undefined`);
+		}
+		
+		t.deepEqual(ret, [cx, cy, r, idx], `returned the removed circle`);
+		t.equal(hash.findCircle(cx, cy, r), undefined, `can no longer find the removed circle`);
+		
+		for(const [x, y] of hash.cellsUnderCircle(cx, cy, r)){
+			const arr = hash.cell(x, y);
+			if(arr && !arr.length){
+				t.fail(`grid cell (${x}, ${y}) is not cleared`);
+			}
+		}
+	}
+}
+
+function testCircles(t, circles, hash, samples, scale, size, offset = 0){
+	const rnd = () => Math.random() * scale + offset;
+	
+	testExact(t, circles, hash, samples, scale);
+	testQuery(t, circles, hash, samples, 'circlesContainingPoint', containsPoint,
+			() => [rnd(), rnd()]);
+	testQuery(t, circles, hash, samples, 'circlesOverlappingCircle', overlaps,
+			() => randomCircle(scale, size * 2, offset));
+	testQuery(t, circles, hash, samples, 'circlesIntersectingSegment', hitBySegment,
+			() => {
+				const x = rnd(),
+					y = rnd();
+				return [x, y, x + (Math.random() - 0.5) * size * 4, y + (Math.random() - 0.5) * size * 4];
+			});
+	// remove should be last
+	testRemove(t, circles, hash, samples, scale);
+	t.pass(`passed: ${util.inspect(hash.stats())}`);
+	t.end();
+}
+
+function testExample(t){
+	const cellSize = 10,
+		ciHash = new CircleHash(cellSize); // store circles in cells of 10x10
+	
+	ciHash.addCircle(8, 8, 5, "foo") // add circle at (8, 8) with radius 5 and value "foo"
+		.addCircle(20, 8, 6, "bar")
+		.addCircle(30, 30, 2, "quux");
+	
+	t.deepEqual(ciHash.findCircle(8, 8, 5), [8, 8, 5, "foo"], "finds existing circle");
+	t.equal(ciHash.findCircle(8, 8, 6), undefined, "doesn't find non-existing circle");
+	
+	t.deepEqual([...ciHash.circlesContainingPoint(11, 12)], [[8, 8, 5, "foo", 25]], "found circle containing point");
+	
+	const ref = new Map([["foo", 3], ["bar", 4]]),
+		found = new Set;
+	// find the circles overlapping the circle at (14, 8) with radius 4
+	for(const [x, y, r, name, depth] of ciHash.circlesOverlappingCircle(14, 8, 4)){
+		t.assert(ref.has(name) && !found.has(name), `found overlap ${name} once`);
+		t.equal(depth, ref.get(name), `${name} overlaps by ${depth}`);
+		ref.delete(name);
+		found.add(name);
+	}
+	t.equal(ref.size, 0, "found all overlapping circles");
+	
+	const hits = new Map([...ciHash.circlesIntersectingSegment(24, 0, 24, 40)].map((c) => [c[3], c[4]]));
+	t.deepEqual([...hits], [["bar", 16]], "found circle hit by segment");
+	
+	ciHash.addCircle(40, 8, 15, "foo");
+	const shapes = (it) => [...it].map((circle) => circle.slice(0, 4).join()).sort();
+	t.equal(ciHash.size, 4, "counts the circles");
+	t.deepEqual(shapes(ciHash), ["20,8,6,bar", "30,30,2,quux", "40,8,15,foo", "8,8,5,foo"],
+		"iterates over each circle once, also with the same value");
+	ciHash.removeCircle(20, 8, 6);
+	t.deepEqual([ciHash.size, [...ciHash].length], [3, 3], "counts removed circles");
+	
+	t.end();
+}
+
+function testDuplicates(t){
+	const cellSize = 10,
+		hash = new CircleHash(cellSize);
+	
+	hash.addCircle(8, 8, 5, "foo");
+	hash.addCircle(8, 8, 5, "bar");
+	hash.addCircle(8, 8, 5, "qux");
+	
+	const ref = new Set(["foo", "bar", "qux"]);
+	ref.delete(hash.removeCircle(8, 8, 5)[3]);
+	ref.delete(hash.removeCircle(8, 8, 5)[3]);
+	ref.delete(hash.removeCircle(8, 8, 5)[3]);
+	
+	t.equal(ref.size, 0, "found all circles to delete");
+	t.equal(hash.removeCircle(8, 8, 5), undefined, "can no longer find deleted circles");
+	t.equal(hash.cellCount, 0, "all grid cells are cleared");
+	
+	t.end();
+}
+
+const randoms = [
+	{count: 1000, scale: 100, size: 10, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, size: 10, cellSize: 100, samples: 100},
+	{count: 1000, scale: 100, size: 10, cellSize: 1000, samples: 100},
+	{count: 1000, scale: 1000, size: 25, cellSize: 10, samples: 100},
+	{count: 1000, scale: 10000, size: 50, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, size: 10, cellSize: 10, offset: -50, samples: 100},
+	{count: 1000, scale: 1000, size: 25, cellSize: 10, offset: -1e12, samples: 100},
+	{count: 1000, scale: 100, size: 10, cellSize: 10, offset: -50, samples: 100, rehash: 35}
+];
+
+function testQueryOptions(t){
+	const hash = new CircleHash(10),
+		asked = [],
+		values = (circles) => circles.map((circle) => circle[3]).sort();
+	
+	for(let i = 0; i < 5; i++){
+		hash.addCircle(50 + i * 5, 50, 20, i);
+	}
+	
+	t.deepEqual(values([...hash.circlesOverlappingCircle(50, 50, 30, {filter: (val) => {
+		asked.push(val);
+		return val % 2 === 0;
+	}})]), [0, 2, 4], "circlesOverlappingCircle: filters");
+	t.deepEqual(asked.sort(), [0, 1, 2, 3, 4], "circlesOverlappingCircle: asks the filter once per circle, across its cells");
+	t.equal([...hash.circlesIntersectingSegment(0, 50, 100, 50, {exclude: [0], limit: 2})].length, 2,
+		"circlesIntersectingSegment: stops at the limit");
+	t.deepEqual(values([...hash.circlesContainingPoint(50, 50, {exclude: new Set([0]), limit: 2})]), [1, 2],
+		"circlesContainingPoint: excludes and stops at the limit");
+	t.end();
+}
+
+function main(args){
+	tape.test("Example", testExample);
+	tape.test("Duplicates", testDuplicates);
+	tape.test("Query options", testQueryOptions);
+	
+	for(const cfg of randoms){
+		const {count, scale, size, cellSize, offset = 0, samples, rehash} = cfg,
+			hash = new CircleHash(cellSize),
+			{circles} = genRandom(hash, count, scale, size, offset);
+		
+		if(rehash){
+			hash.rehash(rehash);
+		}
+		
+		tape.test(`random: ${count} circles, size: ${size}, cellSize: ${cellSize}, scale: ${scale}, offset: ${offset}${rehash ? `, rehash: ${rehash}` : ""}`,
+				(t) => testCircles(t, circles, hash, samples, scale, size, offset));
+	}
+}
+
+main(process.argv.slice(2));
@@ -1,4 +1,4 @@
-import {PointHash, segPointDistSq} from './SpatialHash.mjs';
+import {SpatialHash, PointHash, SegmentHash, PolygonHash, segPointDistSq, pointInPolygon} from './SpatialHash.mjs';
 import util from 'util';
 import tape from 'tape';
 
@@ -8,45 +8,24 @@ function sqdist(ax, ay, bx, by){
 	return dx * dx + dy * dy;
 }
 
-function occupancy(hash){
-	let activeCells = 0,
-		empty = 0,
-		points = 0,
-		min = Infinity,
-		max = -Infinity;
-	
-	for(const [key, arr] of Object.entries(hash.map)){
-		if(!arr || !arr.length){
-			empty++;
-			continue;
-		}
-		
-		activeCells++;
-		const len = arr.length / 3;
-		min = Math.min(min, len);
-		max = Math.max(max, len);
-		points += len;
-	}
-	
-	return {
-		min,
-		max,
-		activeCells,
-		points,
-		mean: points / activeCells
-	}
-}
-
-function genRandom(hash, count, scale){
-	const points = [];
+function genRandom(hash, count, scale, offset = 0, bulk = false){
+	const points = [],
+		values = [];
 	
 	for(let i = 0; i < count; i++){
-		const x = Math.random() * scale,
-			y = Math.random() * scale,
+		const x = Math.random() * scale + offset,
+			y = Math.random() * scale + offset,
 			idx = points.length;
 		
-		hash.addPoint(x, y, idx);
+		if(!bulk){
+			hash.addPoint(x, y, idx);
+		}
 		points.push(x, y);
+		values.push(idx);
+	}
+	
+	if(bulk){
+		hash.addPoints(points, values);
 	}
 	
 	return {hash, points};
@@ -94,11 +73,11 @@ function testExact(t, points, hash, samples, scale){
 	t.pass("found all points exactly");
 }
 
-function testSample(t, points, hash, count, scale, radius){
+function testSample(t, points, hash, count, scale, radius, offset){
 	const r2 = radius * radius;
 	for(let i = 0; i < count; i++){
-		const cx = Math.random() * scale,
-			cy = Math.random() * scale,
+		const cx = Math.random() * scale + offset,
+			cy = Math.random() * scale + offset,
 			ref = new Set;
 		
 		for(let i = 0; i < points.length; i += 2){
@@ -110,34 +89,39 @@ function testSample(t, points, hash, count, scale, radius){
 			}
 		}
 		
-		const need = ref.size;
+		const visited = [];
+		hash.forEachNearbyPoint(cx, cy, radius, (x, y, idx) => {
+			visited.push([x, y, idx]);
+		});
 		
-		for(const [x, y, idx] of hash.nearbyPoints(cx, cy, radius)){
-			if(!ref.has(idx)){
-				t.fail(`found invalid point [${x}, ${y}, ${idx}]`);
+		for(const results of [hash.nearbyPoints(cx, cy, radius), visited]){
+			const missing = new Set(ref),
+				found = new Set;
+			
+			for(const [x, y, idx] of results){
+				if(found.has(idx)){
+					t.fail(`found duplicate point ${idx}`);
+				}else if(!missing.has(idx)){
+					t.fail(`found invalid point [${x}, ${y}, ${idx}]`);
+				}
+				missing.delete(idx);
+				found.add(idx);
 			}
-			ref.delete(idx);
+			
+			t.equal(missing.size, 0, `found ${ref.size} points within circle`);
 		}
-		
-		t.equal(ref.size, 0, `found ${need} points within circle`);
 	}
 	
 	t.pass("found all samples");
 }
 
-function testSegment(t, points, hash, count, scale, radius){
-	// pointsNearSegment not defined for radius > cellSize
-	if(radius > hash.cellSize){
-		t.pass(`ignore radius ${radius} > cellSize ${hash.cellSize}`);
-		return;
-	}
-	
+function testSegment(t, points, hash, count, scale, radius, offset){
 	const r2 = radius * radius;
 	for(let i = 0; i < count; i++){
-		const x1 = Math.random() * scale,
-			y1 = Math.random() * scale,
-			x2 = Math.random() * scale,
-			y2 = Math.random() * scale,
+		const x1 = Math.random() * scale + offset,
+			y1 = Math.random() * scale + offset,
+			x2 = Math.random() * scale + offset,
+			y2 = Math.random() * scale + offset,
 			ref = new Set;
 		
 		for(let i = 0; i < points.length; i += 2){
@@ -149,21 +133,124 @@ function testSegment(t, points, hash, count, scale, radius){
 			}
 		}
 		
-		const need = ref.size;
+		const visited = [];
+		hash.forEachPointNearSegment(x1, y1, x2, y2, radius, (x, y, idx) => {
+			visited.push([x, y, idx]);
+		});
 		
-		for(const [x, y, idx] of hash.pointsNearSegment(x1, y1, x2, y2, radius)){
-			if(!ref.has(idx)){
-				t.fail(`found invalid point [${x}, ${y}, ${idx}]`);
+		for(const results of [hash.pointsNearSegment(x1, y1, x2, y2, radius), visited]){
+			const missing = new Set(ref),
+				found = new Set;
+			
+			for(const [x, y, idx] of results){
+				if(found.has(idx)){
+					t.fail(`found duplicate point ${idx}`);
+				}else if(!missing.has(idx)){
+					t.fail(`found invalid point [${x}, ${y}, ${idx}]`);
+				}
+				missing.delete(idx);
+				found.add(idx);
 			}
-			ref.delete(idx);
+			
+			t.equal(missing.size, 0, `found ${ref.size} points under segment`);
 		}
-		
-		t.equal(ref.size, 0, `found ${need} points under segment`);
 	}
 	
 	t.pass("found all samples");
 }
 
+function randomPolygon(cx, cy, radius){
+	const n = 3 + ((Math.random() * 10) | 0),
+		vertices = [];
+	
+	for(let i = 0; i < n; i++){
+		const angle = (i + Math.random()) / n * 2 * Math.PI,
+			r = radius * (0.2 + Math.random() * 0.8);
+		
+		vertices.push(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+	}
+	
+	return vertices;
+}
+
+function checkRegion(t, points, found, test, name){
+	const ref = new Set;
+	for(let i = 0; i < points.length; i += 2){
+		if(test(points[i], points[i + 1])){
+			ref.add(i);
+		}
+	}
+	
+	const need = ref.size,
+		seen = new Set;
+	
+	for(const [x, y, idx] of found){
+		if(seen.has(idx)){
+			t.fail(`found duplicate point ${idx}`);
+		}else if(!ref.has(idx)){
+			t.fail(`found invalid point [${x}, ${y}, ${idx}]`);
+		}
+		ref.delete(idx);
+		seen.add(idx);
+	}
+	
+	t.equal(ref.size, 0, `found ${need} points in ${name}`);
+}
+
+function testRegions(t, points, hash, count, scale, radius, offset){
+	for(let i = 0; i < count; i++){
+		const x = Math.random() * scale + offset,
+			y = Math.random() * scale + offset,
+			w = Math.random() * radius * 2,
+			h = Math.random() * radius * 2,
+			vertices = randomPolygon(x, y, radius * 2),
+			// a disc with a hole
+			inRing = (px, py) => {
+				const d2 = sqdist(x, y, px, py);
+				return d2 <= radius * radius && d2 >= radius * radius / 4;
+			};
+		
+		checkRegion(t, points, hash.pointsInRect(x, y, w, h),
+			(px, py) => px >= x && px <= x + w && py >= y && py <= y + h, "rectangle");
+		checkRegion(t, points, hash.pointsInPolygon(vertices),
+			(px, py) => pointInPolygon(px, py, vertices), "polygon");
+		checkRegion(t, points, hash.pointsInRegion([x - radius, y - radius, radius * 2, radius * 2], inRing),
+			inRing, "region");
+	}
+}
+
+function testNearest(t, points, hash, count, scale, radius, offset){
+	for(let i = 0; i < count; i++){
+		const x = Math.random() * scale + offset,
+			y = Math.random() * scale + offset,
+			k = 1 + ((Math.random() * 20) | 0),
+			maxDist = i % 2 ? radius : Infinity,
+			ref = [];
+		
+		let min = Infinity;
+		for(let i = 0; i < points.length; i += 2){
+			const d2 = sqdist(x, y, points[i], points[i + 1]);
+			min = Math.min(min, d2);
+			if(d2 <= maxDist * maxDist){
+				ref.push(d2);
+			}
+		}
+		ref.sort((a, b) => a - b);
+		ref.length = Math.min(ref.length, k);
+		
+		const found = hash.nearestPoints(x, y, k, maxDist);
+		
+		t.deepEqual(found.map((p) => p[3]), ref, `found ${k} nearest points within ${maxDist}`);
+		for(const [px, py, idx, d2] of found){
+			if(points[idx] !== px || points[idx + 1] !== py || sqdist(x, y, px, py) !== d2){
+				t.fail(`found invalid point [${px}, ${py}, ${idx}, ${d2}]`);
+			}
+		}
+		
+		t.equal(hash.nearestPoint(x, y)[3], min, "found the nearest point");
+	}
+}
+
 function testRemove(t, points, hash, samples, scale){
 	const numPoints = points.length / 2;
 	// remove non-existent points
@@ -200,28 +287,29 @@ function testRemove(t, points, hash, samples, scale){
 		t.equal(hash.findPoint(x, y), undefined, `can no longer find the removed point`);
 		
 		const sz = hash.cellSize,
-			cx = (x / sz) | 0,
-			cy = (y / sz) | 0,
-			key = cx + ',' + cy,
-			arr = hash.map[key];
+			cx = Math.floor(x / sz),
+			cy = Math.floor(y / sz),
+			arr = hash.cell(cx, cy);
 		
 		t.assert(!arr || arr.length, `grid cell is cleared or has at least 1 element: ${arr && arr.length}`);
 	}
 }
 
-function testPoints(t, points, hash, samples, scale, radius){
+function testPoints(t, points, hash, samples, scale, radius, offset = 0){
 	testExact(t, points, hash, samples, scale);
-	testSample(t, points, hash, samples, scale, radius);
-	testSegment(t, points, hash, samples, scale, radius);
+	testSample(t, points, hash, samples, scale, radius, offset);
+	testSegment(t, points, hash, samples, scale, radius, offset);
+	testRegions(t, points, hash, samples, scale, radius, offset);
+	testNearest(t, points, hash, samples, scale, radius, offset);
 	// remove should be last
 	testRemove(t, points, hash, samples, scale);
-	t.pass(`passed: ${util.inspect(occupancy(hash))}`);
+	t.pass(`passed: ${util.inspect(hash.stats())}`);
 	t.end();
 }
 
-function testExample(t){
+function testExample(t, options = {}){
 	const cellSize = 10,
-		hash = new PointHash(cellSize); // store points in grid cells of 10x10
+		hash = new PointHash(cellSize, options); // store points in grid cells of 10x10
 	
 	hash.addPoint(12, 14, "foo") // store a point at (12, 14) with value "foo"
 		.addPoint(5, 13, "bar")
@@ -253,12 +341,36 @@ function testExample(t){
 	
 	t.equal(ref.size, 0, "found all points under segment");
 	
+	const names = (found) => [...found].map((p) => p[2]).sort();
+	// find points in the rectangle (10, 10) - (20, 20)
+	t.deepEqual(names(hash.pointsInRect(10, 10, 10, 10)), ["baz", "charlie", "foo"], "found points in rectangle");
+	// find points in the triangle (0, 0), (25, 0), (0, 25)
+	t.deepEqual(names(hash.pointsInPolygon([0, 0, 25, 0, 0, 25])), ["bar", "quux"], "found points in polygon");
+	// find points below the diagonal x = y
+	t.deepEqual(names(hash.pointsInRegion([0, 0, 30, 30], (x, y) => x > y)), ["alpha", "charlie", "delta"], "found points in region");
+	
+	// the same queries, with a callback per point instead of an array
+	const visited = [];
+	t.equal(hash.forEachNearbyPoint(20, 18, 4, (x, y, name) => { visited.push(name); }), true, "visited all nearby points");
+	t.deepEqual(visited.sort(), ["baz", "charlie", "delta"], "called back for nearby points");
+	visited.length = 0;
+	t.equal(hash.forEachPointNearSegment(4, 22, 19, 8, 2, (x, y, name) => { visited.push(name); }), true, "visited all points under segment");
+	t.deepEqual(visited.sort(), ["alpha", "bravo", "foo"], "called back for points under segment");
+	
+	// returning false stops the search
+	let calls = 0;
+	t.equal(hash.forEachNearbyPoint(20, 18, 4, () => ++calls < 2), false, "stopped nearby search early");
+	t.equal(calls, 2, "stopped calling back for nearby points");
+	calls = 0;
+	t.equal(hash.forEachPointNearSegment(4, 22, 19, 8, 2, () => ++calls < 2), false, "stopped segment search early");
+	t.equal(calls, 2, "stopped calling back for points under segment");
+	
 	t.end();
 }
 
-function testDuplicates(t){
+function testDuplicates(t, options = {}){
 	const cellSize = 10,
-		hash = new PointHash(cellSize);
+		hash = new PointHash(cellSize, options);
 	
 	hash.addPoint(2, 2, "foo");
 	hash.addPoint(2, 2, "bar");
@@ -275,6 +387,630 @@ function testDuplicates(t){
 	t.end();
 }
 
+function testNearestExample(t, options = {}){
+	const hash = new PointHash(10, options);
+	
+	t.equal(hash.nearestPoint(5, 5), undefined, "finds no nearest point in empty hash");
+	
+	hash.addPoint(12, 14, "foo")
+		.addPoint(5, 13, "bar")
+		.addPoint(18, 19, "baz")
+		.addPoint(-1000, 2000, "far");
+	
+	t.deepEqual(hash.nearestPoints(20, 18, 2), [[18, 19, "baz", 5], [12, 14, "foo", 80]], "found 2 nearest points");
+	t.deepEqual(hash.nearestPoints(20, 18, 5, 10), [[18, 19, "baz", 5], [12, 14, "foo", 80]], "found nearest points within distance");
+	t.deepEqual(hash.nearestPoints(20, 18, 0), [], "found no points for k = 0");
+	t.deepEqual(hash.nearestPoints(20, 18), [[18, 19, "baz", 5]], "found 1 nearest point by default");
+	t.deepEqual(hash.nearestPoints(20, 18, 10).map((p) => p[2]), ["baz", "foo", "bar", "far"], "found all points for k > count");
+	t.deepEqual(hash.nearestPoint(5000, 5000), [-1000, 2000, "far", 6000 * 6000 + 3000 * 3000], "found nearest point far away");
+	
+	// far from the data, the rings start at the cell bounds and are clipped
+	// to them, so the empty rings in between are never looked up
+	const grid = new PointHash(10, options);
+	for(let i = 0; i < 50; i++){
+		for(let j = 0; j < 50; j++){
+			grid.addPoint(i * 10 + 5, j * 10 + 5, i * 50 + j);
+		}
+	}
+	
+	let cells = 0;
+	grid.cell = (cellX, cellY) => {
+		cells++;
+		return PointHash.prototype.cell.call(grid, cellX, cellY);
+	};
+	t.deepEqual(grid.nearestPoint(1e9, 255), [495, 255, 49 * 50 + 25, (1e9 - 495) ** 2], "found nearest point far outside the cells");
+	t.ok(cells <= 2500, "looks up no more than the cells within the bounds");
+	cells = 0;
+	t.deepEqual([...grid.nearbyPoints(-1e9, -1e9, 1e10, {sorted: true, limit: 1})], [[5, 5, 0, 2 * (1e9 + 5) ** 2]],
+		"found nearest point first far outside the cells");
+	t.ok(cells <= 2500, "looks up no more than the cells within the bounds, sorted");
+	
+	t.end();
+}
+
+function testCellKeys(t, options = {}){
+	const hash = new PointHash(1, options),
+		// around the edges of the range of packed cell keys
+		coords = [0, -1, 2 ** 25 - 1, 2 ** 25, -(2 ** 25), -(2 ** 25) - 1, 1e15, -1e15];
+	
+	for(const x of coords){
+		for(const y of coords){
+			hash.addPoint(x + 0.5, y + 0.5, [x, y]);
+		}
+	}
+	
+	t.equal(hash.cellCount, coords.length * coords.length, "stored every point in its own cell");
+	for(const [cellX, cellY, arr] of hash.store.entries()){
+		if(arr[0] !== cellX + 0.5 || arr[1] !== cellY + 0.5){
+			t.fail(`cell (${cellX}, ${cellY}) holds point (${arr[0]}, ${arr[1]})`);
+		}
+	}
+	
+	for(const x of coords){
+		for(const y of coords){
+			t.deepEqual([...hash.nearbyPoints(x + 0.5, y + 0.5, 0.5)].map((p) => p[2]), [[x, y]], `found point in cell (${x}, ${y})`);
+		}
+	}
+	
+	t.deepEqual([...hash.nearbyPoints(2 ** 25, 2 ** 25, 1)].map((p) => p[2]).sort(),
+		[[2 ** 25 - 1, 2 ** 25 - 1], [2 ** 25 - 1, 2 ** 25], [2 ** 25, 2 ** 25 - 1], [2 ** 25, 2 ** 25]].sort(),
+		"found points across the edge of the packed range");
+	t.end();
+}
+
+function testTypedStorage(t){
+	const hash = new PointHash(10, {storage: 'typed'}),
+		{points} = genRandom(hash, 2000, 1000, -500),
+		order = [...Array(points.length / 2).keys()].sort(() => Math.random() - 0.5);
+	
+	t.equal(hash.cellCount, [...hash.store.entries()].length, "counts the non-empty cells");
+	
+	for(let i = 0; i < order.length; i++){
+		const idx = order[i] * 2;
+		
+		t.deepEqual(hash.removePoint(points[idx], points[idx + 1]), [points[idx], points[idx + 1], idx], "removed the point");
+		
+		// all remaining cells must still be found through the index
+		if(i % 100 === 0){
+			for(let j = i + 1; j < order.length; j++){
+				const idx = order[j] * 2;
+				if(!hash.findPoint(points[idx], points[idx + 1])){
+					t.fail(`lost point ${idx} after removing ${i + 1} points`);
+				}
+			}
+		}
+	}
+	
+	t.equal(hash.cellCount, 0, "all grid cells are cleared");
+	t.equal([...hash.store.entries()].length, 0, "the index is empty");
+	t.equal(hash.store.freeValues.length, hash.store.values.length, "all values are released");
+	t.end();
+}
+
+function cellContents(hash){
+	const cells = new Map;
+	for(const [cellX, cellY, arr] of hash.store.entries()){
+		const shapes = [];
+		for(let i = 0; i < arr.length; i += hash.numElements){
+			shapes.push(hash.store.read(arr, i));
+		}
+		cells.set(cellX + ',' + cellY, shapes);
+	}
+	
+	return cells;
+}
+
+function testBulk(t, options = {}){
+	const coords = [],
+		names = [];
+	
+	for(let i = 0; i < 500; i++){
+		coords.push(Math.random() * 200 - 100, Math.random() * 200 - 100);
+		names.push("p" + i);
+	}
+	
+	const one = new PointHash(10, options);
+	for(let i = 0; i < coords.length; i += 2){
+		one.addPoint(coords[i], coords[i + 1], names[i / 2]);
+	}
+	
+	const all = PointHash.from(coords, names, 10, options);
+	t.deepEqual(cellContents(all), cellContents(one), "from fills the same cells, in the same order");
+	t.deepEqual([all.minCellX, all.minCellY, all.maxCellX, all.maxCellY],
+		[one.minCellX, one.minCellY, one.maxCellX, one.maxCellY], "from sets the cell bounds");
+	
+	// add to a hash that already has points, some in the same cells
+	const half = new PointHash(10, options);
+	for(let i = 0; i < 500; i += 2){
+		half.addPoint(coords[i], coords[i + 1], names[i / 2]);
+	}
+	half.addPoints(coords.slice(500), names.slice(250));
+	t.deepEqual(cellContents(half), cellContents(one), "addPoints appends to existing cells");
+	
+	const indexed = new PointHash(10, options).addPoints(new Float64Array([1, 2, 13, 14]));
+	t.deepEqual(indexed.findPoint(13, 14), [13, 14, 1], "stores the point index without values");
+	
+	for(let i = 0; i < coords.length; i += 2){
+		if(!all.removePoint(coords[i], coords[i + 1])){
+			t.fail(`couldn't remove point ${i / 2}`);
+		}
+	}
+	t.equal(all.cellCount, 0, "removed all bulk loaded points");
+	t.end();
+}
+
+function testCellSize(t){
+	const coords = [];
+	for(let i = 0; i < 20000; i++){
+		coords.push(Math.random() * 1000, Math.random() * 1000);
+	}
+	
+	for(const target of [2, 4, 16]){
+		const hash = PointHash.from(coords, null, PointHash.cellSizeFor(coords, {occupancy: target})),
+			{mean} = hash.stats();
+		
+		// the mean per cell, rather than per point, is a bit lower
+		t.assert(mean > target / 2 && mean < target * 1.5, `chose cell size ${hash.cellSize} for about ${target} points per cell, got ${mean}`);
+	}
+	
+	const hash = PointHash.from(coords, coords.map((v, i) => i));
+	t.assert(hash.cellSize > 0 && hash.cellSize < 1000, `from chose cell size ${hash.cellSize}`);
+	
+	t.equal(PointHash.cellSizeFor([]), 1, "chose a cell size without points");
+	t.equal(PointHash.cellSizeFor([5, 5, 5, 5]), 1, "chose a cell size for coincident points");
+	t.equal(PointHash.cellSizeFor([0, 0, 100, 50], {occupancy: 2}), 100, "chose one cell for few points");
+	t.end();
+}
+
+function testStats(t, options = {}){
+	const hash = new PointHash(10, options),
+		empty = hash.stats();
+	
+	t.deepEqual([empty.cells, empty.shapes, empty.entries, empty.min, empty.max, empty.mean, empty.bounds],
+		[0, 0, 0, 0, 0, 0, undefined], "describes an empty hash");
+	
+	// 1 point in (0, 0), 2 in (1, 0), 3 in (-1, 2)
+	hash.addPoint(5, 5, "a")
+		.addPoint(12, 3, "b").addPoint(18, 9, "c")
+		.addPoint(-5, 25, "d").addPoint(-1, 21, "e").addPoint(-9, 29, "f");
+	
+	const stats = hash.stats();
+	t.equal(stats.cells, 3, "counts the cells");
+	t.equal(stats.shapes, 6, "counts the points");
+	t.equal(stats.entries, 6, "counts the entries");
+	t.equal(stats.duplication, 1, "points are stored once");
+	t.deepEqual([stats.min, stats.p50, stats.p90, stats.p99, stats.max], [1, 2, 3, 3, 3], "finds the points per cell");
+	t.equal(stats.mean, 2, "finds the mean points per cell");
+	t.deepEqual(stats.bounds, [-1, 0, 1, 2], "finds the bounds of the cells");
+	t.deepEqual(stats.extent, [-10, 0, 30, 30], "finds the extent of the cells");
+	t.assert(stats.memory > 6 * 3 * 8, `estimates the memory: ${stats.memory}`);
+	
+	hash.removePoint(5, 5);
+	t.deepEqual(hash.stats().bounds, [-1, 0, 1, 2], "bounds only cover non-empty cells");
+	hash.removePoint(12, 3);
+	hash.removePoint(18, 9);
+	t.deepEqual(hash.stats().bounds, [-1, 2, -1, 2], "bounds shrink with the non-empty cells");
+	t.end();
+}
+
+function testIteration(t, options = {}){
+	const hash = new PointHash(10, options);
+	t.deepEqual([hash.size, [...hash], [...hash.cells()]], [0, [], []], "iterates an empty hash");
+	
+	hash.addPoint(5, 5, "a")
+		.addPoint(12, 3, "b").addPoint(18, 9, "c")
+		.addPoint(-5, 25, "d").addPoint(-5, 25, "e")
+		.addPoints([30, 30, 31, 31], ["f", "g"]);
+	
+	const sorted = (it) => [...it].sort((a, b) => a[2] < b[2] ? -1 : 1);
+	
+	t.equal(hash.size, 7, "counts the points, duplicates too");
+	t.deepEqual(sorted(hash), [[5, 5, "a"], [12, 3, "b"], [18, 9, "c"], [-5, 25, "d"], [-5, 25, "e"], [30, 30, "f"], [31, 31, "g"]],
+		"iterates over each point once");
+	t.deepEqual(sorted(hash.points()), sorted(hash), "points iterates over the same points");
+	t.deepEqual([...hash.cells()].sort((a, b) => a[0] - b[0] || a[1] - b[1]), [[-1, 2, 2], [0, 0, 1], [1, 0, 2], [3, 3, 2]],
+		"iterates over the cells with their counts");
+	
+	hash.removePoint(-5, 25);
+	hash.removePoint(100, 100);
+	t.equal(hash.size, 6, "only counts removed points");
+	
+	hash.rehash(3);
+	t.equal(hash.size, 6, "rehashing keeps the count");
+	
+	t.equal(hash.clear(), hash, "clear returns the hash");
+	t.deepEqual([hash.size, hash.cellCount, [...hash], hash.findPoint(5, 5)], [0, 0, [], undefined], "clears all points");
+	
+	hash.addPoint(5, 5, "a");
+	t.deepEqual([hash.size, [...hash]], [1, [[5, 5, "a"]]], "can be filled again after clearing");
+	t.deepEqual([hash.minCellX, hash.minCellY, hash.maxCellX, hash.maxCellY], [1, 1, 1, 1], "clearing resets the cell bounds");
+	t.end();
+}
+
+function testRawHash(t){
+	const hash = new SpatialHash(3, 10);
+	t.deepEqual([hash.size, [...hash]], [0, []], "iterates an empty hash");
+	
+	hash.addAt(0, 0, 1, 2, "a").addAt(0, 0, 3, 4, "a").addAt(1, 2, 5, 6, "a");
+	t.equal(hash.size, 3, "counts the shapes added with addAt");
+	t.deepEqual([...hash].map(String).sort(), ["1,2,a", "3,4,a", "5,6,a"], "iterates over each shape, also with the same value");
+	
+	t.deepEqual(hash.removeAt(0, 0, 0), [1, 2, "a"], "removes a shape with removeAt");
+	t.deepEqual(hash.removeAt(5, 5, 0), [], "removes nothing from an empty cell");
+	t.deepEqual([hash.size, [...hash].map(String).sort()], [2, ["3,4,a", "5,6,a"]], "only counts removed shapes");
+	
+	hash.clear();
+	t.deepEqual([hash.size, [...hash]], [0, []], "clears all shapes");
+	t.end();
+}
+
+function testRehash(t, options = {}){
+	const hash = new PointHash(10, options);
+	for(let i = 0; i < 100; i++){
+		hash.addPoint(i, i * 2, "p" + i);
+	}
+	
+	for(const cellSize of [3, 50, 1000, 10]){
+		hash.rehash(cellSize);
+		t.equal(hash.cellSize, cellSize, `rehashed to cell size ${cellSize}`);
+		t.equal([...hash.shapes()].length, 100, "kept all points");
+		t.deepEqual(hash.findPoint(42, 84), [42, 84, "p42"], "kept the values");
+		t.deepEqual([hash.minCellX, hash.minCellY, hash.maxCellX, hash.maxCellY],
+			[0, 0, hash.cellCoord(99), hash.cellCoord(198)], "reset the cell bounds");
+	}
+	
+	t.end();
+}
+
+function testSerialize(t, options = {}){
+	const hash = new PointHash(10, options);
+	for(let i = 0; i < 200; i++){
+		hash.addPoint(Math.random() * 200 - 100, Math.random() * 200 - 100, "p" + i);
+	}
+	hash.addPoint(5, 5, {name: "object"}).addPoint(5, 5, 42);
+	
+	const json = JSON.parse(JSON.stringify(hash)),
+		storage = options.storage || 'object',
+		keys = storage === 'typed' ? 'packed' : options.keys || 'packed';
+	t.deepEqual([json.version, json.type, json.cellSize, json.numElements, json.storage, json.keys],
+		[1, 'PointHash', 10, 3, storage, keys], "describes the hash");
+	t.equal(json.values.length, 202, "describes each point");
+	
+	const same = (copy, name) => {
+		t.ok(copy instanceof PointHash, `${name} makes a point hash`);
+		t.deepEqual(cellContents(copy), cellContents(hash), `${name} fills the same cells`);
+		t.deepEqual([copy.size, copy.cellSize, copy.minCellX, copy.minCellY, copy.maxCellX, copy.maxCellY],
+			[hash.size, hash.cellSize, hash.minCellX, hash.minCellY, hash.maxCellX, hash.maxCellY], `${name} keeps the size and bounds`);
+		t.deepEqual(copy.store.options(), hash.store.options(), `${name} keeps the storage`);
+	};
+	
+	same(PointHash.fromJSON(json), "fromJSON");
+	same(PointHash.fromJSON(JSON.stringify(hash)), "fromJSON of text");
+	same(SpatialHash.fromJSON(json), "SpatialHash.fromJSON");
+	
+	const buffer = hash.serialize();
+	t.ok(buffer instanceof ArrayBuffer, "serializes into an ArrayBuffer");
+	same(PointHash.deserialize(buffer), "deserialize");
+	same(SpatialHash.deserialize(buffer), "SpatialHash.deserialize");
+	
+	const padded = new Uint8Array(buffer.byteLength + 16);
+	padded.set(new Uint8Array(buffer), 5);
+	same(PointHash.deserialize(padded.subarray(5, 5 + buffer.byteLength)), "deserialize of a view");
+	
+	const other = storage === 'typed' ? {storage: 'object', keys: 'string'} : {storage: 'typed'},
+		moved = PointHash.deserialize(buffer, other),
+		sorted = (it) => [...it].map(String).sort();
+	t.equal(moved.store.options().storage, other.storage, "can change the storage");
+	t.deepEqual(sorted(moved), sorted(hash), "keeps the points when changing the storage");
+	
+	const empty = new PointHash(3, options);
+	t.deepEqual([...PointHash.deserialize(empty.serialize())], [], "serializes an empty hash");
+	t.deepEqual([...PointHash.fromJSON(JSON.stringify(empty))], [], "describes an empty hash");
+	t.end();
+}
+
+function testCodecs(t){
+	const hash = new PointHash(10).addPoint(1, 2, 0.5).addPoint(13, 2, -7).addPoint(3, 3),
+		float64 = {
+			encode: (value) => new Uint8Array(Float64Array.of(value).buffer),
+			decode: (bytes) => new Float64Array(bytes.slice().buffer)[0]
+		},
+		buffer = hash.serialize({codec: float64});
+	
+	t.equal(buffer.byteLength, 32 + 3 * 2 * 8 + 3 * (4 + 8), "writes the encoded values");
+	t.deepEqual(PointHash.deserialize(buffer, {codec: float64}).findPoint(13, 2), [13, 2, -7], "decodes the values");
+	t.ok(Number.isNaN(PointHash.deserialize(buffer, {codec: float64}).findPoint(3, 3)[2]), "decodes undefined as encoded");
+	t.deepEqual(PointHash.deserialize(hash.serialize()).findValues(0, 0, 1, 2), [1, 2, 0.5], "decodes JSON by default");
+	t.equal([...PointHash.deserialize(hash.serialize())].filter(([, , v]) => v === undefined).length, 1,
+		"keeps undefined values by default");
+	t.equal(PointHash.fromJSON(JSON.stringify(hash)).findPoint(3, 3)[2], null, "JSON text turns undefined values into null");
+	
+	const names = new PointHash(10).addPoint(1, 2, {name: "a"}).addPoint(3, 4, {name: "b"}),
+		byName = {
+			encode: (value) => value.name,
+			decode: (name) => ({name, decoded: true})
+		},
+		json = names.toJSON({codec: byName});
+	
+	t.deepEqual(json.values, ["a", "b"], "encodes the values to JSON");
+	t.deepEqual(PointHash.fromJSON(json, {codec: byName}).findPoint(3, 4), [3, 4, {name: "b", decoded: true}],
+		"decodes the values from JSON");
+	t.end();
+}
+
+function testBadInput(t){
+	const hash = new PointHash(10).addPoint(1, 2, "a"),
+		buffer = hash.serialize(),
+		json = hash.toJSON();
+	
+	const corrupt = (offset, value, length = 1) => {
+		const bytes = new Uint8Array(buffer.slice(0));
+		bytes.fill(value, offset, offset + length);
+		return bytes;
+	};
+	
+	t.throws(() => PointHash.deserialize(corrupt(0, 0)), /Not a serialized/, "checks the header");
+	t.throws(() => PointHash.deserialize(new ArrayBuffer(8)), /Not a serialized/, "checks the length");
+	t.throws(() => PointHash.deserialize(corrupt(4, 2)), /version: 2/, "checks the binary version");
+	t.throws(() => PointHash.deserialize(corrupt(6, 99)), /Unknown hash type/, "checks the binary type");
+	t.throws(() => PointHash.deserialize(corrupt(16, 2)), /Expected/, "checks the elements per shape");
+	t.throws(() => PointHash.deserialize(corrupt(16, 0)), /at least 2 elements, got 0/, "checks for empty shapes");
+	t.throws(() => PointHash.deserialize(corrupt(16, 0xff, 4)), /too short for 1 shapes/, "checks the elements fit");
+	t.throws(() => PointHash.deserialize(corrupt(20, 0xff, 4)), /too short for 4294967295 shapes/, "checks the count fits");
+	t.throws(() => PointHash.deserialize(buffer.slice(0, buffer.byteLength - 1)), /too short/, "checks the values fit");
+	t.throws(() => PointHash.deserialize(buffer.slice(0, 40)), /too short/, "checks the shapes fit");
+	t.throws(() => PointHash.fromJSON({...json, numElements: 4}), /Expected/, "checks the JSON elements per shape");
+	t.throws(() => PointHash.fromJSON({...json, version: 2}), /version: 2/, "checks the JSON version");
+	t.throws(() => PointHash.fromJSON({...json, type: 'Nope'}), /Unknown hash type/, "checks the JSON type");
+	t.throws(() => SegmentHash.fromJSON(json), /Cannot make a SegmentHash/, "checks the class");
+	t.throws(() => SegmentHash.deserialize(buffer), /Cannot make a SegmentHash/, "checks the class of binary");
+	t.throws(() => new PolygonHash(10).serialize(), /cannot be serialized/, "only serializes what it can");
+	t.end();
+}
+
+function testIds(t, options = {}){
+	const hash = new PointHash(10, {...options, ids: true}),
+		a = hash.addPoint(5, 5, "a"),
+		b = hash.addPoint(5, 5, "b"),
+		c = hash.addPoint(5, 5, "c"),
+		sorted = (it) => [...it].sort((p, q) => p[2] < q[2] ? -1 : 1);
+	
+	t.deepEqual([a, b, c], [0, 1, 2], "addPoint returns the ids");
+	t.deepEqual([hash.getById(a), hash.getById(b), hash.getById(3)], [[5, 5, "a"], [5, 5, "b"], undefined],
+		"gets points with the same coordinates by id");
+	
+	t.deepEqual(hash.removeById(b), [5, 5, "b"], "removes a point by id");
+	t.deepEqual([hash.getById(b), hash.removeById(b), hash.size], [undefined, undefined, 2], "removes it only once");
+	t.deepEqual(sorted(hash), [[5, 5, "a"], [5, 5, "c"]], "keeps the other points at the same coordinates");
+	
+	t.equal(hash.updateById(c, 25, 35), true, "moves a point by id");
+	t.deepEqual([hash.getById(c), hash.findPoint(25, 35), hash.findPoint(5, 5)], [[25, 35, "c"], [25, 35, "c"], [5, 5, "a"]],
+		"finds the moved point at its new coordinates");
+	t.deepEqual([hash.size, hash.maxCellX, hash.maxCellY], [2, 2, 3], "moving keeps the count and extends the bounds");
+	t.equal(hash.updateById(b, 0, 0), false, "does not move removed points");
+	t.throws(() => hash.updateById(c, 1), /Expected 2 coordinates/, "checks the number of coordinates");
+	
+	t.deepEqual(hash.removePoint(5, 5), [5, 5, "a"], "removes a point by coordinates");
+	t.equal(hash.getById(a), undefined, "forgets the id of a point removed by coordinates");
+	
+	const first = hash.nextId;
+	hash.addPoints([1, 1, 2, 2, 3, 3], ["x", "y", "z"]);
+	t.deepEqual(hash.getById(first + 1), [2, 2, "y"], "gives bulk loaded points consecutive ids");
+	
+	hash.rehash(3);
+	t.deepEqual([hash.getById(c), hash.getById(first + 2)], [[25, 35, "c"], [3, 3, "z"]], "rehashing keeps the ids");
+	
+	for(const copy of [PointHash.fromJSON(JSON.stringify(hash)), PointHash.deserialize(hash.serialize())]){
+		t.deepEqual([copy.getById(c), copy.removeById(first), copy.getById(first)], [[25, 35, "c"], [1, 1, "x"], undefined],
+			"serializing keeps the ids");
+		t.equal(copy.addPoint(0, 0, "new"), hash.nextId, "serializing keeps the next id");
+	}
+	
+	hash.clear();
+	t.equal(hash.getById(c), undefined, "clearing forgets the ids");
+	
+	const plain = new PointHash(10, options);
+	t.equal(plain.addPoint(1, 1, "a"), plain, "addPoint returns the hash without the ids option");
+	t.throws(() => plain.getById(0), /ids option/, "needs the ids option");
+	t.end();
+}
+
+function testMove(t, options = {}){
+	const hash = new PointHash(10, options).addPoint(1, 1, "a").addPoint(2, 2, "b").addPoint(2, 2, "c");
+	
+	t.equal(hash.movePoint(1, 1, 8, 9), true, "moves a point within its cell");
+	t.deepEqual([hash.findPoint(8, 9), hash.findPoint(1, 1), hash.cell(0, 0).length], [[8, 9, "a"], undefined, 9],
+		"updates the point in place");
+	
+	t.equal(hash.movePoint(2, 2, -15, 42), true, "moves a point to another cell");
+	t.deepEqual([hash.findPoint(-15, 42), hash.findPoint(2, 2)], [[-15, 42, "b"], [2, 2, "c"]],
+		"moves only the first point with the coordinates");
+	t.deepEqual([hash.size, hash.cellCount, hash.minCellX, hash.maxCellY], [3, 2, -2, 4], "moves it to the new cell");
+	t.equal(hash.movePoint(1, 1, 0, 0), false, "does not move missing points");
+	
+	const points = [],
+		values = [];
+	for(let i = 0; i < 500; i++){
+		points.push([Math.random() * 200 - 100, Math.random() * 200 - 100, "p" + i]);
+		values.push("p" + i);
+	}
+	
+	const many = PointHash.from(points.flatMap(([x, y]) => [x, y]), values, 10, options),
+		step = new Map(points.map(([x, y, v], i) => [v, i % 3 ? [x + Math.random() * 20 - 10, y + Math.random() * 4 - 2] : undefined])),
+		sorted = (it) => [...it].sort((a, b) => a[2] < b[2] ? -1 : 1);
+	
+	t.equal(many.updateAll((x, y, v) => step.get(v)), many, "updateAll returns the hash");
+	t.deepEqual(sorted(many), sorted(points.map(([x, y, v]) => step.get(v) ? [...step.get(v), v] : [x, y, v])),
+		"updateAll moves the points");
+	t.equal(many.size, 500, "updateAll keeps the count");
+	
+	for(const [cellX, cellY, arr] of many.store.entries()){
+		for(let i = 0; i < arr.length; i += many.numElements){
+			if(many.cellCoord(arr[i]) !== cellX || many.cellCoord(arr[i + 1]) !== cellY){
+				t.fail(`point (${arr[i]}, ${arr[i + 1]}) is in cell (${cellX}, ${cellY})`);
+			}
+		}
+	}
+	
+	t.end();
+}
+
+function testMoveIds(t, options = {}){
+	const hash = new PointHash(10, {...options, ids: true}),
+		a = hash.addPoint(1, 1, "a"),
+		b = hash.addPoint(1, 1, "b");
+	
+	hash.movePoint(1, 1, 51, 1);
+	t.deepEqual([hash.getById(a), hash.getById(b)], [[51, 1, "a"], [1, 1, "b"]], "movePoint keeps the id");
+	
+	hash.updateAll((x, y) => [x + 100, y]);
+	t.deepEqual([hash.getById(a), hash.getById(b)], [[151, 1, "a"], [101, 1, "b"]], "updateAll keeps the ids");
+	
+	hash.updateById(b, 102, 2);
+	t.deepEqual([hash.getById(b), hash.cell(10, 0).length], [[102, 2, "b"], 4], "updateById moves in place");
+	t.end();
+}
+
+function testValues(t, options = {}){
+	const sorted = (arr) => arr.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+	
+	for(const extra of [{}, {ids: true}, {ids: true, valueIndex: true}]){
+		const name = extra.valueIndex ? "with a value index" : extra.ids ? "with ids" : "without ids",
+			hash = new PointHash(10, {...options, ...extra})
+				.addPoints([1, 1, 5, 5, 25, 1, 5, 5, -7, 30], ["a", "b", "a", "a", "c"]);
+		
+		t.deepEqual(sorted(hash.findByValue("a")), [[1, 1, "a"], [5, 5, "a"], [25, 1, "a"]],
+			`finds all points with a value, ${name}`);
+		t.deepEqual(hash.findByValue("d"), [], `finds no points for a missing value, ${name}`);
+		
+		hash.removePoint(1, 1);
+		t.deepEqual(sorted(hash.removeByValue("a")), [[5, 5, "a"], [25, 1, "a"]], `removes all points with a value, ${name}`);
+		t.deepEqual([hash.findByValue("a"), hash.removeByValue("a"), hash.size], [[], [], 2],
+			`removes them only once, ${name}`);
+		t.deepEqual(sorted(hash.findByValue("b")), [[5, 5, "b"]], `keeps points with other values, ${name}`);
+		
+		hash.addPoints([6, 6, 15, 15], ["c", "d"]);
+		t.deepEqual(sorted(hash.removeWhere((x, y, val) => val === "d" || x < 0)), [[-7, 30, "c"], [15, 15, "d"]],
+			`removes the points that pass a test, ${name}`);
+		t.deepEqual([sorted([...hash]), hash.findByValue("c"), hash.findByValue("d")], [[[5, 5, "b"], [6, 6, "c"]], [[6, 6, "c"]], []],
+			`keeps the points that fail the test, ${name}`);
+		
+		hash.rehash(3);
+		for(const copy of [hash, PointHash.fromJSON(JSON.stringify(hash)), PointHash.deserialize(hash.serialize())]){
+			t.deepEqual([copy.findByValue("c"), copy.options().valueIndex], [[[6, 6, "c"]], !!extra.valueIndex],
+				`finds values after rehashing and serializing, ${name}`);
+		}
+		
+		hash.clear();
+		t.deepEqual(hash.findByValue("c"), [], `clearing forgets the values, ${name}`);
+	}
+	
+	const indexed = new PointHash(10, {...options, ids: true, valueIndex: true}),
+		id = indexed.addPoint(1, 1, "a");
+	indexed.addPoint(2, 2, "a");
+	indexed.updateById(id, 31, 32);
+	indexed.removeById(id);
+	t.deepEqual([indexed.idsOf("a"), indexed.findByValue("a")], [[id + 1], [[2, 2, "a"]]],
+		"keeps the value index up to date when moving and removing by id");
+	
+	t.throws(() => new PointHash(10, {...options, valueIndex: true}), /needs the ids option/,
+		"the value index needs the ids option");
+	t.end();
+}
+
+function testQueryOptions(t, options = {}){
+	const {hash} = genRandom(new PointHash(10, options), 2000, 200),
+		all = [...hash.nearbyPoints(100, 100, 30)],
+		even = (val) => val % 2 === 0,
+		asked = [];
+	
+	t.deepEqual([...hash.nearbyPoints(100, 100, 30, {exclude: [all[0][2]], filter: (val) => {
+		asked.push(val);
+		return even(val);
+	}})], all.filter((point) => even(point[2]) && point[2] !== all[0][2]), "nearbyPoints: filters and excludes");
+	t.ok(asked.length > all.length, "nearbyPoints: asks the filter before testing the distance");
+	
+	let tested = 0;
+	t.deepEqual([...hash.pointsInRegion([50, 50, 100, 100], () => {
+		tested++;
+		return true;
+	}, {filter: () => false})], [], "pointsInRegion: filters out all");
+	t.equal(tested, 0, "pointsInRegion: filters before calling the predicate");
+	
+	const near = [];
+	t.equal(hash.forEachPointNearSegment(10, 20, 180, 150, 5, (...args) => {
+		near.push(args);
+	}, {exclude: new Set(all.map((point) => point[2])), limit: 3}), false, "forEachPointNearSegment: stops at the limit");
+	t.equal(near.length, 3, "forEachPointNearSegment: calls fn up to the limit");
+	t.deepEqual(hash.nearestPoints(100, 100, 10, Infinity, {limit: 3}), hash.nearestPoints(100, 100, 3),
+		"nearestPoints: a limit below k takes its place");
+	
+	const nearest = hash.nearestPoints(100, 100, 2000).filter((point) => point[2] % 2 === 0);
+	t.deepEqual(hash.nearestPoint(100, 100, {filter: (val) => val % 2 === 0}), nearest[0], "nearestPoint: filters");
+	t.equal(hash.nearestPoint(100, 100, {filter: () => false}), undefined, "nearestPoint: finds none if all are filtered out");
+	
+	t.equal(hash.forEachNearbyPoint(100, 100, 30, () => {}, {limit: 1}), false, "forEach stops early at the limit");
+	
+	// count the cells looked at, the first of which is not empty
+	let cells = 0;
+	hash.addPoint(1, 1, -1);
+	hash.cell = (cellX, cellY) => {
+		cells++;
+		return PointHash.prototype.cell.call(hash, cellX, cellY);
+	};
+	[...hash.pointsInRect(0, 0, 200, 200, {limit: 1})];
+	t.equal(cells, 1, "stops going through the cells at the limit");
+	t.end();
+}
+
+function testSorted(t, options = {}){
+	const {hash} = genRandom(new PointHash(10, options), 3000, 300),
+		byDist = (points) => points.sort((p, q) => p[3] - q[3]),
+		odd = (val) => val % 2 !== 0;
+	
+	for(const [what, query] of [
+		["nearbyPoints", (opts) => hash.nearbyPoints(140, 160, 47, opts)],
+		["nearbyPoints, beyond all points", (opts) => hash.nearbyPoints(140, 160, 1000, opts)],
+		["pointsNearSegment", (opts) => hash.pointsNearSegment(10, 20, 280, 200, 13, opts)],
+		["pointsNearSegment, short", (opts) => hash.pointsNearSegment(150, 150, 151, 149, 25, opts)]
+	]){
+		const all = byDist([...query()]);
+		
+		t.deepEqual([...query({sorted: true})], all, `${what}: finds the same points, nearest first`);
+		t.deepEqual([...query({sorted: true, filter: odd, limit: 5})], all.filter((p) => odd(p[2])).slice(0, 5),
+			`${what}: filters and stops at the limit`);
+		t.deepEqual([...query({sorted: true, limit: 0})], [], `${what}: finds nothing with a limit of 0`);
+	}
+	
+	const [nearest] = hash.nearbyPoints(140, 160, 47, {sorted: true});
+	t.deepEqual(nearest, hash.nearestPoint(140, 160), "gives the nearest point first");
+	
+	// count the cells looked up, only the rings around the center are needed
+	let cells = 0;
+	hash.cell = (cellX, cellY) => {
+		cells++;
+		return PointHash.prototype.cell.call(hash, cellX, cellY);
+	};
+	[...hash.nearbyPoints(140, 160, 1000, {sorted: true, limit: 1})];
+	t.ok(cells <= 25, "only looks up the cells near the center with a limit");
+	
+	cells = 0;
+	[...hash.pointsNearSegment(140, 160, 150, 160, 1000, {sorted: true, limit: 1})];
+	t.ok(cells <= 25, "only looks up the cells near the segment with a limit");
+	delete hash.cell;
+	
+	t.deepEqual([...new PointHash(10, options).nearbyPoints(0, 0, 10, {sorted: true})], [], "finds nothing in an empty hash");
+	t.end();
+}
+
+function roundTrip(hash, how){
+	if(how === 'json'){
+		return PointHash.fromJSON(JSON.stringify(hash));
+	}
+	
+	return how === 'binary' ? PointHash.deserialize(hash.serialize()) : hash;
+}
+
 const randoms = [
 	{count: 1000, cellSize: 10, scale: 50, samples: 100, radius: 10},
 	{count: 1000, cellSize: 100, scale: 50, samples: 100, radius: 10},
@@ -282,7 +1018,24 @@ const randoms = [
 	{count: 1000, cellSize: 10, scale: 1000, samples: 100, radius: 10},
 	{count: 1000, cellSize: 10, scale: 10000, samples: 100, radius: 10},
 	{count: 1000, cellSize: 10, scale: 50, samples: 100, radius: 100},
-	{count: 1000, cellSize: 10, scale: 50, samples: 100, radius: 1000}
+	{count: 1000, cellSize: 10, scale: 50, samples: 100, radius: 1000},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10},
+	{count: 1000, cellSize: 100, scale: 100, offset: -50, samples: 100, radius: 10},
+	{count: 1000, cellSize: 10, scale: 1000, offset: -1000, samples: 100, radius: 10},
+	{count: 1000, cellSize: 10, scale: 1000, offset: 3e10, samples: 100, radius: 10},
+	{count: 1000, cellSize: 10, scale: 1000, offset: -3e10, samples: 100, radius: 10},
+	{count: 1000, cellSize: 10, scale: 50, samples: 100, radius: 10, storage: 'typed'},
+	{count: 1000, cellSize: 10, scale: 10000, samples: 100, radius: 10, storage: 'typed'},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, storage: 'typed'},
+	{count: 1000, cellSize: 10, scale: 1000, offset: -3e10, samples: 100, radius: 10, storage: 'typed'},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, bulk: true},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, storage: 'typed', bulk: true},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, rehash: 35},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, storage: 'typed', rehash: 3},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, serialize: 'json'},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, storage: 'typed', serialize: 'binary'},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, ids: true},
+	{count: 1000, cellSize: 10, scale: 100, offset: -50, samples: 100, radius: 10, storage: 'typed', bulk: true, ids: true, serialize: 'json'}
 ], grids = [
 	{scale: 100, cellSize: 10, w: 100, h: 100, offX: 0, offY: 0, samples: 100, radius: 200},
 	{scale: 100, cellSize: 10, w: 100, h: 100, offX: 50, offY: 50, samples: 100, radius: 200},
@@ -293,27 +1046,70 @@ const randoms = [
 	{scale: 100, cellSize: 1000, w: 100, h: 100, offX: 0, offY: 0, samples: 100, radius: 200},
 	{scale: 100, cellSize: 1000, w: 100, h: 100, offX: 50, offY: 50, samples: 100, radius: 200},
 	{scale: 100, cellSize: 1000, w: 100, h: 100, offX: 99, offY: 99, samples: 100, radius: 200},
+	{scale: 100, cellSize: 10, w: 100, h: 100, offX: -5000, offY: -5000, samples: 100, radius: 200},
+	{scale: 100, cellSize: 100, w: 100, h: 100, offX: -5050, offY: -5050, samples: 100, radius: 200},
 ];
 
 function main(args){
-	tape.test("Example", testExample);
-	tape.test("Duplicates", testDuplicates);
+	// the kind of cell keys to test: 'packed' (default) or 'string'
+	const keys = args[0] || 'packed';
+	
+	tape.test(`Example, keys: ${keys}`, (t) => testExample(t, {keys}));
+	tape.test(`Duplicates, keys: ${keys}`, (t) => testDuplicates(t, {keys}));
+	tape.test(`Nearest, keys: ${keys}`, (t) => testNearestExample(t, {keys}));
+	tape.test(`Cell keys, keys: ${keys}`, (t) => testCellKeys(t, {keys}));
+	tape.test("Example (typed)", (t) => testExample(t, {storage: 'typed'}));
+	tape.test("Duplicates (typed)", (t) => testDuplicates(t, {storage: 'typed'}));
+	tape.test("Nearest (typed)", (t) => testNearestExample(t, {storage: 'typed'}));
+	tape.test(`Bulk loading, keys: ${keys}`, (t) => testBulk(t, {keys}));
+	tape.test("Bulk loading (typed)", (t) => testBulk(t, {storage: 'typed'}));
+	tape.test(`Stats, keys: ${keys}`, (t) => testStats(t, {keys}));
+	tape.test("Stats (typed)", (t) => testStats(t, {storage: 'typed'}));
+	tape.test(`Iteration, keys: ${keys}`, (t) => testIteration(t, {keys}));
+	tape.test("Iteration (typed)", (t) => testIteration(t, {storage: 'typed'}));
+	tape.test("Raw hash", testRawHash);
+	tape.test(`Rehash, keys: ${keys}`, (t) => testRehash(t, {keys}));
+	tape.test("Rehash (typed)", (t) => testRehash(t, {storage: 'typed'}));
+	tape.test(`Serialize, keys: ${keys}`, (t) => testSerialize(t, {keys}));
+	tape.test("Serialize (typed)", (t) => testSerialize(t, {storage: 'typed'}));
+	tape.test(`Ids, keys: ${keys}`, (t) => testIds(t, {keys}));
+	tape.test("Ids (typed)", (t) => testIds(t, {storage: 'typed'}));
+	tape.test(`Move, keys: ${keys}`, (t) => testMove(t, {keys}));
+	tape.test("Move (typed)", (t) => testMove(t, {storage: 'typed'}));
+	tape.test(`Move with ids, keys: ${keys}`, (t) => testMoveIds(t, {keys}));
+	tape.test("Move with ids (typed)", (t) => testMoveIds(t, {storage: 'typed'}));
+	tape.test(`Values, keys: ${keys}`, (t) => testValues(t, {keys}));
+	tape.test("Values (typed)", (t) => testValues(t, {storage: 'typed'}));
+	tape.test(`Query options, keys: ${keys}`, (t) => testQueryOptions(t, {keys}));
+	tape.test("Query options (typed)", (t) => testQueryOptions(t, {storage: 'typed'}));
+	tape.test(`Sorted, keys: ${keys}`, (t) => testSorted(t, {keys}));
+	tape.test("Sorted (typed)", (t) => testSorted(t, {storage: 'typed'}));
+	tape.test("Codecs", testCodecs);
+	tape.test("Bad input", testBadInput);
+	tape.test("Cell size", testCellSize);
+	tape.test("Typed storage", testTypedStorage);
 	
 	for(const cfg of randoms){
-		const {count, cellSize, scale, samples, radius} = cfg,
-			hash = new PointHash(cellSize),
-			{points} = genRandom(hash, count, scale);
-		tape.test(`random: ${count} pts, cellSize: ${cellSize}, scale: ${scale}`,
-				(t) => testPoints(t, points, hash, samples, scale, radius));
+		const {count, cellSize, scale, offset = 0, samples, radius, storage = 'object', bulk = false, rehash, serialize, ids = false} = cfg,
+			made = new PointHash(cellSize, {storage, keys, ids}),
+			{points} = genRandom(made, count, scale, offset, bulk);
+		
+		if(rehash){
+			made.rehash(rehash);
+		}
+		
+		const hash = roundTrip(made, serialize);
+		tape.test(`random: ${count} pts, cellSize: ${cellSize}, scale: ${scale}, offset: ${offset}, storage: ${storage}, keys: ${keys}, bulk: ${bulk}${rehash ? `, rehash: ${rehash}` : ""}${serialize ? `, serialize: ${serialize}` : ""}${ids ? ", ids" : ""}`,
+				(t) => testPoints(t, points, hash, samples, scale, radius, offset));
 	}
 	
 	for(const cfg of grids){
 		const {scale, cellSize, w, h, offX, offY, samples, radius} = cfg,
-			hash = new PointHash(cellSize),
+			hash = new PointHash(cellSize, {keys}),
 			{points} = genGrid(hash, scale, w, h, offX, offY);
 		
-		tape.test(`grid: (${w}, ${h}) * ${scale} + (${offX}, ${offY}), cellSize: ${cellSize}`,
-				(t) => testPoints(t, points, hash, samples, scale, radius));
+		tape.test(`grid: (${w}, ${h}) * ${scale} + (${offX}, ${offY}), cellSize: ${cellSize}, keys: ${keys}`,
+				(t) => testPoints(t, points, hash, samples, scale, radius, Math.min(offX, offY)));
 	}
 }
 
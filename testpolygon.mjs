@@ -0,0 +1,324 @@
+import {PolygonHash, intersectSegments, pointInPolygon} from './SpatialHash.mjs';
+import util from 'util';
+import tape from 'tape';
+
+function randomPolygon(scale, size, offset){
+	const cx = Math.random() * scale + offset,
+		cy = Math.random() * scale + offset,
+		n = 3 + ((Math.random() * 6) | 0),
+		angles = [],
+		vertices = [];
+	
+	for(let i = 0; i < n; i++){
+		angles.push(Math.random() * Math.PI * 2);
+	}
+	angles.sort((a, b) => a - b);
+	
+	for(const a of angles){
+		const r = (0.2 + Math.random() * 0.8) * size / 2;
+		vertices.push(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+	}
+	
+	return vertices;
+}
+
+function randomPolyline(scale, size, offset){
+	const n = 2 + ((Math.random() * 5) | 0),
+		vertices = [Math.random() * scale + offset, Math.random() * scale + offset];
+	
+	for(let i = 1; i < n; i++){
+		vertices.push(vertices[i * 2 - 2] + (Math.random() - 0.5) * size,
+				vertices[i * 2 - 1] + (Math.random() - 0.5) * size);
+	}
+	
+	return vertices;
+}
+
+function genRandom(hash, count, scale, size, offset = 0){
+	const shapes = [];
+	
+	for(let i = 0; i < count; i++){
+		const closed = Math.random() < 0.5,
+			vertices = closed ? randomPolygon(scale, size, offset) : randomPolyline(scale, size, offset);
+		
+		if(closed){
+			hash.addPolygon(vertices, i);
+		}else{
+			hash.addPolyline(vertices, i);
+		}
+		shapes.push({vertices, closed});
+	}
+	
+	return {hash, shapes};
+}
+
+function find(hash, {vertices, closed}){
+	return closed ? hash.findPolygon(vertices) : hash.findPolyline(vertices);
+}
+
+function remove(hash, {vertices, closed}){
+	return closed ? hash.removePolygon(vertices) : hash.removePolyline(vertices);
+}
+
+function shifted({vertices, closed}, d){
+	return {vertices: vertices.map((v) => v + d), closed};
+}
+
+function testExact(t, shapes, hash, samples, scale){
+	for(let i = 0; i < shapes.length; i++){
+		const found = find(hash, shapes[i]);
+		
+		if(!found || found[1] !== i){
+			t.fail(`found ${found} instead of [${shapes[i].vertices}], ${i}`);
+		}
+		t.deepEqual(found && found[0], shapes[i].vertices, `found vertices of shape ${i}`);
+	}
+	
+	for(let i = 0; i < samples; i++){
+		const idx = (Math.random() * shapes.length) | 0,
+			found = find(hash, shifted(shapes[idx], scale / 2));
+		
+		if(found && found[1] === idx){
+			t.fail(`shouldn't have found ${found}`);
+		}
+	}
+	
+	t.pass("found all shapes exactly");
+}
+
+function edgesIntersect({vertices, closed}, x1, y1, x2, y2){
+	const len = vertices.length,
+		end = closed ? len : len - 2;
+	
+	for(let i = 0; i < end; i += 2){
+		if(intersectSegments(vertices[i], vertices[i + 1],
+				vertices[(i + 2) % len], vertices[(i + 3) % len], x1, y1, x2, y2)){
+			return true;
+		}
+	}
+	
+	return false;
+}
+
+function containsPoint(x, y, shape){
+	return shape.closed && pointInPolygon(x, y, shape.vertices);
+}
+
+function intersectsSegment(x1, y1, x2, y2, shape){
+	return containsPoint(x1, y1, shape) || edgesIntersect(shape, x1, y1, x2, y2);
+}
+
+function overlapsRect(x, y, w, h, shape){
+	const [vx, vy] = shape.vertices;
+	return (vx >= x && vx <= x + w && vy >= y && vy <= y + h) ||
+		containsPoint(x, y, shape) ||
+		edgesIntersect(shape, x, y, x + w, y) ||
+		edgesIntersect(shape, x + w, y, x + w, y + h) ||
+		edgesIntersect(shape, x + w, y + h, x, y + h) ||
+		edgesIntersect(shape, x, y + h, x, y);
+}
+
+function testQuery(t, shapes, hash, count, what, pred, query){
+	for(let i = 0; i < count; i++){
+		const args = query(),
+			ref = new Set;
+		
+		for(let i = 0; i < shapes.length; i++){
+			if(pred(...args, shapes[i])){
+				ref.add(i);
+			}
+		}
+		
+		const need = ref.size,
+			found = new Set;
+		
+		for(const [vertices, idx] of hash[what](...args)){
+			if(found.has(idx)){
+				t.fail(`found duplicate shape ${idx}`);
+			}else if(!ref.has(idx)){
+				t.fail(`found invalid shape [${vertices}], ${idx}`);
+			}
+			ref.delete(idx);
+			found.add(idx);
+		}
+		
+		t.equal(ref.size, 0, `${what}: found ${need} shapes`);
+	}
+}
+
+function testRemove(t, shapes, hash, samples, scale){
+	// remove non-existent shapes
+	for(let i = 0; i < samples; i++){
+		const idx = (Math.random() * shapes.length) | 0,
+			ret = remove(hash, shifted(shapes[idx], scale / 2));
+		
+		if(ret !== undefined){
+			t.fail(`should have removed & returned nothing, but got: ${ret}`);
+		}
+	}
+	
+	testExact(t, shapes, hash, samples, scale);
+	
+	const removed = new Set;
+	for(let i = 0; i < samples; i++){
+		const idx = (Math.random() * shapes.length) | 0;
+		if(removed.has(idx)){
+			continue;
+		}
+		removed.add(idx);
+		
+		const shape = shapes[idx],
+			ret = remove(hash, shape);
+		
+		if(ret === undefined){
+			t.fail(`should have removed & returned [${shape.vertices}], ${idx}, but got undefined`);
+		}
+		
+		t.deepEqual(ret, [shape.vertices, idx], `returned the removed shape`);
+		t.equal(find(hash, shape), undefined, `can no longer find the removed shape`);
+		
+		for(const [cx, cy] of hash.cellsUnderPolygon(shape.vertices, shape.closed)){
+			const arr = hash.cell(cx, cy);
+			if(arr && !arr.length){
+				t.fail(`grid cell (${cx}, ${cy}) is not cleared`);
+			}
+		}
+	}
+}
+
+function testShapes(t, shapes, hash, samples, scale, size, offset = 0){
+	const rnd = () => Math.random() * scale + offset;
+	
+	testExact(t, shapes, hash, samples, scale);
+	testQuery(t, shapes, hash, samples, 'polygonsContainingPoint', containsPoint,
+			() => [rnd(), rnd()]);
+	testQuery(t, shapes, hash, samples, 'polygonsIntersectingSegment', intersectsSegment,
+			() => {
+				const x = rnd(),
+					y = rnd();
+				return [x, y, x + (Math.random() - 0.5) * size * 2, y + (Math.random() - 0.5) * size * 2];
+			});
+	testQuery(t, shapes, hash, samples, 'polygonsOverlappingRect', overlapsRect,
+			() => [rnd(), rnd(), Math.random() * size, Math.random() * size]);
+	// remove should be last
+	testRemove(t, shapes, hash, samples, scale);
+	t.pass(`passed: ${util.inspect(hash.stats())}`);
+	t.end();
+}
+
+function testExample(t){
+	const cellSize = 10,
+		pgHash = new PolygonHash(cellSize); // store polygons in cells of 10x10
+	
+	pgHash.addPolygon([0, 0, 40, 0, 40, 40, 0, 40], "square") // add polygon with value "square"
+		.addPolygon([50, 0, 70, 20, 50, 20], "triangle")
+		.addPolyline([0, 50, 30, 50, 30, 80], "elbow");
+	
+	t.deepEqual(pgHash.findPolygon([50, 0, 70, 20, 50, 20]), [[50, 0, 70, 20, 50, 20], "triangle"], "finds existing polygon");
+	t.equal(pgHash.findPolygon([0, 50, 30, 50, 30, 80]), undefined, "doesn't find polyline as polygon");
+	t.deepEqual(pgHash.findPolyline([0, 50, 30, 50, 30, 80]), [[0, 50, 30, 50, 30, 80], "elbow"], "finds existing polyline");
+	
+	t.assert(pgHash.cell(1, 1).length === 1, "interior cell references the polygon");
+	
+	const names = (it) => [...it].map((shape) => shape[1]).sort();
+	
+	t.deepEqual(names(pgHash.polygonsContainingPoint(20, 20)), ["square"], "found polygon containing point");
+	t.deepEqual(names(pgHash.polygonsContainingPoint(20, 60)), [], "polyline doesn't contain point");
+	t.deepEqual(names(pgHash.polygonsIntersectingSegment(10, 10, 20, 20)), ["square"], "found polygon containing segment");
+	t.deepEqual(names(pgHash.polygonsIntersectingSegment(25, 55, 62, 8)), ["elbow", "square", "triangle"], "found shapes crossed by segment");
+	t.deepEqual(names(pgHash.polygonsOverlappingRect(25, 45, 40, 10)), ["elbow"], "found shapes overlapping rectangle");
+	t.deepEqual(names(pgHash.polygonsOverlappingRect(5, 5, 10, 10)), ["square"], "found polygon around rectangle");
+	
+	t.equal(pgHash.size, 3, "counts the shapes");
+	t.deepEqual([...pgHash].map(([vertices, val]) => val).sort(), ["elbow", "square", "triangle"], "iterates over each shape once");
+	t.deepEqual([...pgHash][2], [[0, 50, 30, 50, 30, 80], "elbow"], "iterates over the vertices and values");
+	t.deepEqual([...pgHash.shapes()].map(([id]) => typeof id), ["number", "number", "number"], "shapes yields the ids");
+	t.throws(() => JSON.stringify(pgHash), /PolygonHash cannot be serialized/, "cannot be described as JSON");
+	t.throws(() => pgHash.serialize(), /PolygonHash cannot be serialized/, "cannot be serialized");
+	pgHash.removePolyline([0, 50, 30, 50, 30, 80]);
+	t.equal(pgHash.size, 2, "counts removed shapes");
+	pgHash.clear();
+	t.deepEqual([pgHash.size, pgHash.cellCount, pgHash.polygons.size], [0, 0, 0], "clears the shapes and their vertices");
+	
+	t.end();
+}
+
+function testDuplicates(t){
+	const cellSize = 10,
+		hash = new PolygonHash(cellSize),
+		vertices = [2, 2, 13, 3, 4, 14, 1, 8];
+	
+	hash.addPolygon(vertices, "foo");
+	hash.addPolygon(vertices, "bar");
+	hash.addPolygon(vertices, "qux");
+	
+	const ref = new Set(["foo", "bar", "qux"]);
+	ref.delete(hash.removePolygon(vertices)[1]);
+	ref.delete(hash.removePolygon(vertices)[1]);
+	ref.delete(hash.removePolygon(vertices)[1]);
+	
+	t.equal(ref.size, 0, "found all polygons to delete");
+	t.equal(hash.removePolygon(vertices), undefined, "can no longer find deleted polygons");
+	t.equal(hash.cellCount, 0, "all grid cells are cleared");
+	t.equal(hash.polygons.size, 0, "all polygons are cleared");
+	
+	t.end();
+}
+
+const randoms = [
+	{count: 500, scale: 100, size: 20, cellSize: 10, samples: 50},
+	{count: 500, scale: 100, size: 20, cellSize: 100, samples: 50},
+	{count: 500, scale: 100, size: 20, cellSize: 1000, samples: 50},
+	{count: 500, scale: 1000, size: 100, cellSize: 10, samples: 50},
+	{count: 500, scale: 100, size: 20, cellSize: 10, offset: -50, samples: 50},
+	{count: 500, scale: 1000, size: 50, cellSize: 10, offset: -1e12, samples: 50},
+	{count: 500, scale: 100, size: 20, cellSize: 10, offset: -50, samples: 50, rehash: 35}
+];
+
+function testQueryOptions(t){
+	const hash = new PolygonHash(10),
+		square = [0, 0, 60, 0, 60, 60, 0, 60],
+		asked = [],
+		filter = (val) => {
+			asked.push(val);
+			return true;
+		};
+	
+	hash.addPolygon(square, "polygon");
+	hash.addPolyline(square, "polyline");
+	hash.addPolygon([20, 20, 80, 20, 80, 80], "triangle");
+	
+	t.deepEqual([...hash.polygonsContainingPoint(30, 25, {filter})].map((shape) => shape[1]), ["polygon", "triangle"],
+		"polygonsContainingPoint: finds the polygons");
+	t.deepEqual(asked, ["polygon", "triangle"], "polygonsContainingPoint: does not ask the filter about polylines");
+	
+	asked.length = 0;
+	t.deepEqual([...hash.polygonsIntersectingSegment(0, 30, 100, 30, {filter, exclude: ["polyline"]})].map((shape) => shape[1]).sort(),
+		["polygon", "triangle"], "polygonsIntersectingSegment: excludes");
+	t.deepEqual(asked.sort(), ["polygon", "triangle"], "polygonsIntersectingSegment: asks the filter once per shape, across its cells");
+	
+	const found = [...hash.polygonsOverlappingRect(0, 0, 100, 100, {exclude: new Set(["polygon"]), limit: 1})];
+	t.ok(found.length === 1 && found[0][1] !== "polygon", "polygonsOverlappingRect: excludes and stops at the limit");
+	t.end();
+}
+
+function main(args){
+	tape.test("Example", testExample);
+	tape.test("Duplicates", testDuplicates);
+	tape.test("Query options", testQueryOptions);
+	
+	for(const cfg of randoms){
+		const {count, scale, size, cellSize, offset = 0, samples, rehash} = cfg,
+			hash = new PolygonHash(cellSize),
+			{shapes} = genRandom(hash, count, scale, size, offset);
+		
+		if(rehash){
+			hash.rehash(rehash);
+		}
+		
+		tape.test(`random: ${count} shapes, size: ${size}, cellSize: ${cellSize}, scale: ${scale}, offset: ${offset}${rehash ? `, rehash: ${rehash}` : ""}`,
+				(t) => testShapes(t, shapes, hash, samples, scale, size, offset));
+	}
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,250 @@
+import {RectHash} from './SpatialHash.mjs';
+import util from 'util';
+import tape from 'tape';
+
+function randomRect(scale, size, offset){
+	return [
+		Math.random() * scale + offset,
+		Math.random() * scale + offset,
+		Math.random() * size,
+		Math.random() * size
+	];
+}
+
+function genRandom(hash, count, scale, size, offset = 0){
+	const rects = [];
+	
+	for(let i = 0; i < count; i++){
+		const rect = randomRect(scale, size, offset),
+			idx = rects.length;
+		
+		hash.addRect(...rect, idx);
+		rects.push(...rect);
+	}
+	
+	return {hash, rects};
+}
+
+function testExact(t, rects, hash, samples, scale){
+	for(let i = 0; i < rects.length; i += 4){
+		const [x, y, w, h] = rects.slice(i, i + 4),
+			found = hash.findRect(x, y, w, h);
+		
+		if(!found || found[0] !== x || found[1] !== y || found[2] !== w || found[3] !== h || found[4] !== i){
+			t.fail(`found ${found} instead of [${x}, ${y}, ${w}, ${h}, ${i}]`);
+		}
+	}
+	
+	for(let i = 0; i < samples; i++){
+		const idx = ((Math.random() * (rects.length / 4)) | 0) * 4,
+			x = rects[idx] + scale / 2,
+			y = rects[idx + 1] + scale / 2,
+			found = hash.findRect(x, y, rects[idx + 2], rects[idx + 3]);
+		
+		if(found && found[4] === idx){
+			t.fail(`shouldn't have found ${found} at (${x}, ${y})`);
+		}
+	}
+	
+	t.pass("found all rectangles exactly");
+}
+
+function testQuery(t, rects, hash, count, what, pred, query){
+	for(let i = 0; i < count; i++){
+		const args = query(),
+			ref = new Set;
+		
+		for(let i = 0; i < rects.length; i += 4){
+			if(pred(...args, ...rects.slice(i, i + 4))){
+				ref.add(i);
+			}
+		}
+		
+		const need = ref.size,
+			found = new Set;
+		
+		for(const [x, y, w, h, idx] of hash[what](...args)){
+			if(found.has(idx)){
+				t.fail(`found duplicate rectangle ${idx}`);
+			}else if(!ref.has(idx)){
+				t.fail(`found invalid rectangle [${x}, ${y}, ${w}, ${h}, ${idx}]`);
+			}
+			ref.delete(idx);
+			found.add(idx);
+		}
+		
+		t.equal(ref.size, 0, `${what}: found ${need} rectangles`);
+	}
+}
+
+function containsPoint(x, y, rx, ry, rw, rh){
+	return x >= rx && x <= rx + rw && y >= ry && y <= ry + rh;
+}
+
+function overlaps(x, y, w, h, rx, ry, rw, rh){
+	return !(rx > x + w || rx + rw < x || ry > y + h || ry + rh < y);
+}
+
+function containedIn(x, y, w, h, rx, ry, rw, rh){
+	return rx >= x && rx + rw <= x + w && ry >= y && ry + rh <= y + h;
+}
+
+function testRemove(t, rects, hash, samples, scale){
+	const numRects = rects.length / 4;
+	// remove non-existent rectangles
+	for(let i = 0; i < samples; i++){
+		const idx = ((numRects * Math.random()) | 0) * 4,
+			x = rects[idx] + scale / 2,
+			y = rects[idx + 1] + scale / 2,
+			ret = hash.removeRect(x, y, rects[idx + 2], rects[idx + 3]);
+		
+		if(ret !== undefined){
+			t.fail(`should have removed & returned nothing, but got: ${ret}`);
+		}
+	}
+	
+	testExact(t, rects, hash, samples, scale);
+	
+	const removed = new Set;
+	for(let i = 0; i < samples; i++){
+		const idx = ((numRects * Math.random()) | 0) * 4;
+		if(removed.has(idx)){
+			continue;
+		}
+		removed.add(idx);
+		
+		const [x, y, w, h] = rects.slice(idx, idx + 4),
+			ret = hash.removeRect(x, y, w, h);
+		
+		if(ret === undefined){
+			t.fail(`should have removed & returned [${x}, ${y}, ${w}, ${h}, ${idx}], but got undefined`);
+		}
+		
+		t.deepEqual(ret, [x, y, w, h, idx], `returned the removed rectangle`);
+		t.equal(hash.findRect(x, y, w, h), undefined, `can no longer find the removed rectangle`);
+		
+		for(const [cx, cy] of hash.cellsUnderExtent(x, y, w, h)){
+			const arr = hash.cell(cx, cy);
+			if(arr && !arr.length){
+				t.fail(`grid cell (${cx}, ${cy}) is not cleared`);
+			}
+		}
+	}
+}
+
+function testRects(t, rects, hash, samples, scale, size, offset = 0){
+	testExact(t, rects, hash, samples, scale);
+	testQuery(t, rects, hash, samples, 'rectsContainingPoint', containsPoint,
+			() => [Math.random() * scale + offset, Math.random() * scale + offset]);
+	testQuery(t, rects, hash, samples, 'rectsOverlapping', overlaps,
+			() => randomRect(scale, size * 2, offset));
+	testQuery(t, rects, hash, samples, 'rectsContainedIn', containedIn,
+			() => randomRect(scale, size * 4, offset));
+	// remove should be last
+	testRemove(t, rects, hash, samples, scale);
+	t.pass(`passed: ${util.inspect(hash.stats())}`);
+	t.end();
+}
+
+function testExample(t){
+	const cellSize = 10,
+		rcHash = new RectHash(cellSize); // store rectangles in cells of 10x10
+	
+	rcHash.addRect(2, 2, 10, 6, "foo") // add rectangle at (2, 2) of 10x6 with value "foo"
+		.addRect(8, 4, 12, 12, "bar")
+		.addRect(24, 18, 4, 4, "quux");
+	
+	t.deepEqual(rcHash.findRect(2, 2, 10, 6), [2, 2, 10, 6, "foo"], "finds existing rectangle");
+	t.equal(rcHash.findRect(2, 2, 10, 7), undefined, "doesn't find non-existing rectangle");
+	
+	const names = (it) => [...it].map((rect) => rect[4]).sort();
+	
+	t.deepEqual(names(rcHash.rectsContainingPoint(10, 6)), ["bar", "foo"], "found rectangles containing point");
+	t.deepEqual(names(rcHash.rectsOverlapping(18, 14, 8, 8)), ["bar", "quux"], "found overlapping rectangles");
+	t.deepEqual(names(rcHash.rectsContainedIn(0, 0, 22, 20)), ["bar", "foo"], "found contained rectangles");
+	
+	rcHash.addRect(0, 30, 40, 10, "foo");
+	t.equal(rcHash.size, 4, "counts the rectangles");
+	t.deepEqual([...rcHash].map(String).sort(), ["0,30,40,10,foo", "2,2,10,6,foo", "24,18,4,4,quux", "8,4,12,12,bar"],
+		"iterates over each rectangle once, also with the same value");
+	rcHash.removeRect(8, 4, 12, 12);
+	t.deepEqual([rcHash.size, [...rcHash].length], [3, 3], "counts removed rectangles");
+	
+	t.end();
+}
+
+function testDuplicates(t){
+	const cellSize = 10,
+		hash = new RectHash(cellSize);
+	
+	hash.addRect(2, 2, 13, 3, "foo");
+	hash.addRect(2, 2, 13, 3, "bar");
+	hash.addRect(2, 2, 13, 3, "qux");
+	
+	const ref = new Set(["foo", "bar", "qux"]);
+	ref.delete(hash.removeRect(2, 2, 13, 3)[4]);
+	ref.delete(hash.removeRect(2, 2, 13, 3)[4]);
+	ref.delete(hash.removeRect(2, 2, 13, 3)[4]);
+	
+	t.equal(ref.size, 0, "found all rectangles to delete");
+	t.equal(hash.removeRect(2, 2, 13, 3), undefined, "can no longer find deleted rectangles");
+	t.equal(hash.cellCount, 0, "all grid cells are cleared");
+	
+	t.end();
+}
+
+const randoms = [
+	{count: 1000, scale: 100, size: 20, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 100, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 1000, samples: 100},
+	{count: 1000, scale: 1000, size: 50, cellSize: 10, samples: 100},
+	{count: 1000, scale: 10000, size: 100, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 10, offset: -50, samples: 100},
+	{count: 1000, scale: 1000, size: 50, cellSize: 10, offset: -1e12, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 10, offset: -50, samples: 100, rehash: 35}
+];
+
+function testQueryOptions(t){
+	const hash = new RectHash(10),
+		asked = [],
+		filter = (val) => {
+			asked.push(val);
+			return val !== 1;
+		};
+	
+	// each rectangle lies in many cells, but is reported in only one
+	for(let i = 0; i < 5; i++){
+		hash.addRect(i * 10, i * 10, 50, 50, i);
+	}
+	
+	t.deepEqual([...hash.rectsOverlapping(0, 0, 100, 100, {filter, limit: 3})].map((rect) => rect[4]), [0, 2, 3],
+		"rectsOverlapping: filters and stops at the limit");
+	t.deepEqual(asked, [0, 1, 2, 3], "rectsOverlapping: asks the filter in the reporting cell only");
+	t.deepEqual([...hash.rectsContainedIn(0, 0, 100, 100, {exclude: [0], limit: 2})].map((rect) => rect[4]), [1, 2],
+		"rectsContainedIn: excludes and stops at the limit");
+	t.deepEqual([...hash.rectsContainingPoint(45, 45, {exclude: new Set([0, 4])})].map((rect) => rect[4]), [1, 2, 3],
+		"rectsContainingPoint: excludes");
+	t.deepEqual([...hash.rectsContainingPoint(45, 45, {limit: 0})], [], "rectsContainingPoint: finds nothing with a limit of 0");
+	t.end();
+}
+
+function main(args){
+	tape.test("Example", testExample);
+	tape.test("Duplicates", testDuplicates);
+	tape.test("Query options", testQueryOptions);
+	
+	for(const cfg of randoms){
+		const {count, scale, size, cellSize, offset = 0, samples, rehash} = cfg,
+			hash = new RectHash(cellSize),
+			{rects} = genRandom(hash, count, scale, size, offset);
+		
+		if(rehash){
+			hash.rehash(rehash);
+		}
+		
+		tape.test(`random: ${count} rectangles, size: ${size}, cellSize: ${cellSize}, scale: ${scale}, offset: ${offset}${rehash ? `, rehash: ${rehash}` : ""}`,
+				(t) => testRects(t, rects, hash, samples, scale, size, offset));
+	}
+}
+
+main(process.argv.slice(2));
@@ -1,48 +1,27 @@
-import {SegmentHash, intersectSegments} from './SpatialHash.mjs';
+import {SegmentHash, intersectSegments, segmentIntersection, segPointDistSq} from './SpatialHash.mjs';
 import util from 'util';
 import tape from 'tape';
 
-function occupancy(hash){
-	let activeCells = 0,
-		empty = 0,
-		segments = 0,
-		min = Infinity,
-		max = -Infinity;
-	
-	for(const [key, arr] of Object.entries(hash.map)){
-		if(!arr || !arr.length){
-			empty++;
-			continue;
-		}
-		
-		activeCells++;
-		const len = arr.length / 5;
-		min = Math.min(min, len);
-		max = Math.max(max, len);
-		segments += len;
-	}
-	
-	return {
-		min,
-		max,
-		activeCells,
-		segments,
-		mean: segments / activeCells
-	}
-}
-
-function genRandom(hash, count, scale){
-	const segments = [];
+function genRandom(hash, count, scale, offset = 0, bulk = false){
+	const segments = [],
+		values = [];
 	
 	for(let i = 0; i < count; i++){
-		const x1 = Math.random() * scale,
-			y1 = Math.random() * scale,
-			x2 = Math.random() * scale,
-			y2 = Math.random() * scale,
+		const x1 = Math.random() * scale + offset,
+			y1 = Math.random() * scale + offset,
+			x2 = Math.random() * scale + offset,
+			y2 = Math.random() * scale + offset,
 			idx = segments.length;
 		
-		hash.addSegment(x1, y1, x2, y2, idx);
+		if(!bulk){
+			hash.addSegment(x1, y1, x2, y2, idx);
+		}
 		segments.push(x1, y1, x2, y2);
+		values.push(idx);
+	}
+	
+	if(bulk){
+		hash.addSegments(segments, values);
 	}
 	
 	return {hash, segments};
@@ -77,12 +56,12 @@ function testExact(t, segments, hash, samples, scale){
 	t.pass("found all segments exactly");
 }
 
-function testIntersects(t, segments, hash, count, scale){
+function testIntersects(t, segments, hash, count, scale, offset){
 	for(let i = 0; i < count; i++){
-		const x1 = Math.random() * scale,
-			y1 = Math.random() * scale,
-			x2 = Math.random() * scale,
-			y2 = Math.random() * scale,
+		const x1 = Math.random() * scale + offset,
+			y1 = Math.random() * scale + offset,
+			x2 = Math.random() * scale + offset,
+			y2 = Math.random() * scale + offset,
 			ref = new Set;
 		
 		for(let i = 0; i < segments.length; i += 4){
@@ -96,23 +75,219 @@ function testIntersects(t, segments, hash, count, scale){
 			}
 		}
 		
-		const need = ref.size,
-			found = new Set;
+		const visited = [];
+		hash.forEachIntersect(x1, y1, x2, y2, 0, (sx1, sy1, sx2, sy2, idx) => {
+			visited.push([sx1, sy1, sx2, sy2, idx]);
+		});
+		
+		for(const results of [hash.findIntersects(x1, y1, x2, y2, 0), visited]){
+			const missing = new Set(ref),
+				found = new Set;
+			
+			for(let [sx1, sy1, sx2, sy2, idx] of results){
+				if(found.has(idx)){
+					t.fail(`found duplicate segment ${idx}`);
+				}else if(!missing.has(idx)){
+					t.fail(`found invalid segment [${sx1}, ${sy1}, ${sx2}, ${sy2}, ${idx}]`);
+				}
+				missing.delete(idx);
+				found.add(idx);
+			}
+			
+			t.equal(missing.size, 0, `found ${ref.size} intersects`);
+		}
+	}
+}
+
+function testIntersectionPoints(t, segments, hash, count, scale, offset){
+	const close = (a, b) => Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+	
+	for(let i = 0; i < count; i++){
+		const x1 = Math.random() * scale + offset,
+			y1 = Math.random() * scale + offset,
+			x2 = Math.random() * scale + offset,
+			y2 = Math.random() * scale + offset,
+			ref = new Set;
+		
+		for(let i = 0; i < segments.length; i += 4){
+			if(intersectSegments(x1, y1, x2, y2, segments[i], segments[i + 1], segments[i + 2], segments[i + 3])){
+				ref.add(i);
+			}
+		}
+		
+		const need = ref.size;
 		
-		for(let [sx1, sy1, sx2, sy2, idx] of hash.findIntersects(x1, y1, x2, y2, 0)){
-			if(found.has(idx)){
-				//t.fail(`found duplicate segment ${idx}`);
-			}else if(!ref.has(idx)){
-				t.fail(`found invalid segment [${sx1}, ${sy1}, ${sx2}, ${sy2}, ${idx}]`);
+		for(const [sx1, sy1, sx2, sy2, idx, x, y, ts, us] of hash.findIntersectionPoints(x1, y1, x2, y2, 0)){
+			if(!ref.has(idx)){
+				t.fail(`found invalid or duplicate segment [${sx1}, ${sy1}, ${sx2}, ${sy2}, ${idx}]`);
 			}
 			ref.delete(idx);
-			found.add(idx);
+			
+			if(ts < 0 || ts > 1 || us < 0 || us > 1 ||
+					!close(x, x1 + ts * (x2 - x1)) || !close(y, y1 + ts * (y2 - y1)) ||
+					!close(x, sx1 + us * (sx2 - sx1)) || !close(y, sy1 + us * (sy2 - sy1))){
+				t.fail(`(${x}, ${y}) at t: ${ts}, u: ${us} does not lie on both segments`);
+			}
 		}
 		
-		t.equal(ref.size, 0, `found ${need} intersects`);
+		t.equal(ref.size, 0, `found ${need} intersection points`);
+	}
+}
+
+function testNearest(t, segments, hash, count, scale, offset){
+	for(let i = 0; i < count; i++){
+		const x = Math.random() * scale + offset,
+			y = Math.random() * scale + offset,
+			k = 1 + ((Math.random() * 20) | 0),
+			maxDist = i % 2 ? scale / 10 : Infinity,
+			ref = [];
+		
+		for(let i = 0; i < segments.length; i += 4){
+			const d2 = segPointDistSq(...segments.slice(i, i + 4), x, y);
+			if(d2 <= maxDist * maxDist){
+				ref.push(d2);
+			}
+		}
+		ref.sort((a, b) => a - b);
+		ref.length = Math.min(ref.length, k);
+		
+		const found = hash.nearestSegments(x, y, k, maxDist);
+		
+		t.deepEqual(found.map((s) => s[5]), ref, `found ${k} nearest segments within ${maxDist}`);
+		for(const [x1, y1, x2, y2, idx, d2, px, py, u] of found){
+			if(segments[idx] !== x1 || segments[idx + 1] !== y1 || segments[idx + 2] !== x2 || segments[idx + 3] !== y2){
+				t.fail(`found invalid segment [${x1}, ${y1}, ${x2}, ${y2}, ${idx}]`);
+			}
+			if(u < 0 || u > 1 || Math.abs(x1 + u * (x2 - x1) - px) > 1e-6 * scale ||
+					Math.abs(y1 + u * (y2 - y1) - py) > 1e-6 * scale){
+				t.fail(`found invalid projection (${px}, ${py}) at ${u} on [${x1}, ${y1}, ${x2}, ${y2}]`);
+			}
+		}
 	}
 }
 
+function testRaycast(t, segments, hash, count, scale, offset){
+	for(let i = 0; i < count; i++){
+		const ox = Math.random() * scale + offset,
+			oy = Math.random() * scale + offset,
+			angle = Math.random() * 2 * Math.PI,
+			dx = Math.cos(angle),
+			dy = Math.sin(angle),
+			maxDist = i % 2 ? Math.random() * scale : Infinity,
+			// long enough to cross all segments
+			len = Math.min(maxDist, scale * 2),
+			tol = (scale + Math.abs(offset)) * 1e-9,
+			ref = [];
+		
+		for(let i = 0; i < segments.length; i += 4){
+			const hit = segmentIntersection(ox, oy, ox + dx * len, oy + dy * len, ...segments.slice(i, i + 4));
+			if(hit){
+				ref.push([i, hit[2] * len]);
+			}
+		}
+		ref.sort((a, b) => a[1] - b[1]);
+		
+		const found = [...hash.raycastAll(ox, oy, dx, dy, maxDist)];
+		
+		t.deepEqual(found.map((h) => h[4]).sort(), ref.map((h) => h[0]).sort(), `found ${ref.length} segments hit by ray`);
+		for(let j = 0; j < found.length; j++){
+			const [x1, y1, x2, y2, idx, x, y, dist] = found[j];
+			if(Math.abs(Math.hypot(x - ox, y - oy) - dist) > tol || (ref[j] && Math.abs(ref[j][1] - dist) > tol)){
+				t.fail(`found hit (${x}, ${y}) at ${dist} out of order`);
+			}
+		}
+		
+		const first = hash.raycast(ox, oy, dx, dy, maxDist);
+		t.equal(first && first[7], found.length ? found[0][7] : undefined, "found the first hit");
+	}
+}
+
+function segBoxDistSq(x1, y1, x2, y2, left, upper, right, lower){
+	if((x1 >= left && x1 <= right && y1 >= upper && y1 <= lower) ||
+			intersectSegments(x1, y1, x2, y2, left, upper, right, upper) ||
+			intersectSegments(x1, y1, x2, y2, right, upper, right, lower) ||
+			intersectSegments(x1, y1, x2, y2, right, lower, left, lower) ||
+			intersectSegments(x1, y1, x2, y2, left, lower, left, upper)){
+		return 0;
+	}
+	
+	const clampDistSq = (x, y) => {
+		const dx = x - Math.max(left, Math.min(right, x)),
+			dy = y - Math.max(upper, Math.min(lower, y));
+		return dx * dx + dy * dy;
+	};
+	
+	return Math.min(clampDistSq(x1, y1), clampDistSq(x2, y2),
+		segPointDistSq(x1, y1, x2, y2, left, upper), segPointDistSq(x1, y1, x2, y2, right, upper),
+		segPointDistSq(x1, y1, x2, y2, right, lower), segPointDistSq(x1, y1, x2, y2, left, lower));
+}
+
+function testCells(t, hash, count, scale, offset){
+	const sz = hash.cellSize;
+	
+	for(let i = 0; i < count; i++){
+		const x1 = Math.random() * scale + offset,
+			y1 = Math.random() * scale + offset,
+			x2 = x1 + (Math.random() - 0.5) * sz * 10,
+			y2 = y1 + (Math.random() - 0.5) * sz * 10,
+			eps = Math.random() * sz * 3,
+			// allow for rounding of the cell edges far from the origin
+			tol = Math.max(Math.abs(x1), Math.abs(y1)) * 1e-12,
+			visited = [];
+		
+		hash.forEachCellUnderSegment(x1, y1, x2, y2, eps, (cellX, cellY) => {
+			visited.push([cellX, cellY]);
+		});
+		
+		if(String([...hash.cellsUnderSegment(x1, y1, x2, y2, eps)]) !== String(visited)){
+			t.fail(`cellsUnderSegment and forEachCellUnderSegment differ for (${x1}, ${y1}) - (${x2}, ${y2})`);
+		}
+		
+		for(const cells of [hash.cellsUnderSegment(x1, y1, x2, y2, eps), visited]){
+			const found = new Set;
+			
+			for(const [cellX, cellY] of cells){
+				const key = cellX + ',' + cellY,
+					d = Math.sqrt(segBoxDistSq(x1, y1, x2, y2, cellX * sz, cellY * sz, (cellX + 1) * sz, (cellY + 1) * sz));
+				
+				if(found.has(key)){
+					t.fail(`found duplicate cell (${key})`);
+				}else if(d > eps + tol){
+					t.fail(`found cell (${key}) at ${d} beyond ${eps} of the segment`);
+				}
+				found.add(key);
+			}
+			
+			const reach = Math.ceil(eps / sz) + 1,
+				minX = hash.cellCoord(Math.min(x1, x2)) - reach,
+				maxX = hash.cellCoord(Math.max(x1, x2)) + reach,
+				minY = hash.cellCoord(Math.min(y1, y2)) - reach,
+				maxY = hash.cellCoord(Math.max(y1, y2)) + reach;
+			
+			for(let cellX = minX; cellX <= maxX; cellX++){
+				for(let cellY = minY; cellY <= maxY; cellY++){
+					const d = Math.sqrt(segBoxDistSq(x1, y1, x2, y2, cellX * sz, cellY * sz, (cellX + 1) * sz, (cellY + 1) * sz));
+					
+					if(d < eps - tol && !found.has(cellX + ',' + cellY)){
+						t.fail(`missed cell (${cellX}, ${cellY}) at ${d} within ${eps} of the segment`);
+					}
+				}
+			}
+		}
+	}
+	
+	t.pass("found all cells within eps of segments");
+	
+	// an eps of many cells, for which the cells are still found row by row
+	const wide = [...hash.cellsUnderSegment(offset, offset, offset + sz * 200, offset + sz * 50, sz * 30)];
+	let calls = 0;
+	hash.forEachCellUnderSegment(offset, offset, offset + sz * 200, offset + sz * 50, sz * 30, () => {
+		calls++;
+	});
+	t.equal(new Set(wide.map(String)).size, wide.length, "found each cell once for a wide eps");
+	t.equal(wide.length, calls, "found the same cells for a wide eps with a callback");
+}
+
 function testRemove(t, segments, hash, samples, scale){
 	const numSegments = segments.length / 4;
 	// remove non-existent segments
@@ -153,26 +328,29 @@ function testRemove(t, segments, hash, samples, scale){
 		t.equal(hash.findSegment(x1, y1, x2, y2), undefined, `can no longer find the removed segment`);
 		
 		const sz = hash.cellSize,
-			cx = (x1 / sz) | 0,
-			cy = (y1 / sz) | 0,
-			key = cx + ',' + cy,
-			arr = hash.map[key];
+			cx = Math.floor(x1 / sz),
+			cy = Math.floor(y1 / sz),
+			arr = hash.cell(cx, cy);
 		
 		t.assert(!arr || arr.length, `grid cell is cleared or has at least 1 element: ${arr && arr.length}`);
 	}
 }
 
-function testSegments(t, segments, hash, samples, scale){
+function testSegments(t, segments, hash, samples, scale, offset = 0){
 	testExact(t, segments, hash, samples, scale);
-	testIntersects(t, segments, hash, samples, scale);
+	testIntersects(t, segments, hash, samples, scale, offset);
+	testIntersectionPoints(t, segments, hash, samples, scale, offset);
+	testNearest(t, segments, hash, samples, scale, offset);
+	testRaycast(t, segments, hash, samples, scale, offset);
+	testCells(t, hash, samples, scale, offset);
 	testRemove(t, segments, hash, samples, scale);
-	t.pass(`passed: ${util.inspect(occupancy(hash))}`);
+	t.pass(`passed: ${util.inspect(hash.stats())}`);
 	t.end();
 }
 
-function testExample(t){
+function testExample(t, options = {}){
 	const cellSize = 10,
-		sgHash = new SegmentHash(cellSize); // store segments in cells of 10x10
+		sgHash = new SegmentHash(cellSize, options); // store segments in cells of 10x10
 	
 	sgHash.addSegment(7, 7, 9, 28, "foo") // add segment (7, 7) to (9, 28) with value "foo"
 		.addSegment(16, 9, 15, 26, "bar")
@@ -185,7 +363,7 @@ function testExample(t){
 		found = new Set;
 	// find the two segments that intersect with (11, 19) to (25, 16)
 	for(const [x1, y1, x2, y2, name] of sgHash.findIntersects(11, 19, 25, 16)){
-		t.assert(ref.has(name) || found.has(name), `found intersect ${name}`);
+		t.assert(ref.has(name) && !found.has(name), `found intersect ${name} once`);
 		ref.delete(name);
 		found.add(name);
 	}
@@ -194,9 +372,73 @@ function testExample(t){
 	t.end();
 }
 
-function testDuplicates(t){
+function testIntersectionExample(t, options = {}){
+	const cellSize = 10,
+		sgHash = new SegmentHash(cellSize, options);
+	
+	sgHash.addSegment(10, 0, 10, 20, "cross")
+		.addSegment(15, 5, 30, 5, "overlap")
+		.addSegment(0, 10, 20, 10, "miss");
+	
+	const hits = {};
+	for(const [x1, y1, x2, y2, name, ...hit] of sgHash.findIntersectionPoints(0, 5, 20, 5)){
+		hits[name] = hit;
+	}
+	
+	t.deepEqual(hits, {
+		cross: [10, 5, 0.5, 0.25],
+		overlap: [15, 5, 0.75, 0, 20, 5, 1, 1 / 3]
+	}, "found intersection point and overlap interval");
+	t.end();
+}
+
+function testNearestExample(t, options = {}){
 	const cellSize = 10,
-		hash = new SegmentHash(cellSize);
+		sgHash = new SegmentHash(cellSize, options);
+	
+	t.deepEqual(sgHash.nearestSegments(5, 3, 1), [], "finds no nearest segment in empty hash");
+	
+	sgHash.addSegment(0, 0, 10, 0, "foo")
+		.addSegment(20, 5, 20, 25, "bar")
+		.addSegment(-100, -100, -90, -100, "far");
+	
+	t.deepEqual(sgHash.nearestSegments(5, 3, 2), [
+		[0, 0, 10, 0, "foo", 9, 5, 0, 0.5],
+		[20, 5, 20, 25, "bar", 229, 20, 5, 0]
+	], "found 2 nearest segments");
+	t.deepEqual(sgHash.nearestSegments(5, 3, 5, 10).map((s) => s[4]), ["foo"], "found nearest segments within distance");
+	t.deepEqual(sgHash.nearestSegments(5, 3, 0), [], "found no segments for k = 0");
+	t.deepEqual(sgHash.nearestSegments(5, 3, 10).map((s) => s[4]), ["foo", "bar", "far"], "found all segments for k > count");
+	t.deepEqual(sgHash.nearestSegments(-1000, -100), [[-100, -100, -90, -100, "far", 900 * 900, -100, -100, 0]], "found nearest segment far away");
+	t.equal(sgHash.freeSlots.length, sgHash.marks.length, "all query slots are released");
+	t.end();
+}
+
+function testRaycastExample(t, options = {}){
+	const cellSize = 10,
+		sgHash = new SegmentHash(cellSize, options);
+	
+	t.equal(sgHash.raycast(0, 0, 1, 0), undefined, "hits nothing in empty hash");
+	
+	sgHash.addSegment(20, -10, 20, 10, "near")
+		.addSegment(40, -10, 40, 10, "far")
+		.addSegment(-5, -5, -5, 5, "behind")
+		.addSegment(60, 0, 80, 0, "along");
+	
+	t.deepEqual(sgHash.raycast(0, 0, 1, 0), [20, -10, 20, 10, "near", 20, 0, 20], "found first hit");
+	t.deepEqual(sgHash.raycast(0, 0, 2, 0, 15), undefined, "found no hit within distance");
+	t.deepEqual([...sgHash.raycastAll(0, 0, 3, 0)].map((h) => [h[4], h[7]]),
+		[["near", 20], ["far", 40], ["along", 60]], "found all hits in order");
+	t.deepEqual([...sgHash.raycastAll(100, 0, -1, 0, 70)].map((h) => [h[4], h[7]]),
+		[["along", 20], ["far", 60]], "found hits in order from the other side");
+	t.equal(sgHash.raycast(0, 0, 0, 0), undefined, "hits nothing without a direction");
+	t.equal(sgHash.freeSlots.length, sgHash.marks.length, "all query slots are released");
+	t.end();
+}
+
+function testDuplicates(t, options = {}){
+	const cellSize = 10,
+		hash = new SegmentHash(cellSize, options);
 	
 	hash.addSegment(2, 2, 3, 3, "foo");
 	hash.addSegment(2, 2, 3, 3, "bar");
@@ -213,25 +455,517 @@ function testDuplicates(t){
 	t.end();
 }
 
+function testNested(t, options = {}){
+	const cellSize = 10,
+		hash = new SegmentHash(cellSize, options);
+	
+	for(let i = 0; i < 10; i++){
+		hash.addSegment(i * 10 + 5, 0, i * 10 + 5, 100, i);
+		hash.addSegment(0, i * 10 + 5, 100, i * 10 + 5, i + 10);
+	}
+	
+	const outer = new Set;
+	for(const [x1, y1, x2, y2, val] of hash.findIntersects(0, 50, 100, 50, 0)){
+		t.assert(!outer.has(val), `outer query found ${val} once`);
+		outer.add(val);
+		
+		const inner = new Set;
+		for(const seg of hash.findIntersects(x1, y1, x2, y2, 0)){
+			t.assert(!inner.has(seg[4]), `inner query found ${seg[4]} once`);
+			inner.add(seg[4]);
+		}
+		t.equal(inner.size, 11, `inner query found all intersects of ${val}`);
+		
+		// leave a query unfinished
+		for(const seg of hash.findIntersects(x1, y1, x2, y2, 0)){
+			break;
+		}
+	}
+	
+	t.equal(outer.size, 10, "outer query found all intersects");
+	t.equal(hash.freeSlots.length, hash.marks.length, "all query slots are released");
+	
+	// the same with callbacks, stopping the inner query early
+	outer.clear();
+	t.equal(hash.forEachIntersect(0, 50, 100, 50, 0, (x1, y1, x2, y2, val) => {
+		t.assert(!outer.has(val), `outer callback found ${val} once`);
+		outer.add(val);
+		
+		let calls = 0;
+		t.equal(hash.forEachIntersect(x1, y1, x2, y2, 0, () => ++calls < 3), false, `inner callback for ${val} stopped`);
+		t.equal(calls, 3, `inner callback for ${val} stopped after returning false`);
+	}), true, "outer callback visited all intersects");
+	
+	t.equal(outer.size, 10, "outer callback found all intersects");
+	t.throws(() => hash.forEachIntersect(0, 50, 100, 50, 0, () => { throw new Error("stop"); }), /stop/, "callback may throw");
+	t.equal(hash.freeSlots.length, hash.marks.length, "all query slots are released");
+	
+	// churn through ids, which the marks of the slots must not grow with
+	for(let i = 0; i < 1000; i++){
+		hash.removeSegment(5, 0, 5, 100);
+		hash.addSegment(5, 0, 5, 100, 0);
+	}
+	const stepped = hash.findIntersects(0, 50, 100, 50, 0);
+	stepped.next();
+	t.equal([...hash.findIntersects(0, 50, 100, 50, 0)].length, 10, "finds all after churning ids");
+	t.ok(hash.marks.every((marks) => marks.length <= 2 * hash.nextId), "grows the marks only up to the ids handed out");
+	stepped.return();
+	t.equal(hash.freeSlots.length, hash.marks.length, "releases the slot of a returned iterator");
+	
+	// run out of stamps, after which the marks start over
+	hash.stamps.fill(2 ** 32 - 2);
+	for(let i = 0; i < 3; i++){
+		t.equal([...hash.findIntersects(0, 50, 100, 50, 0)].length, 10, `finds all when the stamps wrap, round ${i}`);
+	}
+	t.end();
+}
+
+function cellContents(hash){
+	const cells = new Map;
+	for(const [cellX, cellY, arr] of hash.store.entries()){
+		const shapes = [];
+		for(let i = 0; i < arr.length; i += hash.numElements){
+			shapes.push(hash.store.read(arr, i));
+		}
+		cells.set(cellX + ',' + cellY, shapes);
+	}
+	
+	return cells;
+}
+
+function testBulk(t, options = {}){
+	const coords = [],
+		names = [];
+	
+	for(let i = 0; i < 200; i++){
+		const x = Math.random() * 200 - 100,
+			y = Math.random() * 200 - 100;
+		coords.push(x, y, x + Math.random() * 60 - 30, y + Math.random() * 60 - 30);
+		names.push("s" + i);
+	}
+	
+	const one = new SegmentHash(10, options);
+	for(let i = 0; i < coords.length; i += 4){
+		one.addSegment(coords[i], coords[i + 1], coords[i + 2], coords[i + 3], names[i / 4]);
+	}
+	
+	const all = SegmentHash.from(coords, names, 10, options);
+	t.deepEqual(cellContents(all), cellContents(one), "from fills the same cells, in the same order");
+	t.deepEqual([all.minCellX, all.minCellY, all.maxCellX, all.maxCellY],
+		[one.minCellX, one.minCellY, one.maxCellX, one.maxCellY], "from sets the cell bounds");
+	
+	// add to a hash that already has segments, some in the same cells
+	const half = new SegmentHash(10, options);
+	for(let i = 0; i < 400; i += 4){
+		half.addSegment(coords[i], coords[i + 1], coords[i + 2], coords[i + 3], names[i / 4]);
+	}
+	half.addSegments(coords.slice(400), names.slice(100));
+	t.deepEqual(cellContents(half), cellContents(one), "addSegments appends to existing cells");
+	
+	const indexed = new SegmentHash(10, options).addSegments(new Float64Array([1, 2, 3, 4, 15, 16, 37, 38]));
+	t.deepEqual(indexed.findSegment(15, 16, 37, 38), [15, 16, 37, 38, 1], "stores the segment index without values");
+	
+	for(let i = 0; i < coords.length; i += 4){
+		if(!all.removeSegment(coords[i], coords[i + 1], coords[i + 2], coords[i + 3])){
+			t.fail(`couldn't remove segment ${i / 4}`);
+		}
+	}
+	t.equal(all.cellCount, 0, "removed all bulk loaded segments");
+	t.end();
+}
+
+function testStats(t, options = {}){
+	const hash = new SegmentHash(10, options);
+	
+	// a segment through 3 cells along a row, and one inside a single cell
+	hash.addSegment(2, 5, 28, 5, "a")
+		.addSegment(12, 3, 18, 7, "b");
+	
+	const stats = hash.stats();
+	t.equal(stats.shapes, 2, "counts each segment once");
+	t.equal(stats.cells, [...hash.store.entries()].length, "counts the cells");
+	t.equal(stats.entries, [...hash.cellsUnderSegment(2, 5, 28, 5)].length + [...hash.cellsUnderSegment(12, 3, 18, 7)].length,
+		"counts each cell a segment is in");
+	t.equal(stats.duplication, stats.entries / 2, "finds the entries per segment");
+	t.equal(stats.max, 2, "finds the cell with both segments");
+	
+	const cells = [...hash.store.entries()],
+		xs = cells.map(([cellX]) => cellX),
+		ys = cells.map(([, cellY]) => cellY);
+	t.deepEqual(stats.bounds, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)], "finds the bounds of the cells");
+	t.end();
+}
+
+function testIteration(t, options = {}){
+	const hash = new SegmentHash(10, options);
+	t.deepEqual([hash.size, [...hash], [...hash.segments()]], [0, [], []], "iterates an empty hash");
+	
+	hash.addSegment(2, 5, 58, 5, "a")
+		.addSegment(12, 3, 18, 7, "b")
+		.addSegments([0, 0, 100, 100, -20, 0, -20, 40], ["c", "d"]);
+	
+	const sorted = (it) => [...it].sort((a, b) => a[4] < b[4] ? -1 : 1);
+	
+	t.equal(hash.size, 4, "counts the segments");
+	t.deepEqual(sorted(hash), [[2, 5, 58, 5, "a"], [12, 3, 18, 7, "b"], [0, 0, 100, 100, "c"], [-20, 0, -20, 40, "d"]],
+		"iterates over each segment once");
+	t.deepEqual(sorted(hash.segments()), sorted(hash), "segments iterates over the same segments");
+	
+	const cells = [...hash.cells()];
+	t.equal(cells.length, hash.cellCount, "iterates over the non-empty cells");
+	t.equal(cells.reduce((sum, [, , count]) => sum + count, 0), hash.stats().entries, "counts the segments per cell");
+	
+	hash.removeSegment(12, 3, 18, 7);
+	hash.removeSegment(12, 3, 18, 8);
+	t.equal(hash.size, 3, "only counts removed segments");
+	
+	hash.rehash(33);
+	t.deepEqual(sorted(hash), [[2, 5, 58, 5, "a"], [0, 0, 100, 100, "c"], [-20, 0, -20, 40, "d"]], "rehashing keeps the segments");
+	
+	hash.clear();
+	t.deepEqual([hash.size, hash.cellCount, [...hash]], [0, 0, []], "clears all segments");
+	t.deepEqual([...hash.findIntersects(0, 0, 100, 100)], [], "finds nothing after clearing");
+	t.end();
+}
+
+function testCellSize(t){
+	const coords = [];
+	for(let i = 0; i < 5000; i++){
+		const x = Math.random() * 1000,
+			y = Math.random() * 1000;
+		coords.push(x, y, x + Math.random() * 20, y + Math.random() * 20);
+	}
+	
+	const hash = SegmentHash.from(coords),
+		cells = [...hash.store.entries()],
+		memberships = cells.reduce((sum, [, , arr]) => sum + arr.length / hash.numElements, 0);
+	
+	t.assert(hash.cellSize > 0 && hash.cellSize < 1000, `from chose cell size ${hash.cellSize}`);
+	t.assert(memberships / cells.length < 8, `about 4 segments per cell, got ${memberships / cells.length}`);
+	t.assert(memberships / 5000 < 20, `few cells per segment, got ${memberships / 5000}`);
+	
+	// a long segment through a cluster of short ones shouldn't force tiny cells
+	const long = [0, 0, 1000, 1000];
+	for(let i = 0; i < 100; i++){
+		long.push(500, 500, 500.001, 500.001);
+	}
+	t.assert(SegmentHash.cellSizeFor(long) > 1e-3, "kept the cells larger than a fraction of a typical segment");
+	t.equal(SegmentHash.cellSizeFor([]), 1, "chose a cell size without segments");
+	t.end();
+}
+
+function testSerialize(t, options = {}){
+	const hash = new SegmentHash(10, options);
+	for(let i = 0; i < 100; i++){
+		const x = Math.random() * 200 - 100,
+			y = Math.random() * 200 - 100;
+		hash.addSegment(x, y, x + Math.random() * 60 - 30, y + Math.random() * 60 - 30, "s" + i);
+	}
+	hash.removeSegment(...[...hash][10].slice(0, 4));
+	
+	const json = JSON.parse(JSON.stringify(hash));
+	t.deepEqual([json.version, json.type, json.numElements, json.nextId, json.values.length], [1, 'SegmentHash', 6, 100, 99],
+		"describes the hash");
+	
+	const sorted = (it) => [...it].sort((a, b) => a[5] - b[5]),
+		query = (h) => [...h.findIntersects(-50, -50, 50, 50)].sort((a, b) => a[4] < b[4] ? -1 : 1);
+	
+	for(const [copy, name] of [[SegmentHash.fromJSON(json), "fromJSON"], [SegmentHash.deserialize(hash.serialize()), "deserialize"],
+			[SegmentHash.deserialize(hash.serialize(), {storage: 'typed'}), "deserialize to typed"]]){
+		t.deepEqual(sorted(copy.shapes()), sorted(hash.shapes()), `${name} keeps the segments and their ids`);
+		t.deepEqual(copy.stats().entries, hash.stats().entries, `${name} stores them in as many cells`);
+		t.deepEqual(query(copy), query(hash), `${name} finds the same intersections`);
+		t.equal(copy.nextId, hash.nextId, `${name} keeps the next id`);
+		
+		copy.addSegment(0, 0, 10, 10, "new");
+		t.equal(copy.findSegment(0, 0, 10, 10)[4], "new", `${name} can add more segments`);
+		t.equal([...copy.shapes()].find(([, , , , val]) => val === "new")[5], hash.nextId, `${name} gives them new ids`);
+		
+		for(const [x1, y1, x2, y2] of [...copy]){
+			copy.removeSegment(x1, y1, x2, y2);
+		}
+		t.deepEqual([copy.size, copy.cellCount], [0, 0], `${name} can remove all segments`);
+	}
+	
+	t.end();
+}
+
+function testIds(t, options = {}){
+	const hash = new SegmentHash(10, {...options, ids: true}),
+		a = hash.addSegment(0, 0, 50, 30, "a"),
+		b = hash.addSegment(0, 0, 50, 30, "b"),
+		c = hash.addSegment(-20, 10, 10, -15, "c"),
+		cells = (x1, y1, x2, y2) => [...hash.cellsUnderSegment(x1, y1, x2, y2)].length,
+		values = (it) => [...it].map((s) => s[4]).sort();
+	
+	t.deepEqual([a, b, c], [0, 1, 2], "addSegment returns the ids");
+	t.deepEqual([hash.getById(b), hash.getById(3)], [[0, 0, 50, 30, "b"], undefined], "gets segments by id");
+	
+	t.deepEqual(hash.removeById(a), [0, 0, 50, 30, "a"], "removes a segment by id");
+	t.deepEqual([hash.getById(a), hash.removeById(a), hash.size], [undefined, undefined, 2], "removes it only once");
+	t.equal(hash.stats().entries, cells(0, 0, 50, 30) + cells(-20, 10, 10, -15), "removes it from all its cells");
+	t.deepEqual(values(hash.findIntersects(0, 30, 50, 0)), ["b"], "keeps the segment with the same coordinates");
+	
+	t.equal(hash.updateById(c, 100, 100, 150, 120), true, "moves a segment by id");
+	t.deepEqual(hash.getById(c), [100, 100, 150, 120, "c"], "keeps the value");
+	t.deepEqual(values(hash.findIntersects(100, 120, 150, 100)), ["c"], "finds the moved segment");
+	t.deepEqual(values(hash.findIntersects(-20, -15, 10, 10)), [], "no longer finds it at the old coordinates");
+	t.equal(hash.stats().entries, cells(0, 0, 50, 30) + cells(100, 100, 150, 120), "moves it to all its new cells");
+	t.throws(() => hash.updateById(c, 1, 2), /Expected 4 coordinates/, "checks the number of coordinates");
+	
+	t.deepEqual(hash.removeSegment(0, 0, 50, 30), [0, 0, 50, 30, "b"], "removes a segment by coordinates");
+	t.equal(hash.getById(b), undefined, "forgets the id of a segment removed by coordinates");
+	
+	const first = hash.nextId;
+	hash.addSegments([0, 0, 1, 1, 2, 2, 3, 3], ["x", "y"]);
+	hash.rehash(4);
+	t.deepEqual([hash.getById(first + 1), hash.getById(c)], [[2, 2, 3, 3, "y"], [100, 100, 150, 120, "c"]],
+		"bulk loading gives ids that survive rehashing");
+	
+	const copy = SegmentHash.deserialize(hash.serialize());
+	t.deepEqual([copy.removeById(c), copy.size], [[100, 100, 150, 120, "c"], 2], "serializing keeps the ids");
+	
+	const plain = new SegmentHash(10, options);
+	t.equal(plain.addSegment(0, 0, 50, 30, "a"), plain, "addSegment returns the hash without the ids option");
+	plain.addSegment(0, 0, 50, 30, "b");
+	plain.removeSegment(0, 0, 50, 30);
+	
+	const left = [...plain.cellsUnderSegment(0, 0, 50, 30)].map(([cellX, cellY]) => plain.findValues(cellX, cellY, 0, 0, 50, 30)[4]);
+	t.deepEqual([...new Set(left)], ["b"], "removes the same one of two segments with the same coordinates from all cells");
+	t.throws(() => plain.removeById(0), /ids option/, "needs the ids option");
+	t.end();
+}
+
+function checkCells(t, hash){
+	const cells = new Map;
+	for(const [cellX, cellY, arr] of hash.store.entries()){
+		for(let i = 0; i < arr.length; i += hash.numElements){
+			const id = arr[i + 5];
+			cells.set(id, (cells.get(id) || []).concat([[cellX, cellY]]));
+		}
+	}
+	
+	const order = (list) => list.map(String).sort();
+	for(const [x1, y1, x2, y2, , id] of hash.shapes()){
+		if(String(order(cells.get(id))) !== String(order([...hash.cellsUnderSegment(x1, y1, x2, y2)]))){
+			t.fail(`segment ${id} is not in the cells under (${x1}, ${y1}) - (${x2}, ${y2})`);
+		}
+	}
+	t.equal(cells.size, hash.size, "each segment is in exactly the cells under it");
+}
+
+function testMove(t, options = {}){
+	const hash = new SegmentHash(10, options)
+			.addSegment(0, 0, 30, 0, "a").addSegment(0, 0, 30, 0, "b")
+			.addSegment(-50, -50, -40, -20, "c"),
+		values = (it) => [...it].map((s) => s[4]).sort();
+	
+	t.equal(hash.moveSegment(0, 0, 30, 0, 5, 0, 45, 0), true, "moves a segment");
+	t.deepEqual([hash.findSegment(5, 0, 45, 0), hash.findSegment(0, 0, 30, 0)], [[5, 0, 45, 0, "a"], [0, 0, 30, 0, "b"]],
+		"moves only the first segment with the coordinates");
+	t.deepEqual(values(hash.findIntersects(40, -5, 40, 5)), ["a"], "finds it in the cells it entered");
+	checkCells(t, hash);
+	
+	t.equal(hash.moveSegment(-50, -50, -40, -20, -51, -50, -41, -20), true, "moves a segment a little");
+	t.deepEqual(hash.findSegment(-51, -50, -41, -20), [-51, -50, -41, -20, "c"], "finds it at its new coordinates");
+	checkCells(t, hash);
+	t.equal(hash.moveSegment(1, 2, 3, 4, 5, 6, 7, 8), false, "does not move missing segments");
+	
+	const segments = [];
+	for(let i = 0; i < 200; i++){
+		const x = Math.random() * 200 - 100,
+			y = Math.random() * 200 - 100;
+		segments.push([x, y, x + Math.random() * 40 - 20, y + Math.random() * 40 - 20, "s" + i]);
+	}
+	
+	const many = SegmentHash.from(segments.flatMap((s) => s.slice(0, 4)), segments.map((s) => s[4]), 10, options),
+		step = new Map(segments.map(([x1, y1, x2, y2, v], i) => {
+			const dx = Math.random() * 10 - 5,
+				dy = Math.random() * 10 - 5;
+			return [v, i % 3 ? [x1 + dx, y1 + dy, x2 + dx, y2 + dy] : undefined];
+		})),
+		sorted = (it) => [...it].sort((a, b) => a[4] < b[4] ? -1 : 1);
+	
+	t.equal(many.updateAll((x1, y1, x2, y2, v) => step.get(v)), many, "updateAll returns the hash");
+	t.deepEqual(sorted(many), sorted(segments.map((s) => step.get(s[4]) ? [...step.get(s[4]), s[4]] : s)),
+		"updateAll moves the segments");
+	checkCells(t, many);
+	
+	const ids = new SegmentHash(10, {...options, ids: true}),
+		id = ids.addSegment(0, 0, 30, 0, "a");
+	ids.updateAll((x1, y1, x2, y2) => [x1, y1 + 100, x2, y2 + 100]);
+	t.deepEqual(ids.getById(id), [0, 100, 30, 100, "a"], "updateAll keeps the ids");
+	checkCells(t, ids);
+	
+	// one array for all segments, each filled in anew
+	const reused = new SegmentHash(10, options),
+		to = [];
+	reused.addSegment(0, 0, 30, 0, "a");
+	reused.addSegment(0, 50, 30, 50, "b");
+	reused.updateAll((x1, y1, x2, y2) => {
+		to[0] = x1 + 5;
+		to[1] = y1 + 5;
+		to[2] = x2 + 5;
+		to[3] = y2 + 5;
+		return to;
+	});
+	t.deepEqual(sorted(reused), [[5, 5, 35, 5, "a"], [5, 55, 35, 55, "b"]], "updateAll copies a reused array");
+	checkCells(t, reused);
+	t.end();
+}
+
+function testValues(t, options = {}){
+	const sorted = (arr) => arr.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+	
+	for(const extra of [{}, {ids: true}, {ids: true, valueIndex: true}]){
+		const name = extra.valueIndex ? "with a value index" : extra.ids ? "with ids" : "without ids",
+			hash = new SegmentHash(10, {...options, ...extra})
+				.addSegments([0, 0, 50, 30, 5, 5, 6, 6, 0, 0, 50, 30, -20, 10, 10, -15], ["a", "b", "b", "c"]);
+		
+		t.deepEqual(sorted(hash.findByValue("b")), [[0, 0, 50, 30, "b"], [5, 5, 6, 6, "b"]],
+			`finds all segments with a value, ${name}`);
+		t.deepEqual(hash.findByValue("d"), [], `finds no segments for a missing value, ${name}`);
+		
+		t.deepEqual(sorted(hash.removeByValue("b")), [[0, 0, 50, 30, "b"], [5, 5, 6, 6, "b"]],
+			`removes all segments with a value, ${name}`);
+		t.deepEqual([hash.findByValue("b"), hash.removeByValue("b"), hash.size], [[], [], 2],
+			`removes them only once, ${name}`);
+		t.deepEqual(hash.findByValue("a"), [[0, 0, 50, 30, "a"]], `keeps the segment with the same coordinates, ${name}`);
+		t.equal(hash.stats().entries, [...hash.cellsUnderSegment(0, 0, 50, 30)].length + [...hash.cellsUnderSegment(-20, 10, 10, -15)].length,
+			`removes them from all their cells, ${name}`);
+		
+		hash.addSegments([100, 100, 150, 120], ["d"]);
+		t.deepEqual(sorted(hash.removeWhere((x1, y1, x2, y2, val) => val === "d" || x1 < 0)), [[-20, 10, 10, -15, "c"], [100, 100, 150, 120, "d"]],
+			`removes the segments that pass a test, ${name}`);
+		t.deepEqual([[...hash], hash.findByValue("c"), hash.stats().entries], [[[0, 0, 50, 30, "a"]], [], [...hash.cellsUnderSegment(0, 0, 50, 30)].length],
+			`keeps the segments that fail the test, ${name}`);
+		
+		hash.rehash(4);
+		for(const copy of [hash, SegmentHash.fromJSON(JSON.stringify(hash)), SegmentHash.deserialize(hash.serialize())]){
+			t.deepEqual([copy.findByValue("a"), copy.options().valueIndex], [[[0, 0, 50, 30, "a"]], !!extra.valueIndex],
+				`finds values after rehashing and serializing, ${name}`);
+		}
+		
+		hash.clear();
+		t.deepEqual(hash.findByValue("a"), [], `clearing forgets the values, ${name}`);
+	}
+	
+	const indexed = new SegmentHash(10, {...options, ids: true, valueIndex: true}),
+		id = indexed.addSegment(0, 0, 50, 30, "a");
+	indexed.addSegment(0, 0, 50, 30, "a");
+	indexed.updateById(id, 100, 100, 150, 120);
+	indexed.removeSegment(0, 0, 50, 30);
+	t.deepEqual([indexed.idsOf("a"), indexed.findByValue("a")], [[id], [[100, 100, 150, 120, "a"]]],
+		"keeps the value index up to date when moving and removing");
+	
+	t.throws(() => new SegmentHash(10, {...options, valueIndex: true}), /needs the ids option/,
+		"the value index needs the ids option");
+	t.end();
+}
+
+function testQueryOptions(t, options = {}){
+	const {hash} = genRandom(new SegmentHash(10, options), 300, 200),
+		all = [...hash.findIntersects(10, 20, 180, 150, 1)],
+		asked = [];
+	
+	t.ok(all.length > 3, "findIntersects: found enough to test with");
+	t.deepEqual([...hash.findIntersects(10, 20, 180, 150, 1, {limit: 3, filter: (val) => {
+		asked.push(val);
+		return true;
+	}})], all.slice(0, 3), "findIntersects: stops at the limit");
+	t.equal(new Set(asked).size, asked.length, "findIntersects: asks the filter once per segment, across its cells");
+	
+	const hits = [...hash.raycastAll(0, 10, 1, 1)].filter((hit) => hit[4] % 2 === 0);
+	t.ok(hits.length > 2, "raycastAll: hits enough to test with");
+	t.deepEqual([...hash.raycastAll(0, 10, 1, 1, Infinity, {filter: (val) => val % 2 === 0, limit: 2})], hits.slice(0, 2),
+		"raycastAll: gives the nearest hits that pass the filter, up to the limit");
+	t.deepEqual(hash.nearestSegments(100, 100, 10, Infinity, {exclude: new Set(), limit: 3}), hash.nearestSegments(100, 100, 3),
+		"nearestSegments: a limit below k takes its place");
+	
+	t.deepEqual(hash.raycast(0, 10, 1, 1, Infinity, {filter: (val) => val % 2 === 0}), hits[0], "raycast: filters");
+	t.deepEqual(hash.raycast(0, 10, 1, 1, Infinity, {exclude: hits.map((hit) => hit[4])}), [...hash.raycastAll(0, 10, 1, 1)]
+		.find((hit) => hit[4] % 2 !== 0), "raycast: excludes");
+	
+	t.equal(hash.forEachIntersect(10, 20, 180, 150, 1, () => {}, {limit: 1}), false, "forEach stops early at the limit");
+	t.end();
+}
+
+function roundTrip(hash, how){
+	if(how === 'json'){
+		return SegmentHash.fromJSON(JSON.stringify(hash));
+	}
+	
+	return how === 'binary' ? SegmentHash.deserialize(hash.serialize()) : hash;
+}
+
 const randoms = [
 	{count: 1000, scale: 100, cellSize: 10, samples: 100},
 	{count: 1000, scale: 100, cellSize: 100, samples: 100},
 	{count: 1000, scale: 100, cellSize: 1000, samples: 100},
 	{count: 1000, scale: 1000, cellSize: 10, samples: 100},
-	{count: 1000, scale: 10000, cellSize: 10, samples: 100}
+	{count: 1000, scale: 10000, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100},
+	{count: 1000, scale: 100, cellSize: 100, offset: -50, samples: 100},
+	{count: 1000, scale: 1000, cellSize: 10, offset: -1000, samples: 100},
+	{count: 1000, scale: 1000, cellSize: 10, offset: 1e12, samples: 100},
+	{count: 1000, scale: 1000, cellSize: 10, offset: -1e12, samples: 100},
+	{count: 1000, scale: 100, cellSize: 10, samples: 100, storage: 'typed'},
+	{count: 1000, scale: 1000, cellSize: 10, offset: -1000, samples: 100, storage: 'typed'},
+	{count: 1000, scale: 1000, cellSize: 10, offset: 1e12, samples: 100, storage: 'typed'},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, bulk: true},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, storage: 'typed', bulk: true},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, rehash: 35},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, storage: 'typed', rehash: 3},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, serialize: 'binary'},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, storage: 'typed', serialize: 'json'},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, ids: true},
+	{count: 1000, scale: 100, cellSize: 10, offset: -50, samples: 100, storage: 'typed', bulk: true, ids: true, serialize: 'binary'}
 ];
 
 function main(args){
-	tape.test("Example", testExample);
-	tape.test("Duplicates", testDuplicates);
+	// the kind of cell keys to test: 'packed' (default) or 'string'
+	const keys = args[0] || 'packed';
+	
+	tape.test(`Example, keys: ${keys}`, (t) => testExample(t, {keys}));
+	tape.test(`Intersection points, keys: ${keys}`, (t) => testIntersectionExample(t, {keys}));
+	tape.test(`Nearest segments, keys: ${keys}`, (t) => testNearestExample(t, {keys}));
+	tape.test(`Ray casting, keys: ${keys}`, (t) => testRaycastExample(t, {keys}));
+	tape.test(`Duplicates, keys: ${keys}`, (t) => testDuplicates(t, {keys}));
+	tape.test(`Nested queries, keys: ${keys}`, (t) => testNested(t, {keys}));
+	tape.test(`Bulk loading, keys: ${keys}`, (t) => testBulk(t, {keys}));
+	tape.test("Bulk loading (typed)", (t) => testBulk(t, {storage: 'typed'}));
+	tape.test(`Stats, keys: ${keys}`, (t) => testStats(t, {keys}));
+	tape.test("Stats (typed)", (t) => testStats(t, {storage: 'typed'}));
+	tape.test(`Iteration, keys: ${keys}`, (t) => testIteration(t, {keys}));
+	tape.test("Iteration (typed)", (t) => testIteration(t, {storage: 'typed'}));
+	tape.test(`Serialize, keys: ${keys}`, (t) => testSerialize(t, {keys}));
+	tape.test("Serialize (typed)", (t) => testSerialize(t, {storage: 'typed'}));
+	tape.test(`Ids, keys: ${keys}`, (t) => testIds(t, {keys}));
+	tape.test("Ids (typed)", (t) => testIds(t, {storage: 'typed'}));
+	tape.test(`Move, keys: ${keys}`, (t) => testMove(t, {keys}));
+	tape.test("Move (typed)", (t) => testMove(t, {storage: 'typed'}));
+	tape.test(`Values, keys: ${keys}`, (t) => testValues(t, {keys}));
+	tape.test("Values (typed)", (t) => testValues(t, {storage: 'typed'}));
+	tape.test(`Query options, keys: ${keys}`, (t) => testQueryOptions(t, {keys}));
+	tape.test("Query options (typed)", (t) => testQueryOptions(t, {storage: 'typed'}));
+	tape.test("Cell size", testCellSize);
+	tape.test("Example (typed)", (t) => testExample(t, {storage: 'typed'}));
+	tape.test("Nearest segments (typed)", (t) => testNearestExample(t, {storage: 'typed'}));
+	tape.test("Ray casting (typed)", (t) => testRaycastExample(t, {storage: 'typed'}));
+	tape.test("Duplicates (typed)", (t) => testDuplicates(t, {storage: 'typed'}));
 	
 	for(const cfg of randoms){
-		const {count, scale, cellSize, samples} = cfg,
-			hash = new SegmentHash(cellSize),
-			{segments} = genRandom(hash, count, scale);
+		const {count, scale, cellSize, offset = 0, samples, storage = 'object', bulk = false, rehash, serialize, ids = false} = cfg,
+			made = new SegmentHash(cellSize, {storage, keys, ids}),
+			{segments} = genRandom(made, count, scale, offset, bulk);
+		
+		if(rehash){
+			made.rehash(rehash);
+		}
 		
-		tape.test(`random: ${count} segments, cellSize: ${cellSize}, scale: ${scale}`,
-				(t) => testSegments(t, segments, hash, samples, scale));
+		const hash = roundTrip(made, serialize);
+		tape.test(`random: ${count} segments, cellSize: ${cellSize}, scale: ${scale}, offset: ${offset}, storage: ${storage}, keys: ${keys}, bulk: ${bulk}${rehash ? `, rehash: ${rehash}` : ""}${serialize ? `, serialize: ${serialize}` : ""}${ids ? ", ids" : ""}`,
+				(t) => testSegments(t, segments, hash, samples, scale, offset));
 	}
 }
 
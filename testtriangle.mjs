@@ -0,0 +1,314 @@
+import {TriangleHash, intersectSegments, pointInTriangle, intersectTriangles} from './SpatialHash.mjs';
+import util from 'util';
+import tape from 'tape';
+
+function randomTriangle(scale, size, offset){
+	const x = Math.random() * scale + offset,
+		y = Math.random() * scale + offset;
+	
+	return [
+		x + Math.random() * size, y + Math.random() * size,
+		x + Math.random() * size, y + Math.random() * size,
+		x + Math.random() * size, y + Math.random() * size
+	];
+}
+
+function genRandom(hash, count, scale, size, offset = 0){
+	const triangles = [];
+	
+	for(let i = 0; i < count; i++){
+		const tri = randomTriangle(scale, size, offset),
+			idx = triangles.length;
+		
+		hash.addTriangle(...tri, idx);
+		triangles.push(...tri);
+	}
+	
+	return {hash, triangles};
+}
+
+function testExact(t, triangles, hash, samples, scale){
+	for(let i = 0; i < triangles.length; i += 6){
+		const tri = triangles.slice(i, i + 6),
+			found = hash.findTriangle(...tri);
+		
+		if(!found || tri.some((v, j) => found[j] !== v) || found[6] !== i){
+			t.fail(`found ${found} instead of [${tri}, ${i}]`);
+		}
+	}
+	
+	for(let i = 0; i < samples; i++){
+		const idx = ((Math.random() * (triangles.length / 6)) | 0) * 6,
+			tri = triangles.slice(idx, idx + 6).map((v) => v + scale / 2),
+			found = hash.findTriangle(...tri);
+		
+		if(found && found[6] === idx){
+			t.fail(`shouldn't have found ${found} at [${tri}]`);
+		}
+	}
+	
+	t.pass("found all triangles exactly");
+}
+
+function testContains(t, triangles, hash, count, scale, offset){
+	for(let i = 0; i < count; i++){
+		const x = Math.random() * scale + offset,
+			y = Math.random() * scale + offset,
+			ref = new Set;
+		
+		for(let i = 0; i < triangles.length; i += 6){
+			if(pointInTriangle(x, y, ...triangles.slice(i, i + 6))){
+				ref.add(i);
+			}
+		}
+		
+		const need = ref.size;
+		
+		for(const [x1, y1, x2, y2, x3, y3, idx] of hash.trianglesContainingPoint(x, y)){
+			if(!ref.has(idx)){
+				t.fail(`found invalid triangle [${x1}, ${y1}, ${x2}, ${y2}, ${x3}, ${y3}, ${idx}]`);
+			}
+			ref.delete(idx);
+		}
+		
+		t.equal(ref.size, 0, `found ${need} triangles containing point`);
+	}
+}
+
+function testSegments(t, triangles, hash, count, scale, size, offset){
+	for(let i = 0; i < count; i++){
+		const x1 = Math.random() * scale + offset,
+			y1 = Math.random() * scale + offset,
+			x2 = x1 + (Math.random() - 0.5) * size * 4,
+			y2 = y1 + (Math.random() - 0.5) * size * 4,
+			ref = new Set;
+		
+		for(let i = 0; i < triangles.length; i += 6){
+			const [tx1, ty1, tx2, ty2, tx3, ty3] = triangles.slice(i, i + 6);
+			
+			if(pointInTriangle(x1, y1, tx1, ty1, tx2, ty2, tx3, ty3) ||
+					intersectSegments(tx1, ty1, tx2, ty2, x1, y1, x2, y2) ||
+					intersectSegments(tx2, ty2, tx3, ty3, x1, y1, x2, y2) ||
+					intersectSegments(tx3, ty3, tx1, ty1, x1, y1, x2, y2)){
+				ref.add(i);
+			}
+		}
+		
+		const need = ref.size,
+			found = new Set;
+		
+		for(const [tx1, ty1, tx2, ty2, tx3, ty3, idx] of hash.trianglesIntersectingSegment(x1, y1, x2, y2)){
+			if(found.has(idx)){
+				t.fail(`found duplicate triangle ${idx}`);
+			}else if(!ref.has(idx)){
+				t.fail(`found invalid triangle [${tx1}, ${ty1}, ${tx2}, ${ty2}, ${tx3}, ${ty3}, ${idx}]`);
+			}
+			ref.delete(idx);
+			found.add(idx);
+		}
+		
+		t.equal(ref.size, 0, `found ${need} triangles intersecting segment`);
+	}
+}
+
+function testOverlaps(t, triangles, hash, count, scale, size, offset){
+	for(let i = 0; i < count; i++){
+		const tri = randomTriangle(scale, size * 2, offset),
+			ref = new Set;
+		
+		for(let i = 0; i < triangles.length; i += 6){
+			if(intersectTriangles(...tri, ...triangles.slice(i, i + 6))){
+				ref.add(i);
+			}
+		}
+		
+		const need = ref.size,
+			found = new Set;
+		
+		for(const [x1, y1, x2, y2, x3, y3, idx] of hash.trianglesOverlappingTriangle(...tri)){
+			if(found.has(idx)){
+				t.fail(`found duplicate triangle ${idx}`);
+			}else if(!ref.has(idx)){
+				t.fail(`found invalid triangle [${x1}, ${y1}, ${x2}, ${y2}, ${x3}, ${y3}, ${idx}]`);
+			}
+			ref.delete(idx);
+			found.add(idx);
+		}
+		
+		t.equal(ref.size, 0, `found ${need} overlapping triangles`);
+	}
+}
+
+function testRemove(t, triangles, hash, samples, scale){
+	const numTriangles = triangles.length / 6;
+	// remove non-existent triangles
+	for(let i = 0; i < samples; i++){
+		const idx = ((numTriangles * Math.random()) | 0) * 6,
+			tri = triangles.slice(idx, idx + 6).map((v) => v + scale / 2),
+			ret = hash.removeTriangle(...tri);
+		
+		if(ret !== undefined){
+			t.fail(`should have removed & returned nothing, but got: ${ret}`);
+		}
+	}
+	
+	testExact(t, triangles, hash, samples, scale);
+	
+	const removed = new Set;
+	for(let i = 0; i < samples; i++){
+		const idx = ((numTriangles * Math.random()) | 0) * 6;
+		if(removed.has(idx)){
+			continue;
+		}
+		removed.add(idx);
+		
+		const tri = triangles.slice(idx, idx + 6),
+			ret = hash.removeTriangle(...tri);
+		
+		if(ret === undefined){
+			t.fail(`should have removed & returned [${tri}, ${idx}], but got undefined`);
+		}
+		
+		t.deepEqual(ret, [...tri, idx], `returned the removed triangle`);
+		t.equal(hash.findTriangle(...tri), undefined, `can no longer find the removed triangle`);
+		
+		for(const [cx, cy] of hash.cellsUnderTriangle(...tri)){
+			const arr = hash.cell(cx, cy);
+			if(arr && !arr.length){
+				t.fail(`grid cell (${cx}, ${cy}) is not cleared`);
+			}
+		}
+	}
+}
+
+function testTriangles(t, triangles, hash, samples, scale, size, offset = 0){
+	testExact(t, triangles, hash, samples, scale);
+	testContains(t, triangles, hash, samples, scale, offset);
+	testSegments(t, triangles, hash, samples, scale, size, offset);
+	testOverlaps(t, triangles, hash, samples, scale, size, offset);
+	// remove should be last
+	testRemove(t, triangles, hash, samples, scale);
+	t.pass(`passed: ${util.inspect(hash.stats())}`);
+	t.end();
+}
+
+function testExample(t){
+	const cellSize = 10,
+		trHash = new TriangleHash(cellSize); // store triangles in cells of 10x10
+	
+	trHash.addTriangle(2, 2, 18, 4, 6, 16, "foo") // add triangle with value "foo"
+		.addTriangle(14, 12, 28, 10, 22, 26, "bar")
+		.addTriangle(30, 2, 38, 2, 34, 8, "quux");
+	
+	t.deepEqual(trHash.findTriangle(2, 2, 18, 4, 6, 16), [2, 2, 18, 4, 6, 16, "foo"], "finds existing triangle");
+	t.equal(trHash.findTriangle(2, 2, 18, 4, 6, 17), undefined, "doesn't find non-existing triangle");
+	
+	t.deepEqual([...trHash.trianglesContainingPoint(7, 7)].map((tri) => tri[6]), ["foo"], "found triangle containing point");
+	t.deepEqual([...trHash.trianglesContainingPoint(25, 5)], [], "found no triangle containing point");
+	
+	const ref = new Set(["foo", "bar"]),
+		found = new Set;
+	// find the triangles crossed by (4, 10) to (24, 16)
+	for(const tri of trHash.trianglesIntersectingSegment(4, 10, 24, 16)){
+		const name = tri[6];
+		t.assert(ref.has(name) && !found.has(name), `found intersect ${name} once`);
+		ref.delete(name);
+		found.add(name);
+	}
+	t.equal(ref.size, 0, `found all intersects`);
+	
+	const refOverlap = new Set(["bar", "quux"]);
+	found.clear();
+	// find the triangles overlapping (20, 4), (36, 4), (26, 14)
+	for(const tri of trHash.trianglesOverlappingTriangle(20, 4, 36, 4, 26, 14)){
+		const name = tri[6];
+		t.assert(refOverlap.has(name) && !found.has(name), `found overlap ${name} once`);
+		refOverlap.delete(name);
+		found.add(name);
+	}
+	t.equal(refOverlap.size, 0, `found all overlaps`);
+	
+	trHash.addTriangle(0, 20, 30, 20, 0, 40, "foo");
+	const shapes = (it) => [...it].map((tri) => tri.slice(0, 7).join()).sort();
+	t.equal(trHash.size, 4, "counts the triangles");
+	t.deepEqual(shapes(trHash), ["0,20,30,20,0,40,foo", "14,12,28,10,22,26,bar", "2,2,18,4,6,16,foo", "30,2,38,2,34,8,quux"],
+		"iterates over each triangle once, also with the same value");
+	trHash.removeTriangle(14, 12, 28, 10, 22, 26);
+	t.deepEqual([trHash.size, [...trHash].length], [3, 3], "counts removed triangles");
+	
+	t.end();
+}
+
+function testDuplicates(t){
+	const cellSize = 10,
+		hash = new TriangleHash(cellSize);
+	
+	hash.addTriangle(2, 2, 13, 3, 4, 14, "foo");
+	hash.addTriangle(2, 2, 13, 3, 4, 14, "bar");
+	hash.addTriangle(2, 2, 13, 3, 4, 14, "qux");
+	
+	const ref = new Set(["foo", "bar", "qux"]);
+	ref.delete(hash.removeTriangle(2, 2, 13, 3, 4, 14)[6]);
+	ref.delete(hash.removeTriangle(2, 2, 13, 3, 4, 14)[6]);
+	ref.delete(hash.removeTriangle(2, 2, 13, 3, 4, 14)[6]);
+	
+	t.equal(ref.size, 0, "found all triangles to delete");
+	t.equal(hash.removeTriangle(2, 2, 13, 3, 4, 14), undefined, "can no longer find deleted triangles");
+	t.equal(hash.cellCount, 0, "all grid cells are cleared");
+	
+	t.end();
+}
+
+const randoms = [
+	{count: 1000, scale: 100, size: 20, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 100, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 1000, samples: 100},
+	{count: 1000, scale: 1000, size: 50, cellSize: 10, samples: 100},
+	{count: 1000, scale: 10000, size: 100, cellSize: 10, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 10, offset: -50, samples: 100},
+	{count: 1000, scale: 1000, size: 50, cellSize: 10, offset: -1e12, samples: 100},
+	{count: 1000, scale: 100, size: 20, cellSize: 10, offset: -50, samples: 100, rehash: 35}
+];
+
+function testQueryOptions(t){
+	const hash = new TriangleHash(10),
+		asked = [];
+	
+	for(let i = 0; i < 4; i++){
+		hash.addTriangle(0, i * 10, 100, i * 10, 0, i * 10 + 100, i);
+	}
+	
+	const all = [...hash.trianglesIntersectingSegment(5, 0, 5, 200)];
+	t.equal(all.length, 4, "trianglesIntersectingSegment: finds all");
+	t.deepEqual([...hash.trianglesIntersectingSegment(5, 0, 5, 200, {limit: 2})], all.slice(0, 2),
+		"trianglesIntersectingSegment: stops at the limit");
+	t.deepEqual([...hash.trianglesOverlappingTriangle(0, 0, 100, 0, 0, 100, {filter: (val) => {
+		asked.push(val);
+		return val !== 2;
+	}})].map((tri) => tri[6]).sort(), [0, 1, 3], "trianglesOverlappingTriangle: filters");
+	t.deepEqual(asked.sort(), [0, 1, 2, 3], "trianglesOverlappingTriangle: asks the filter once per triangle, across its cells");
+	t.deepEqual([...hash.trianglesContainingPoint(10, 45, {exclude: [0]})].map((tri) => tri[6]), [1, 2, 3],
+		"trianglesContainingPoint: excludes");
+	t.end();
+}
+
+function main(args){
+	tape.test("Example", testExample);
+	tape.test("Duplicates", testDuplicates);
+	tape.test("Query options", testQueryOptions);
+	
+	for(const cfg of randoms){
+		const {count, scale, size, cellSize, offset = 0, samples, rehash} = cfg,
+			hash = new TriangleHash(cellSize),
+			{triangles} = genRandom(hash, count, scale, size, offset);
+		
+		if(rehash){
+			hash.rehash(rehash);
+		}
+		
+		tape.test(`random: ${count} triangles, size: ${size}, cellSize: ${cellSize}, scale: ${scale}, offset: ${offset}${rehash ? `, rehash: ${rehash}` : ""}`,
+				(t) => testTriangles(t, triangles, hash, samples, scale, size, offset));
+	}
+}
+
+main(process.argv.slice(2));